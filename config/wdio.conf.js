@@ -16,7 +16,26 @@ require('dotenv').config();
 const path = require('path');
 const fs = require('fs-extra');
 const { resolveCapabilities } = require('./capabilities');
-const { CustomReporter, Logger, ReportBackupManager, CustomDriverResolver, ConfigResolver } = require('@wdio-framework/core');
+const {
+    CustomReporter,
+    Logger,
+    ReportBackupManager,
+    CustomDriverResolver,
+    ConfigResolver,
+    SelfHealingLocator,
+    FlakyTestTracker,
+    PerformanceTracker,
+    PerformanceHistory,
+    VideoRecorder,
+    BrowserConsole,
+    NetworkLog,
+    TestExecutionFilter,
+    RerunManager,
+    DataDrivenManager,
+    CleanupRegistry,
+    DbHelper,
+    ScenarioContext,
+} = require('@wdio-framework/core');
 
 // ─── Initialise three-tier config: env_var > env_config > default ─────
 ConfigResolver.init();
@@ -34,6 +53,9 @@ const TIMELINE_DIR = path.join(REPORTS_DIR, 'timeline');
 const SCREENSHOTS_DIR = path.join(ROOT, 'screenshots');
 const LOGS_DIR = path.join(ROOT, 'logs');
 
+// Only cucumber-json files written after this point belong to the current run
+const RUN_STARTED_AT = Date.now();
+
 // Ensure output directories exist
 [REPORTS_DIR, ALLURE_RESULTS, CUCUMBER_JSON, TIMELINE_DIR, SCREENSHOTS_DIR, LOGS_DIR].forEach((d) =>
     fs.ensureDirSync(d),
@@ -83,6 +105,7 @@ exports.config = {
     cucumberOpts: {
         require: [
             path.join(ROOT, 'test', 'step-definitions', '**', '*.steps.js'),
+            path.join(ROOT, 'test', 'support', 'hooks.js'),
         ],
         backtrace: false,
         requireModule: [],
@@ -170,6 +193,9 @@ exports.config = {
         // Write Allure environment & categories
         CustomReporter.writeAllureEnvironment(ALLURE_RESULTS);
         CustomReporter.writeAllureCategories(ALLURE_RESULTS);
+
+        // Locks of workers of an earlier, interrupted run — live runs keep theirs
+        DataDrivenManager.clearStaleLocks();
     },
 
     /**
@@ -188,7 +214,7 @@ exports.config = {
 
     /**
      * Runs before each test session (browser launch).
-     * Sets up worker-isolated logging.
+     * Sets up worker-isolated logging, browser console and network capture.
      */
     before: async function (capabilities, specs, browser) {
         // Isolate logs per worker — cid is available on the browser object
@@ -200,15 +226,31 @@ exports.config = {
         } catch {
             // Mobile sessions don't support maximize
         }
+
+        // Console messages, uncaught page errors & network traffic (BiDi, or CDP for Chrome / Edge)
+        await BrowserConsole.register(browser);
+        await NetworkLog.register(browser);
         getLogger().info(`Browser session initialised (worker: ${cid})`);
     },
 
     /**
      * Runs after each test session.
-     * Flushes worker-scoped logs before the process exits.
+     * Persists self-healing data and performance samples and
+     * flushes worker-scoped logs before the process exits.
      */
     after: async function (result, capabilities, specs) {
         getLogger().info('Browser session closing');
+        try {
+            SelfHealingLocator.flush(REPORTS_DIR);
+        } catch (err) {
+            getLogger().warn(`Self-healing flush: ${err.message}`);
+        }
+        try {
+            PerformanceTracker.getInstance().flush(REPORTS_DIR);
+        } catch (err) {
+            getLogger().warn(`Performance samples: ${err.message}`);
+        }
+        await DbHelper.closeAll();
         await Logger.flushAll();
     },
 
@@ -222,10 +264,20 @@ exports.config = {
         getLogger().info(`◀ Feature completed: ${feature.name}`);
     },
 
-    beforeScenario: function (world, context) {
+    beforeScenario: async function (world, context) {
         const scenarioName = world.pickle.name;
         Logger.setScenarioContext(scenarioName);
         getLogger().info(`  ▶ Scenario: ${scenarioName}`);
+
+        // Values stored by steps never leak into the next scenario
+        const scenarioContext = ScenarioContext.reset();
+        if (context) context.ctx = scenarioContext;
+
+        BrowserConsole.startScenario();
+        NetworkLog.startScenario(world);
+
+        // Screen recording (VIDEO_ENABLE, local Chrome / Edge / Firefox only)
+        await VideoRecorder.start(world);
     },
 
     afterScenario: async function (world, result, context) {
@@ -243,6 +295,29 @@ exports.config = {
             }
         }
 
+        // Console output and network HAR of a failed scenario go into the report
+        try {
+            BrowserConsole.endScenario(result.passed);
+        } catch (err) {
+            getLogger().warn(`Browser console: ${err.message}`);
+        }
+        try {
+            await NetworkLog.endScenario(result.passed);
+        } catch (err) {
+            getLogger().warn(`Network HAR: ${err.message}`);
+        }
+
+        // Keep the video of failed and flaky scenarios only
+        try {
+            const video = await VideoRecorder.stop(result.passed);
+            if (video) VideoRecorder.attach(video);
+        } catch (err) {
+            getLogger().warn(`Scenario video: ${err.message}`);
+        }
+
+        // Undo test data the scenario created (newest first) — failures are only logged
+        await CleanupRegistry.runAll();
+
         // Clean browser state between scenarios
         try {
             await browser.execute(() => {
@@ -254,6 +329,9 @@ exports.config = {
             getLogger().warn(`Browser cleanup: ${err.message}`);
         }
 
+        // Return checked-out data pool records for other workers
+        DataDrivenManager.releaseAll();
+
         // End scenario-level log isolation
         Logger.clearScenarioContext();
     },
@@ -293,6 +371,43 @@ exports.config = {
             getLogger().warn(`Cucumber report generation: ${err.message}`);
         }
 
+        // Merge per-worker self-healing reports into one file
+        try {
+            SelfHealingLocator.mergeReports(REPORTS_DIR);
+        } catch (err) {
+            getLogger().warn(`Self-healing report: ${err.message}`);
+        }
+
+        // Save failed scenarios for reruns, record scenario and performance history,
+        // (un)quarantine flaky scenarios and write results to the execution matrix —
+        // scripts/runTests.js does this itself after its reruns
+        if (process.env.RERUN_ORCHESTRATED !== 'true') {
+            try {
+                RerunManager.collectFailed(CUCUMBER_JSON, { since: RUN_STARTED_AT });
+                FlakyTestTracker.recordRun(CUCUMBER_JSON, { since: RUN_STARTED_AT });
+                if (ConfigResolver.getBool('FLAKY_AUTO_QUARANTINE')) {
+                    new TestExecutionFilter().applyQuarantine();
+                }
+            } catch (err) {
+                getLogger().warn(`Flaky test tracking: ${err.message}`);
+            }
+
+            const matrix = ConfigResolver.get('EXECUTION_MATRIX', '');
+            if (matrix && ConfigResolver.getBool('EXECUTION_MATRIX_WRITE_RESULTS', true)) {
+                try {
+                    new TestExecutionFilter(matrix).recordResults(CUCUMBER_JSON, { since: RUN_STARTED_AT });
+                } catch (err) {
+                    getLogger().warn(`Execution matrix results: ${err.message}`);
+                }
+            }
+
+            try {
+                PerformanceHistory.recordRun(REPORTS_DIR);
+            } catch (err) {
+                getLogger().warn(`Performance history: ${err.message}`);
+            }
+        }
+
         // Backup reports to shared folder (only when enabled)
         if (ConfigResolver.getBool('REPORT_BACKUP_ENABLE')) {
             try {
@@ -84,6 +84,34 @@ export class ScreenshotManager {
     static captureElement(element: string | WebdriverIO.Element, name?: string): Promise<string>;
     static cleanOldScreenshots(daysOld?: number): void;
     static captureAsBase64(): Promise<string>;
+    static compareWithBaseline(name: string, options?: VisualCompareOptions): Promise<VisualCompareResult>;
+    static assertMatchesBaseline(name: string, options?: VisualCompareOptions): Promise<VisualCompareResult>;
+}
+
+export interface VisualCompareOptions {
+    /** Compare only this element instead of the viewport */
+    element?: string | WebdriverIO.Element;
+    /** Compare a full-page capture instead of the viewport */
+    fullPage?: boolean;
+    /** CSS selectors of regions to mask out before comparing */
+    ignore?: string[];
+    /** Max mismatching pixels in percent (default: VISUAL_THRESHOLD) */
+    threshold?: number;
+    /** Per-pixel colour sensitivity 0–1 (default: VISUAL_PIXEL_THRESHOLD) */
+    pixelThreshold?: number;
+}
+
+export interface VisualCompareResult {
+    name: string;
+    match: boolean;
+    baselineCreated: boolean;
+    mismatchPercentage: number;
+    diffPixels: number;
+    totalPixels: number;
+    baselinePath: string;
+    actualPath: string;
+    diffPath: string | null;
+    reason?: string;
 }
 
 export class PerformanceTracker {
@@ -91,11 +119,58 @@ export class PerformanceTracker {
     startTimer(name: string): void;
     stopTimer(name: string): number;
     measure<T>(name: string, fn: () => Promise<T>): Promise<T>;
-    getPagePerformance(): Promise<Record<string, number> | null>;
+    getPagePerformance(page?: string): Promise<Record<string, number | null> | null>;
+    getWebVitals(): Promise<WebVitals>;
+    injectWebVitals(): Promise<void>;
     getResourcePerformance(): Promise<Array<{ name: string; type: string; duration: number; transferSize: number }>>;
     getMetrics(): Array<{ name: string; elapsed: number; timestamp: string }>;
     clearMetrics(): void;
     assertPageLoadUnder(maxMs: number): Promise<void>;
+    loadBudgets(filePath?: string): PerformanceBudgets;
+    getBudget(budgets: PerformanceBudgets, target?: { page?: string; url?: string }): { page: string; limits: Record<string, BudgetLimit> };
+    evaluateBudget(metrics: Record<string, number | null>, limits: Record<string, BudgetLimit>): BudgetEvaluation;
+    assertBudgets(page?: string, options?: { budgetsFile?: string }): Promise<BudgetResult>;
+    flush(reportsDir?: string): string | null;
+}
+
+export interface WebVitals {
+    lcp: number | null;
+    cls: number | null;
+    inp: number | null;
+    fid: number | null;
+    tbt: number | null;
+    fcp: number | null;
+    longTaskCount: number | null;
+}
+
+export interface BudgetLimit {
+    warn: number | null;
+    fail: number | null;
+}
+
+export interface PerformanceBudgets {
+    default: Record<string, number | Partial<BudgetLimit>>;
+    pages: Record<string, { url?: string; [metric: string]: number | Partial<BudgetLimit> | string | undefined }>;
+}
+
+export interface BudgetCheck extends BudgetLimit {
+    metric: string;
+    value: number | null;
+    status: 'pass' | 'warn' | 'fail' | 'skipped';
+}
+
+export interface BudgetEvaluation {
+    passed: boolean;
+    checks: BudgetCheck[];
+    warnings: BudgetCheck[];
+    failures: BudgetCheck[];
+}
+
+export interface BudgetResult extends BudgetEvaluation {
+    page: string;
+    url: string;
+    timestamp: string;
+    metrics: Record<string, number | null>;
 }
 
 export class ReportBackupManager {
@@ -121,6 +196,186 @@ export class CustomDriverResolver {
     static resolveEdgeCapabilityOverrides(options?: object): Promise<object>;
 }
 
+export interface HealedLocator {
+    owner: string;
+    originalSelector: string;
+    healedSelector: string;
+    strategy: 'id' | 'data-testid' | 'name' | 'aria-label' | 'placeholder' | 'text' | 'position';
+    fingerprintCapturedAt: string;
+    healedAt: string;
+    url: string;
+}
+
+export class SelfHealingLocator {
+    static isEnabled(): boolean;
+    static resolve(
+        element: WebdriverIO.Element,
+        owner?: string,
+        options?: { timeout?: number; heal?: boolean },
+    ): Promise<WebdriverIO.Element>;
+    static getHealedLocators(): HealedLocator[];
+    static flush(reportsDir?: string): void;
+    static mergeReports(reportsDir?: string): string | null;
+    static reset(): void;
+}
+
+export type A11yImpact = 'minor' | 'moderate' | 'serious' | 'critical';
+
+export interface A11yAuditOptions {
+    /** Selector, element, or component with `rootSelector` / `root` (default: whole page) */
+    scope?: string | WebdriverIO.Element | { rootSelector?: string; root?: any };
+    /** WCAG conformance level (default: A11Y_WCAG_LEVEL) */
+    wcagLevel?: 'A' | 'AA' | 'AAA';
+    /** Explicit axe rule tags; overrides wcagLevel */
+    tags?: string[];
+    exclude?: string[];
+    disableRules?: string[];
+    name?: string;
+    /** Minimum impact that fails assertNoViolations (default: A11Y_FAIL_ON) */
+    failOn?: A11yImpact;
+}
+
+export interface A11yViolation {
+    id: string;
+    impact: A11yImpact | null;
+    description: string;
+    help: string;
+    helpUrl: string;
+    tags: string[];
+    nodes: Array<{ target: string[]; html: string; failureSummary: string }>;
+}
+
+export interface A11yAuditResult {
+    name: string;
+    url: string;
+    scope: string;
+    wcagLevel: 'A' | 'AA' | 'AAA';
+    tags: string[];
+    timestamp: string;
+    violations: A11yViolation[];
+    passes: number;
+    incomplete: number;
+    reportPath: string | null;
+}
+
+export class AccessibilityChecker {
+    static audit(options?: A11yAuditOptions): Promise<A11yAuditResult>;
+    static assertNoViolations(options?: A11yAuditOptions): Promise<A11yAuditResult>;
+    static filterByImpact(violations: A11yViolation[], minImpact: A11yImpact): A11yViolation[];
+    static formatViolations(violations: A11yViolation[]): string;
+}
+
+export interface ScenarioRunResult {
+    run: string;
+    status: 'passed' | 'failed' | 'mixed';
+    attempts: number;
+    duration: number;
+    error?: string;
+}
+
+export interface FlakyScenario {
+    key: string;
+    feature: string;
+    uri: string;
+    name: string;
+    browser: string;
+    score: number;
+    runs: number;
+}
+
+export interface QuarantinedScenario {
+    uri: string;
+    name: string;
+    score: number;
+    runs: number;
+    since: string;
+}
+
+export class FlakyTestTracker {
+    static recordRun(cucumberJsonDir: string, options?: { since?: number; historyFile?: string }): { runId: string; recorded: number; flaky: FlakyScenario[] } | null;
+    static computeScore(results: Array<{ status: string }>, window?: number): number;
+    static getFlakyScenarios(options?: { threshold?: number; minRuns?: number; historyFile?: string }): FlakyScenario[];
+    static getQuarantine(options?: { historyFile?: string }): QuarantinedScenario[];
+    static saveQuarantine(quarantine: QuarantinedScenario[], options?: { historyFile?: string }): void;
+    static isQuarantined(uri: string, name: string, options?: { historyFile?: string }): boolean;
+    static load(historyFile?: string): { version: number; runs: string[]; scenarios: Record<string, { feature: string; uri: string; name: string; browser: string; tags: string[]; score: number; lastRun: string; results: ScenarioRunResult[] }>; quarantine: QuarantinedScenario[] };
+    static parseCucumberJson(cucumberJsonDir: string, options?: { since?: number }): object[];
+}
+
+export interface PerformanceRun {
+    run: string;
+    timers: Record<string, number>;
+    pages: Record<string, Record<string, number>>;
+}
+
+export interface PerformanceRegression {
+    key: string;
+    label: string;
+    value: number;
+    baseline: number;
+    change: number;
+}
+
+export class PerformanceHistory {
+    static recordRun(reportsDir?: string, options?: { historyFile?: string }): { runId: string; series: number; regressions: PerformanceRegression[]; reportPath: string } | null;
+    static summarise(samples: { timers: Array<{ name: string; elapsed: number }>; pages: Array<{ page: string; metrics: Record<string, number | null> }> }): Omit<PerformanceRun, 'run'>;
+    static detectRegressions(history: { runs: PerformanceRun[] }, options?: { baselineRuns?: number; threshold?: number }): PerformanceRegression[];
+    static writeTrendReport(history: { runs: PerformanceRun[] }, regressions: PerformanceRegression[], outputDir: string): string;
+    static load(historyFile?: string): { version: number; runs: PerformanceRun[] };
+    static median(values: number[]): number;
+}
+
+export class VideoRecorder {
+    static isEnabled(): boolean;
+    static start(world: { pickle: { id: string; name: string; tags?: Array<{ name: string }> } }): Promise<boolean>;
+    static stop(passed: boolean): Promise<string | null>;
+    static attach(videoPath: string): void;
+    static reset(): void;
+}
+
+interface ConsoleEntry {
+    type: 'console' | 'javascript';
+    level: string;
+    text: string;
+    url: string;
+    line: number | null;
+    timestamp: number;
+}
+
+export class BrowserConsole {
+    static register(browserInstance: WebdriverIO.Browser): Promise<boolean>;
+    static startScenario(): void;
+    static endScenario(passed: boolean): ConsoleEntry[];
+    static getEntries(filter?: { levels?: string[] }): ConsoleEntry[];
+    static getUncaughtErrors(): ConsoleEntry[];
+    static assertNoUncaughtErrors(): void;
+    static checkPolicy(): void;
+    static format(entries?: ConsoleEntry[]): string;
+    static reset(): void;
+}
+
+interface NetworkRequest {
+    url: string;
+    method: string;
+    status: number | null;
+    headers: Record<string, string>;
+    payload: any;
+    responseHeaders: Record<string, string>;
+    responseBody: any;
+    error: string | null;
+    duration: number | null;
+}
+
+export class NetworkLog {
+    static register(browserInstance: WebdriverIO.Browser): Promise<boolean>;
+    static startScenario(world?: { pickle: { name: string } }): void;
+    static endScenario(passed: boolean): Promise<string | null>;
+    static findRequests(urlPattern: string | RegExp, options?: { method?: string; status?: number; payload?: object | string }): NetworkRequest[];
+    static assertRequested(urlPattern: string | RegExp, options?: { method?: string; payload?: object | string; times?: number }): NetworkRequest[];
+    static toHar(records?: object[]): { log: { version: string; creator: { name: string; version: string }; pages: object[]; entries: object[] } };
+    static reset(): void;
+}
+
 export class CustomReporter {
     // Reporter implementation
 }
@@ -136,18 +391,33 @@ interface ApiResponse {
     isSuccess(): boolean;
     isClientError(): boolean;
     isServerError(): boolean;
+    expectSchema(schema: string | object): ApiResponse;
+    cleanup(undo: CleanupUndo, description?: string): ApiResponse;
+}
+
+/** URL to DELETE, or a function returning one (or doing the undo itself). */
+type CleanupUndo = string | ((response: ApiResponse) => string | void | Promise<string | void>);
+
+interface ApiRequest extends Promise<ApiResponse> {
+    expectSchema(schema: string | object): Promise<ApiResponse>;
+    cleanup(undo: CleanupUndo, description?: string): Promise<ApiResponse>;
 }
 
 export class ApiHelper {
     constructor(baseURL: string, defaultHeaders?: Record<string, string>);
     static create(baseURL: string, defaultHeaders?: Record<string, string>): ApiHelper;
     enableRetry(config?: { maxAttempts?: number; delay?: number }): this;
-    get(url: string, params?: object, headers?: object): Promise<ApiResponse>;
-    post(url: string, data?: object, headers?: object): Promise<ApiResponse>;
-    put(url: string, data?: object, headers?: object): Promise<ApiResponse>;
-    patch(url: string, data?: object, headers?: object): Promise<ApiResponse>;
-    delete(url: string, headers?: object): Promise<ApiResponse>;
-    graphql(url: string, query: string, variables?: object, headers?: object): Promise<ApiResponse>;
+    useOpenApi(specPath: string, options?: { mode?: 'fail' | 'warn' | 'off' }): this;
+    setMode(mode: 'live' | 'record' | 'replay'): this;
+    useRecording(name: string): this;
+    getRecordingPath(): string;
+    useOAuth2(options?: OAuth2Options): this;
+    get(url: string, params?: object, headers?: object): ApiRequest;
+    post(url: string, data?: object, headers?: object): ApiRequest;
+    put(url: string, data?: object, headers?: object): ApiRequest;
+    patch(url: string, data?: object, headers?: object): ApiRequest;
+    delete(url: string, headers?: object): ApiRequest;
+    graphql(url: string, query: string, variables?: object, headers?: object): ApiRequest;
     uploadFile(url: string, filePath: string, fieldName?: string, additionalData?: object): Promise<ApiResponse>;
     pollUntil(url: string, conditionFn: (res: ApiResponse) => boolean, opts?: { interval?: number; timeout?: number; method?: string }): Promise<ApiResponse>;
     setBearerToken(token: string): void;
@@ -156,6 +426,74 @@ export class ApiHelper {
     clearAuth(): void;
 }
 
+export interface OAuth2Options {
+    grantType?: 'client_credentials' | 'password' | 'refresh_token';
+    tokenUrl?: string;
+    issuer?: string;
+    clientId?: string;
+    clientSecret?: string;
+    scope?: string;
+    audience?: string;
+    username?: string;
+    password?: string;
+    refreshToken?: string;
+    clientAuth?: 'body' | 'basic';
+    extraParams?: Record<string, string>;
+}
+
+export class TokenManager {
+    constructor(options?: OAuth2Options);
+    options: OAuth2Options;
+    getToken(options?: { forceRefresh?: boolean }): Promise<string>;
+    invalidate(): void;
+    static clearCache(): void;
+}
+
+export class CleanupRegistry {
+    static register(description: string, undo: () => any): number;
+    static cancel(id: number): boolean;
+    static pending(): string[];
+    static runAll(): Promise<{ cleaned: number; failed: Array<{ description: string; error: string }> }>;
+    static reset(): void;
+    static isEnabled(): boolean;
+}
+
+export class ApiRecorder {
+    static getMode(mode?: string): 'live' | 'record' | 'replay';
+    static fixturePath(options?: { name?: string; baseURL?: string }): string;
+    static createAdapter(mode: string, getFixturePath: () => string): ((config: object) => Promise<object>) | null;
+    static record(fixtureFile: string, config: object, response: object, time?: number): void;
+    static replay(fixtureFile: string, config: object): Promise<object>;
+    static reset(): void;
+}
+
+export class SensitiveDataMasker {
+    static readonly MASKED: string;
+    static isSensitiveHeader(name: string): boolean;
+    static isSensitiveField(key: string): boolean;
+    static maskHeaders(headers?: Array<{ name: string; value: string }>): Array<{ name: string; value: string }>;
+    static maskBody(text: string, mimeType?: string): string;
+}
+
+export interface SchemaError {
+    path: string;
+    message: string;
+}
+
+export class SchemaValidator {
+    static validate(data: any, schema: string | object): { valid: boolean; errors: SchemaError[] };
+    static assertValid(data: any, schema: string | object, options?: { label?: string }): void;
+    static loadSchema(nameOrPath: string): object;
+    static getSchemaDir(): string;
+    static loadOpenApi(specPath: string): object;
+    static findOperation(spec: object, method: string, requestPath: string): { template: string; method: string; operation: object } | null;
+    static validateResponse(
+        spec: object,
+        response: { method: string; path: string; status: number; data: any; contentType?: string },
+    ): { documented: boolean; operation: string | null; valid: boolean; errors: SchemaError[] };
+    static reset(): void;
+}
+
 export class DataGenerator {
     static seed(value: number): void;
     static setLocale(locale: string): void;
@@ -180,6 +518,45 @@ export class DataGenerator {
     static pickRandom<T>(array: T[]): T;
     static pickMultipleRandom<T>(array: T[], count: number): T[];
     static shuffle<T>(array: T[]): T[];
+    static define(name: string, fields: Record<string, FactoryField>): void;
+    static build<T = any>(name: string, overrides?: Record<string, any>, options?: { seed?: number }): T;
+    static buildList<T = any>(name: string, count: number, overrides?: Record<string, any>, options?: { seed?: number }): T[];
+    static boundaryVariants(name: string, options?: VariantOptions): DataVariant[];
+    static invalidVariants(name: string, options?: VariantOptions): DataVariant[];
+    static getFactoryNames(): string[];
+}
+
+export type FactoryField =
+    | string
+    | ((faker: any) => any)
+    | {
+          type?: 'string' | 'integer' | 'number' | 'boolean' | 'email' | 'enum' | 'date' | 'uuid';
+          required?: boolean;
+          faker?: string;
+          minLength?: number;
+          maxLength?: number;
+          min?: number | string;
+          max?: number | string;
+          precision?: number;
+          values?: any[];
+          format?: 'date';
+          ref?: string;
+          count?: number;
+          generate?: (faker: any) => any;
+          derive?: (entity: any) => any;
+          value?: any;
+      };
+
+export interface VariantOptions {
+    overrides?: Record<string, any>;
+    fields?: string[];
+    seed?: number;
+}
+
+export interface DataVariant {
+    field: string;
+    case: string;
+    data: any;
 }
 
 export class FileHelper {
@@ -255,35 +632,113 @@ export class EncryptionHelper {
     static base64Decode(value: string): string;
 }
 
+export class SecretVault {
+    static isEncrypted(value: unknown): boolean;
+    static encryptValue(plainText: string, passphrase?: string): string;
+    static decryptValue(value: string, passphrase?: string): string;
+    static decryptObject<T>(data: T, passphrase?: string): T;
+    static containsEncrypted(data: unknown): boolean;
+    static getMasterKey(): string;
+    static encryptFile(filePath: string, options?: { keys?: string[]; passphrase?: string }): string[];
+    static decryptFile(filePath: string, options?: { passphrase?: string }): string[];
+    static rotateFile(filePath: string, oldPassphrase: string, newPassphrase: string): string[];
+}
+
 export class ExcelHelper {
     static readWorkbook(filePath: string): Record<string, object[]>;
     static readSheet(filePath: string, sheetName: string): object[];
     static writeToExcel(filePath: string, data: object[], sheetName?: string): void;
     static appendToSheet(filePath: string, sheetName: string, newRows: object[]): void;
     static updateCell(filePath: string, sheetName: string, cellAddress: string, value: any): void;
+    static updateCells(filePath: string, sheetName: string, values: Record<string, any>): void;
     static excelToJson(excelPath: string, sheetName: string, jsonPath: string): object[];
     static jsonToExcel(jsonPath: string, excelPath: string, sheetName?: string): object[];
     static toGherkinExamples(filePath: string, sheetName: string, columns: string[], filters?: object): string;
     static getFilteredRows(filePath: string, sheetName: string, filters: object): object[];
 }
 
+export type DbConnection =
+    | string
+    | {
+          client?: 'sqlite' | 'postgres' | 'mysql' | string;
+          host?: string;
+          port?: number;
+          database?: string;
+          user?: string;
+          password?: string;
+          options?: Record<string, any>;
+      };
+
+export interface DbDriver {
+    connect(config: object): Promise<{
+        query(sql: string, params: any[]): Promise<{ rows: object[]; changes: number }>;
+        close(): Promise<void>;
+    }>;
+    quote?(name: string): string;
+}
+
+export class DbHelper {
+    static connect(connection?: DbConnection): Promise<DbHelper>;
+    static registerDriver(client: string, driver: DbDriver): void;
+    static closeAll(): Promise<void>;
+    label: string;
+    close(): Promise<void>;
+    query<T = any>(sql: string, params?: any[]): Promise<T[]>;
+    queryOne<T = any>(sql: string, params?: any[]): Promise<T | null>;
+    queryValue(sql: string, params?: any[]): Promise<any>;
+    execute(sql: string, params?: any[]): Promise<number>;
+    findRows<T = any>(table: string, where?: Record<string, any>): Promise<T[]>;
+    expectRow<T = any>(table: string, where: Record<string, any>, expected?: Record<string, any>, options?: { timeout?: number }): Promise<T>;
+    expectNoRow(table: string, where: Record<string, any>, options?: { timeout?: number }): Promise<void>;
+    expectCount(table: string, where: Record<string, any>, count: number, options?: { timeout?: number }): Promise<void>;
+}
+
 export class DataDrivenManager {
     loadFromExcel(filePath: string, sheetName: string, storeKey?: string): object[];
     loadFromJSON(filePath: string, storeKey?: string): any;
     loadFromYAML(filePath: string, storeKey?: string): any;
     loadFromCSV(filePath: string, storeKey?: string): object[];
+    loadSql(connection: DbConnection | null, query: string, alias: string, params?: any[]): Promise<this>;
     loadFromEnv(prefix?: string): object;
     get(keyPath: string): any;
     getTargetedRows(storeKey: string, flagColumn?: string): object[];
     getRowsByTag(storeKey: string, tag: string, tagColumn?: string): object[];
-    interpolate(template: string): string;
-    resolveObject(dataObj: object): object;
+    resolve<T = any>(keyPath: string, context?: object): T;
+    interpolate(template: string, context?: object): string;
+    resolveObject<T = object>(dataObj: T, context?: object): T;
+    static evaluate(expression: string, context?: object): any;
+    static registerExpression(name: string, evaluator: (argument: string, context: object) => any): void;
+    static setContextProvider(provider: () => object): void;
     clear(): void;
     getSummary(): object;
+    checkout<T = any>(poolKey: string, options?: DataPoolCheckoutOptions): Promise<T>;
+    release(record: object, key?: string): boolean;
+    static releaseAll(): number;
+    static clearStaleLocks(): number;
+    static getLockDir(): string;
+}
+
+export interface DataPoolCheckoutOptions {
+    key?: string;
+    filter?: Record<string, any> | ((record: any) => boolean);
+    timeout?: number;
 }
 
 export const dataDrivenManager: DataDrivenManager;
 
+export class ScenarioContext {
+    static current(): ScenarioContext;
+    static reset(): ScenarioContext;
+    set(name: string, value: any): this;
+    get<T = any>(name: string): T;
+    getString(name: string): string;
+    getNumber(name: string): number;
+    getBoolean(name: string): boolean;
+    has(name: string): boolean;
+    toObject(): Record<string, any>;
+    resolve(text: string): string;
+}
+
 export class FeatureGenerator {
     constructor(outputDir?: string);
     generateFromExcel(config: object): string;
@@ -294,7 +749,40 @@ export class FeatureGenerator {
 }
 
 export class TestExecutionFilter {
-    // Filter tests by environment, tags, etc.
+    constructor(matrixPath?: string, options?: { sheetName?: string; featureDir?: string; executeColumn?: string; envColumn?: string; browserColumn?: string; tagsColumn?: string; featureColumn?: string; idColumn?: string; scenarioColumn?: string });
+    load(): this;
+    getTargetedRows(overrides?: { env?: string; browser?: string }): object[];
+    getTargetedSpecs(overrides?: { env?: string; browser?: string; shard?: string | { index: number; total: number } }): string[];
+    shardSpecs(specs: string[], shard: string | { index: number; total: number }, options?: { durationsDir?: string }): string[];
+    getTargetedTagExpression(overrides?: { env?: string; browser?: string }): string;
+    toWdioConfig(overrides?: { env?: string; browser?: string }): { specs: string[]; cucumberOpts: { tagExpression: string } };
+    recordResults(cucumberJsonDir: string, options?: { since?: number }): { updated: string[]; unmatched: string[] };
+    applyQuarantine(flaky?: FlakyScenario[]): { added: string[]; removed: string[] };
+    getQuarantinedScenarios(): Array<{ file: string; name: string; line: number; auto: boolean }>;
+    excludeQuarantinedSpecs(specs?: string[]): string[];
+    onlyQuarantinedSpecs(specs?: string[]): string[];
+    findScenarioLine(featureFile: string, scenarioName: string): number | null;
+    static parseShard(shard: string | { index: number; total: number }): { index: number; total: number };
+    static excludeQuarantined(expression?: string): string;
+    static onlyQuarantined(expression?: string): string;
+}
+
+export interface FailedScenario {
+    key: string;
+    feature: string;
+    uri: string;
+    name: string;
+    browser: string;
+    line: number | null;
+    location: string;
+    error?: string;
+}
+
+export class RerunManager {
+    static collectFailed(cucumberJsonDir: string, options?: { since?: number; failedFile?: string }): FailedScenario[];
+    static loadFailed(failedFile?: string): FailedScenario[];
+    static toSpecArgs(failed: FailedScenario[]): string[];
+    static mergeResults(options: { cucumberJsonDir: string; allureResultsDir?: string; since?: number }): { flakyPassed: string[]; stillFailing: string[] };
 }
 
 // ─── Constants ────────────────────────────────────────────────
@@ -6,7 +6,23 @@
  * Core module providing:
  *   • AbstractBasePage   — shared foundation for web & mobile page objects
  *   • Logger, RetryHandler, ScreenshotManager, PerformanceTracker, etc.
+ *   • SelfHealingLocator — fingerprint-based fallback for broken selectors
+ *   • AccessibilityChecker — axe-core WCAG audits with severity threshold
+ *   • FlakyTestTracker   — scenario run history & flakiness scoring
+ *   • PerformanceHistory — run-over-run timings, regression flags & trend report
+ *   • VideoRecorder      — per-scenario screen recording, kept for failed & flaky scenarios
+ *   • BrowserConsole     — console messages & uncaught page errors per scenario
+ *   • NetworkLog         — per-scenario HAR capture & request assertions
  *   • Helpers: ApiHelper, DataGenerator, FileHelper, ExcelHelper, …
+ *   • SchemaValidator    — JSON Schema & OpenAPI contract checks for API responses
+ *   • ApiRecorder        — record / replay ApiHelper traffic (API_MODE)
+ *   • SensitiveDataMasker — credentials masked in API fixtures & HAR files
+ *   • TokenManager       — OAuth2 / OIDC tokens for ApiHelper.useOAuth2()
+ *   • CleanupRegistry    — undo actions for created test data, run after each scenario
+ *   • ScenarioContext    — per-scenario variable store, `this.ctx` in steps
+ *   • SecretVault        — ENC(...) secrets in config & test data files
+ *   • DbHelper           — SQL queries & database assertions (SQLite, Postgres, MySQL)
+ *   • RerunManager       — rerun failed scenarios, merge flaky-passed results
  *   • Constants: Timeouts, Environments, Messages
  *   • createBaseHooks()  — reusable WDIO lifecycle hook factory
  *
@@ -28,21 +44,37 @@ const {
     ReportBackupManager,
     CustomDriverResolver,
     ConfigResolver,
+    SelfHealingLocator,
+    AccessibilityChecker,
+    FlakyTestTracker,
+    PerformanceHistory,
+    VideoRecorder,
+    BrowserConsole,
+    NetworkLog,
 } = require('./src/utils');
 
 // ─── Helpers ──────────────────────────────────────────────────
 const {
     ApiHelper,
+    SchemaValidator,
+    ApiRecorder,
+    SensitiveDataMasker,
+    TokenManager,
+    CleanupRegistry,
     DataGenerator,
     FileHelper,
     DateHelper,
     StringHelper,
     EncryptionHelper,
+    SecretVault,
     ExcelHelper,
+    DbHelper,
     DataDrivenManager,
     dataDrivenManager,
+    ScenarioContext,
     FeatureGenerator,
     TestExecutionFilter,
+    RerunManager,
 } = require('./src/helpers');
 
 // ─── Constants ────────────────────────────────────────────────
@@ -69,19 +101,35 @@ module.exports = {
     ReportBackupManager,
     CustomDriverResolver,
     ConfigResolver,
+    SelfHealingLocator,
+    AccessibilityChecker,
+    FlakyTestTracker,
+    PerformanceHistory,
+    VideoRecorder,
+    BrowserConsole,
+    NetworkLog,
 
     // Helpers
     ApiHelper,
+    SchemaValidator,
+    ApiRecorder,
+    SensitiveDataMasker,
+    TokenManager,
+    CleanupRegistry,
     DataGenerator,
     FileHelper,
     DateHelper,
     StringHelper,
     EncryptionHelper,
+    SecretVault,
     ExcelHelper,
+    DbHelper,
     DataDrivenManager,
     dataDrivenManager,
+    ScenarioContext,
     FeatureGenerator,
     TestExecutionFilter,
+    RerunManager,
 
     // Constants
     Timeouts,
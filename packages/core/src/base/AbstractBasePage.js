@@ -59,6 +59,7 @@
 const path = require('path');
 const { Logger } = require('../utils/Logger');
 const { Timeouts } = require('../constants/Timeouts');
+const { SelfHealingLocator } = require('../utils/SelfHealingLocator');
 
 class AbstractBasePage {
     /**
@@ -427,7 +428,7 @@ class AbstractBasePage {
      */
     async isDisplayed(element) {
         try {
-            const el = await this._resolveElement(element);
+            const el = await this._resolveElement(element, { heal: false });
             return await el.isDisplayed();
         } catch {
             return false;
@@ -447,7 +448,7 @@ class AbstractBasePage {
      */
     async isExisting(element) {
         try {
-            const el = await this._resolveElement(element);
+            const el = await this._resolveElement(element, { heal: false });
             return await el.isExisting();
         } catch {
             return false;
@@ -467,7 +468,7 @@ class AbstractBasePage {
      */
     async isEnabled(element) {
         try {
-            const el = await this._resolveElement(element);
+            const el = await this._resolveElement(element, { heal: false });
             return await el.isEnabled();
         } catch {
             return false;
@@ -489,7 +490,7 @@ class AbstractBasePage {
      */
     async isSelected(element) {
         try {
-            const el = await this._resolveElement(element);
+            const el = await this._resolveElement(element, { heal: false });
             return await el.isSelected();
         } catch {
             return false;
@@ -1001,10 +1002,16 @@ class AbstractBasePage {
      * or a Promise that resolves to an element. If a string is passed, it is looked up
      * via the global `$()` selector.
      *
+     * When `SELF_HEALING_ENABLE=true`, the resolved element is passed through
+     * {@link _healElement} so a selector that still matches nothing after
+     * `this.timeout` can fall back to a locator built from the fingerprint
+     * captured on its last success.
+     *
      * Sub-classes (`BasePage`, `MobileBasePage`) override this method
      * to add platform-specific resolution (Shadow DOM, Frames, etc.).
      *
      * @param {WebdriverIO.Element|string|Promise<WebdriverIO.Element>} element - The element to resolve.
+     * @param {Object} [options={}] - Self-healing options, see {@link _healElement}.
      * @returns {Promise<WebdriverIO.Element>} The resolved WebdriverIO element.
      * @throws {Error} If the selector string does not match any element.
      * @access protected
@@ -1012,11 +1019,32 @@ class AbstractBasePage {
      * // Internal usage within a method:
      * const el = await this._resolveElement(element);
      */
-    async _resolveElement(element) {
-        if (typeof element !== 'string') {
+    async _resolveElement(element, options = {}) {
+        if (!SelfHealingLocator.isEnabled()) {
+            return typeof element === 'string' ? $(element) : element;
+        }
+        const el = typeof element === 'string' ? await $(element) : await element;
+        return this._healElement(el, options);
+    }
+
+    /**
+     * Apply self-healing to an already-resolved element. Returns the element
+     * unchanged when self-healing is disabled, when it exists or appears within
+     * `this.timeout` (its fingerprint is refreshed), or when no fallback locator
+     * matches a single element.
+     *
+     * @param {WebdriverIO.Element} element - The resolved WebdriverIO element.
+     * @param {Object} [options={}]
+     * @param {boolean} [options.heal=true] - `false` for checks that must not wait (`isDisplayed()` …).
+     * @returns {Promise<WebdriverIO.Element>} The original or healed element.
+     * @access protected
+     * @see SelfHealingLocator.resolve
+     */
+    async _healElement(element, options = {}) {
+        if (!SelfHealingLocator.isEnabled()) {
             return element;
         }
-        return $(element);
+        return SelfHealingLocator.resolve(element, this.constructor.name, { timeout: this.timeout, ...options });
     }
 
     /**
@@ -6,9 +6,19 @@
  * Generates a standard set of WebdriverIO hooks that wire up:
  *   • Per-worker isolated logging
  *   • Per-scenario logging context
+ *   • Fresh ScenarioContext per scenario, bound to the World as `this.ctx`
  *   • Allure environment & category writing
  *   • Auto-screenshot on failure
+ *   • Per-scenario video, kept for failed & flaky scenarios (VIDEO_ENABLE)
+ *   • Browser console & uncaught page errors, attached on failure
+ *   • Per-scenario network HAR, saved & attached on failure
  *   • Browser cleanup between scenarios
+ *   • Test data cleanup & data pool release after every scenario
+ *   • Self-healing locator report merge
+ *   • Scenario history, flakiness scoring & auto-quarantine
+ *   • Performance history, regression flags & trend report
+ *   • Results written back to the execution matrix (EXECUTION_MATRIX)
+ *   • Failed-scenario list for reruns
  *   • Report backup on completion
  *
  * Usage in consumer's wdio.conf.js:
@@ -24,6 +34,19 @@ const { Logger } = require('../utils/Logger');
 const { CustomReporter } = require('../utils/Reporter');
 const { ReportBackupManager } = require('../utils/ReportBackupManager');
 const { ConfigResolver } = require('../utils/ConfigResolver');
+const { SelfHealingLocator } = require('../utils/SelfHealingLocator');
+const { FlakyTestTracker } = require('../utils/FlakyTestTracker');
+const { PerformanceTracker } = require('../utils/PerformanceTracker');
+const { PerformanceHistory } = require('../utils/PerformanceHistory');
+const { VideoRecorder } = require('../utils/VideoRecorder');
+const { BrowserConsole } = require('../utils/BrowserConsole');
+const { NetworkLog } = require('../utils/NetworkLog');
+const { TestExecutionFilter } = require('../helpers/TestExecutionFilter');
+const { RerunManager } = require('../helpers/RerunManager');
+const { DataDrivenManager } = require('../helpers/DataDrivenManager');
+const { CleanupRegistry } = require('../helpers/CleanupRegistry');
+const { DbHelper } = require('../helpers/DbHelper');
+const { ScenarioContext } = require('../helpers/ScenarioContext');
 
 /**
  * Create a standard set of WDIO hooks for logging, reporting, and cleanup.
@@ -47,6 +70,9 @@ function createBaseHooks(options = {}) {
     const cucumberJson = path.join(reportsDir, 'cucumber-json');
     const screenshotsDir = path.join(process.cwd(), 'screenshots');
 
+    // Only cucumber-json files written after this point belong to the current run
+    const runStartedAt = Date.now();
+
     // Ensure output directories exist
     [reportsDir, allureResults, cucumberJson, screenshotsDir, logsDir].forEach((d) =>
         fs.ensureDirSync(d),
@@ -69,6 +95,9 @@ function createBaseHooks(options = {}) {
 
             CustomReporter.writeAllureEnvironment(allureResults);
             CustomReporter.writeAllureCategories(allureResults);
+
+            // Locks of workers of an earlier, interrupted run — live runs keep theirs
+            DataDrivenManager.clearStaleLocks();
         },
 
         /**
@@ -87,7 +116,7 @@ function createBaseHooks(options = {}) {
 
         /**
          * Runs before each test session (browser launch).
-         * Sets up worker-isolated logging.
+         * Sets up worker-isolated logging, browser console and network capture.
          */
         async before(capabilities, specs, browserInstance) {
             const cid = browserInstance.options?.cid || process.env.WDIO_WORKER_ID || '0-0';
@@ -98,15 +127,29 @@ function createBaseHooks(options = {}) {
             } catch {
                 // Mobile sessions don't support maximize
             }
+            await BrowserConsole.register(browserInstance);
+            await NetworkLog.register(browserInstance);
             getLogger().info(`Browser session initialised (worker: ${cid})`);
         },
 
         /**
          * Runs after each test session.
-         * Flushes worker-scoped logs before the process exits.
+         * Persists self-healing data and performance samples and
+         * flushes worker-scoped logs before the process exits.
          */
         async after() {
             getLogger().info('Browser session closing');
+            try {
+                SelfHealingLocator.flush(reportsDir);
+            } catch (err) {
+                getLogger().warn(`Self-healing flush: ${err.message}`);
+            }
+            try {
+                PerformanceTracker.getInstance().flush(reportsDir);
+            } catch (err) {
+                getLogger().warn(`Performance samples: ${err.message}`);
+            }
+            await DbHelper.closeAll();
             await Logger.flushAll();
         },
 
@@ -120,10 +163,18 @@ function createBaseHooks(options = {}) {
             getLogger().info(`◀ Feature completed: ${feature.name}`);
         },
 
-        beforeScenario(world) {
+        async beforeScenario(world, context) {
             const scenarioName = world.pickle.name;
             Logger.setScenarioContext(scenarioName);
             getLogger().info(`  ▶ Scenario: ${scenarioName}`);
+
+            // Values stored by steps never leak into the next scenario
+            const scenarioContext = ScenarioContext.reset();
+            if (context) context.ctx = scenarioContext;
+
+            BrowserConsole.startScenario();
+            NetworkLog.startScenario(world);
+            await VideoRecorder.start(world);
         },
 
         async afterScenario(world, result) {
@@ -141,6 +192,29 @@ function createBaseHooks(options = {}) {
                 }
             }
 
+            // Console output and network HAR of a failed scenario go into the report
+            try {
+                BrowserConsole.endScenario(result.passed);
+            } catch (err) {
+                getLogger().warn(`Browser console: ${err.message}`);
+            }
+            try {
+                await NetworkLog.endScenario(result.passed);
+            } catch (err) {
+                getLogger().warn(`Network HAR: ${err.message}`);
+            }
+
+            // Keep the video of failed and flaky scenarios only
+            try {
+                const video = await VideoRecorder.stop(result.passed);
+                if (video) VideoRecorder.attach(video);
+            } catch (err) {
+                getLogger().warn(`Scenario video: ${err.message}`);
+            }
+
+            // Undo test data the scenario created (newest first) — failures are only logged
+            await CleanupRegistry.runAll();
+
             // Clean browser state between scenarios
             if (cleanBrowserState) {
                 try {
@@ -154,6 +228,9 @@ function createBaseHooks(options = {}) {
                 }
             }
 
+            // Return checked-out data pool records for other workers
+            DataDrivenManager.releaseAll();
+
             Logger.clearScenarioContext();
         },
 
@@ -183,6 +260,40 @@ function createBaseHooks(options = {}) {
                 getLogger().warn(`Cucumber report generation: ${err.message}`);
             }
 
+            try {
+                SelfHealingLocator.mergeReports(reportsDir);
+            } catch (err) {
+                getLogger().warn(`Self-healing report: ${err.message}`);
+            }
+
+            // scripts/runTests.js records history and failures once, after its reruns
+            if (process.env.RERUN_ORCHESTRATED !== 'true') {
+                try {
+                    RerunManager.collectFailed(cucumberJson, { since: runStartedAt });
+                    FlakyTestTracker.recordRun(cucumberJson, { since: runStartedAt });
+                    if (ConfigResolver.getBool('FLAKY_AUTO_QUARANTINE')) {
+                        new TestExecutionFilter().applyQuarantine();
+                    }
+                } catch (err) {
+                    getLogger().warn(`Flaky test tracking: ${err.message}`);
+                }
+
+                const matrix = ConfigResolver.get('EXECUTION_MATRIX', '');
+                if (matrix && ConfigResolver.getBool('EXECUTION_MATRIX_WRITE_RESULTS', true)) {
+                    try {
+                        new TestExecutionFilter(matrix).recordResults(cucumberJson, { since: runStartedAt });
+                    } catch (err) {
+                        getLogger().warn(`Execution matrix results: ${err.message}`);
+                    }
+                }
+
+                try {
+                    PerformanceHistory.recordRun(reportsDir);
+                } catch (err) {
+                    getLogger().warn(`Performance history: ${err.message}`);
+                }
+            }
+
             if (ConfigResolver.getBool('REPORT_BACKUP_ENABLE')) {
                 try {
                     const backupManager = new ReportBackupManager({ sourceDir: reportsDir });
@@ -6,11 +6,32 @@
  * Provides a simple, chainable HTTP client built on top of axios
  * for API-level validation, test-data seeding, and hybrid
  * UI + API testing patterns.
+ *
+ * Responses can be checked against JSON Schema files
+ * (`expectSchema('user-list')`) and, when API_OPENAPI_SPEC is set,
+ * every call is validated against its OpenAPI contract
+ * (API_CONTRACT_MODE: fail | warn | off).
+ *
+ * API_MODE=record writes every request/response pair to HAR-like
+ * fixture files; API_MODE=replay serves them back without network
+ * access (see ApiRecorder).
+ *
+ * useOAuth2() fetches, caches and renews OAuth2 / OIDC access tokens
+ * (client-credentials, password and refresh-token grants; see
+ * TokenManager).
+ *
+ * `cleanup()` registers an undo action for an entity a request
+ * created; it runs after the scenario (see CleanupRegistry).
  */
 
 const axios = require('axios');
 const { Logger } = require('../utils/Logger');
 const { RetryHandler } = require('../utils/RetryHandler');
+const { ConfigResolver } = require('../utils/ConfigResolver');
+const { SchemaValidator } = require('./SchemaValidator');
+const { ApiRecorder } = require('./ApiRecorder');
+const { TokenManager } = require('./TokenManager');
+const { CleanupRegistry } = require('./CleanupRegistry');
 
 /**
  * @class ApiHelper
@@ -18,7 +39,9 @@ const { RetryHandler } = require('../utils/RetryHandler');
  * logging, and convenience methods for authentication, GraphQL, file uploads, and endpoint
  * polling. Instances can be created via the constructor or the static {@link ApiHelper.create}
  * factory method. Every response is normalised into a standard envelope with `status`, `data`,
- * `headers`, `duration`, and assertion helpers (`isSuccess()`, `isClientError()`, `isServerError()`).
+ * `headers`, `duration`, and assertion helpers (`isSuccess()`, `isClientError()`, `isServerError()`,
+ * `expectSchema()`, `cleanup()`). Request methods return a promise that also exposes
+ * `expectSchema()` and `cleanup()`, so a schema check or a teardown can be chained onto the call.
  *
  * @example
  * const { ApiHelper } = require('./helpers/ApiHelper');
@@ -31,6 +54,12 @@ const { RetryHandler } = require('../utils/RetryHandler');
  * const users = await api.get('/users', { page: 1 });
  * const created = await api.post('/users', { name: 'Alice', role: 'admin' });
  * console.log(created.status, created.data.id);
+ *
+ * // Validate the body against test/data/schemas/user-list.schema.json
+ * await api.get('/users').expectSchema('user-list');
+ *
+ * // Delete the created user after the scenario
+ * await api.post('/users', { name: 'Carol' }).cleanup((res) => `/users/${res.data.id}`);
  */
 class ApiHelper {
     /**
@@ -48,6 +77,9 @@ class ApiHelper {
     constructor(baseURL, defaultHeaders = {}) {
         this.logger = Logger.getInstance('ApiHelper');
         this.retryConfig = { maxAttempts: 1, delay: 1000 };
+        this.contract = null;
+        this.recordingName = null;
+        this.tokenManager = null;
         this.client = axios.create({
             baseURL,
             timeout: 30000,
@@ -60,7 +92,10 @@ class ApiHelper {
         });
 
         // Request / response interceptors for logging and timing
-        this.client.interceptors.request.use((config) => {
+        this.client.interceptors.request.use(async (config) => {
+            if (this.tokenManager) {
+                config.headers.Authorization = `Bearer ${await this.tokenManager.getToken()}`;
+            }
             config.metadata = { startTime: Date.now() };
             this.logger.debug(`→ ${config.method.toUpperCase()} ${config.baseURL}${config.url}`);
             return config;
@@ -74,6 +109,13 @@ class ApiHelper {
             this.logger.debug(`← ${response.status} ${response.statusText} (${duration}ms)`);
             return response;
         });
+
+        this.setMode(ApiRecorder.getMode());
+
+        const specPath = ConfigResolver.get('API_OPENAPI_SPEC', '');
+        if (specPath) {
+            this.useOpenApi(specPath, { mode: ConfigResolver.get('API_CONTRACT_MODE', 'fail') });
+        }
     }
 
     /**
@@ -98,6 +140,85 @@ class ApiHelper {
         return this;
     }
 
+    /**
+     * Validate every response against an OpenAPI 3 / Swagger 2 document. Calls whose
+     * operation is not in the document are logged and left alone. Enabled automatically
+     * from `API_OPENAPI_SPEC` / `API_CONTRACT_MODE`.
+     *
+     * @param {string} specPath - Path to the OpenAPI document (JSON or YAML).
+     * @param {Object} [options={}] - Contract options.
+     * @param {string} [options.mode='fail'] - `'fail'` throws on a contract violation,
+     *   `'warn'` only logs it, `'off'` disables validation.
+     * @returns {ApiHelper} The current instance for method chaining.
+     * @throws {Error} If the document cannot be read or the mode is unknown.
+     *
+     * @example
+     * const api = ApiHelper.create('https://api.example.com')
+     *     .useOpenApi('test/data/openapi.yaml', { mode: 'warn' });
+     * await api.get('/users/42'); // logs any field that breaks the documented schema
+     */
+    useOpenApi(specPath, { mode = 'fail' } = {}) {
+        const normalised = String(mode).toLowerCase();
+        if (!['fail', 'warn', 'off'].includes(normalised)) {
+            throw new Error(`Unknown API contract mode "${mode}". Use one of: fail, warn, off.`);
+        }
+        if (normalised === 'off') {
+            this.contract = null;
+            return this;
+        }
+        this.contract = { spec: SchemaValidator.loadOpenApi(specPath), specPath, mode: normalised };
+        this.logger.info(`OpenAPI contract validation (${normalised}): ${specPath}`);
+        return this;
+    }
+
+    // ─── Record / Replay ──────────────────────────────────────
+
+    /**
+     * Switch between live traffic, recording, and replay. Set from `API_MODE` on
+     * construction; call this to override it for one client.
+     *
+     * @param {string} mode - `'live'`, `'record'` or `'replay'`.
+     * @returns {ApiHelper} The current instance for method chaining.
+     * @throws {Error} If the mode is unknown.
+     *
+     * @example
+     * const api = ApiHelper.create('https://api.example.com').setMode('replay');
+     * const users = await api.get('/users'); // served from test/data/api-recordings/api.example.com.har.json
+     */
+    setMode(mode) {
+        this.mode = ApiRecorder.getMode(mode);
+        this.client.defaults.adapter =
+            ApiRecorder.createAdapter(this.mode, () => this.getRecordingPath()) || axios.defaults.adapter;
+        if (this.mode !== 'live') {
+            this.logger.info(`API ${this.mode} mode: ${this.getRecordingPath()}`);
+        }
+        return this;
+    }
+
+    /**
+     * Record to / replay from a named fixture file instead of the default one per
+     * API host (e.g. one recording per data-setup flow).
+     *
+     * @param {string} name - File name in `API_RECORDINGS_DIR`, without `.har.json`.
+     * @returns {ApiHelper} The current instance for method chaining.
+     *
+     * @example
+     * const api = ApiHelper.create('https://api.example.com').useRecording('checkout-setup');
+     */
+    useRecording(name) {
+        this.recordingName = name;
+        return this;
+    }
+
+    /**
+     * Absolute path of the fixture file used by record / replay mode.
+     *
+     * @returns {string}
+     */
+    getRecordingPath() {
+        return ApiRecorder.fixturePath({ name: this.recordingName, baseURL: this.client.defaults.baseURL });
+    }
+
     // ─── Core HTTP Methods ────────────────────────────────────
 
     /**
@@ -108,16 +229,22 @@ class ApiHelper {
      * @param {Object} [headers={}] - Additional request headers.
      * @returns {Promise.<Object>} A normalised response object with `status`, `statusText`,
      *   `headers`, `data`, `duration`, and convenience assertion methods `isSuccess()`,
-     *   `isClientError()`, and `isServerError()`.
+     *   `isClientError()`, `isServerError()`, `expectSchema()` and `cleanup()`. The promise
+     *   itself also exposes `expectSchema()` and `cleanup()`.
      * @throws {Error} If retries are enabled and all attempts fail due to network or
      *   server errors.
+     * @throws {Error} If the response breaks the OpenAPI contract in `'fail'` mode.
      *
      * @example
      * const response = await api.get('/users', { page: 2, limit: 10 });
      * console.log(response.status); // 200
      * console.log(response.data);   // [{ id: 1, name: 'Alice' }, ...]
+     *
+     * @example
+     * // Fail with the path of every offending field if the body breaks the schema
+     * await api.get('/users').expectSchema('user-list');
      */
-    async get(url, params = {}, headers = {}) {
+    get(url, params = {}, headers = {}) {
         return this._withRetry(() => this.client.get(url, { params, headers }));
     }
 
@@ -133,8 +260,12 @@ class ApiHelper {
      * @example
      * const response = await api.post('/users', { name: 'Bob', email: 'bob@test.com' });
      * console.log(response.data.id); // newly created user ID
+     *
+     * @example
+     * // DELETE /users/<id> after the scenario
+     * await api.post('/users', { name: 'Bob' }).cleanup((res) => `/users/${res.data.id}`);
      */
-    async post(url, data = {}, headers = {}) {
+    post(url, data = {}, headers = {}) {
         return this._withRetry(() => this.client.post(url, data, { headers }));
     }
 
@@ -151,7 +282,7 @@ class ApiHelper {
      * const response = await api.put('/users/42', { name: 'Bob Updated', email: 'bob@test.com' });
      * console.log(response.isSuccess()); // true
      */
-    async put(url, data = {}, headers = {}) {
+    put(url, data = {}, headers = {}) {
         return this._withRetry(() => this.client.put(url, data, { headers }));
     }
 
@@ -168,7 +299,7 @@ class ApiHelper {
      * const response = await api.patch('/users/42', { role: 'admin' });
      * console.log(response.data.role); // 'admin'
      */
-    async patch(url, data = {}, headers = {}) {
+    patch(url, data = {}, headers = {}) {
         return this._withRetry(() => this.client.patch(url, data, { headers }));
     }
 
@@ -184,7 +315,7 @@ class ApiHelper {
      * const response = await api.delete('/users/42');
      * console.log(response.status); // 204
      */
-    async delete(url, headers = {}) {
+    delete(url, headers = {}) {
         return this._withRetry(() => this.client.delete(url, { headers }));
     }
 
@@ -253,6 +384,37 @@ class ApiHelper {
      */
     clearAuth() {
         delete this.client.defaults.headers.common['Authorization'];
+        this.tokenManager = null;
+    }
+
+    /**
+     * Authenticate every subsequent request with an OAuth2 / OIDC access token. The
+     * token is fetched on first use, cached for the worker, renewed before it
+     * expires, and renewed once more when a request returns HTTP 401 (the request is
+     * then retried once). Unset options fall back to the `OAUTH_*` config keys.
+     *
+     * @param {Object} [options={}] - See {@link TokenManager} (`grantType`, `tokenUrl`,
+     *   `issuer`, `clientId`, `clientSecret`, `scope`, `audience`, `username`, `password`,
+     *   `refreshToken`, `clientAuth`, `extraParams`).
+     * @returns {ApiHelper} The current instance for method chaining.
+     * @throws {Error} If the grant type is unknown or required options are missing.
+     *
+     * @example
+     * // Client credentials from OAUTH_TOKEN_URL / OAUTH_CLIENT_ID / OAUTH_CLIENT_SECRET
+     * const api = ApiHelper.create('https://api.example.com').useOAuth2({ scope: 'orders:write' });
+     *
+     * // Resource owner password grant for a specific test user
+     * const userApi = ApiHelper.create('https://api.example.com').useOAuth2({
+     *     grantType: 'password',
+     *     username: 'standard_user',
+     *     password: 's3cret',
+     * });
+     * await userApi.get('/me');
+     */
+    useOAuth2(options = {}) {
+        this.tokenManager = new TokenManager(options);
+        this.logger.info(`OAuth2 enabled (${this.tokenManager.options.grantType})`);
+        return this;
     }
 
     // ─── GraphQL ──────────────────────────────────────────────
@@ -277,7 +439,7 @@ class ApiHelper {
      * `, { id: '42' });
      * console.log(response.data.data.user.name); // 'Alice'
      */
-    async graphql(url, query, variables = {}, headers = {}) {
+    graphql(url, query, variables = {}, headers = {}) {
         return this.post(url, { query, variables }, headers);
     }
 
@@ -315,14 +477,16 @@ class ApiHelper {
             );
         }
         const fs = require('fs');
-        const form = new FormData();
-        form.append(fieldName, fs.createReadStream(filePath));
-        Object.entries(additionalData).forEach(([key, value]) => form.append(key, value));
-
-        const response = await this.client.post(url, form, {
-            headers: form.getHeaders(),
+        // A new form (and file stream) per attempt — a 401 retry cannot re-send a consumed stream
+        const response = await this._authorized(() => {
+            const form = new FormData();
+            form.append(fieldName, fs.createReadStream(filePath));
+            Object.entries(additionalData).forEach(([key, value]) => form.append(key, value));
+            return this.client.post(url, form, {
+                headers: form.getHeaders(),
+            });
         });
-        return this._wrapResponse(response);
+        return this._checkContract(this._wrapResponse(response), response);
     }
 
     // ─── Polling / Wait ───────────────────────────────────────
@@ -376,24 +540,33 @@ class ApiHelper {
     // ─── Helpers ──────────────────────────────────────────────
 
     /**
-     * Execute an HTTP call with optional retry logic for transient failures.
+     * Execute an HTTP call with optional retry logic for transient failures. The
+     * returned promise exposes `expectSchema()` and `cleanup()` for chaining.
      * @private
      */
-    async _withRetry(requestFn) {
+    _withRetry(requestFn) {
+        const promise = this._send(requestFn);
+        promise.expectSchema = (schema) => promise.then((res) => res.expectSchema(schema));
+        promise.cleanup = (undo, description) => promise.then((res) => res.cleanup(undo, description));
+        return promise;
+    }
+
+    /** @private */
+    async _send(requestFn) {
         const { maxAttempts, delay } = this.retryConfig;
         if (maxAttempts <= 1) {
-            const response = await requestFn();
-            return this._wrapResponse(response);
+            const response = await this._authorized(requestFn);
+            return this._checkContract(this._wrapResponse(response), response);
         }
 
-        return RetryHandler.retry(
+        const response = await RetryHandler.retry(
             async () => {
-                const response = await requestFn();
+                const response = await this._authorized(requestFn);
                 // Treat 5xx as retryable transient errors
                 if (response.status >= 500) {
                     throw new Error(`Server error: HTTP ${response.status}`);
                 }
-                return this._wrapResponse(response);
+                return response;
             },
             {
                 maxAttempts,
@@ -406,6 +579,63 @@ class ApiHelper {
                 },
             },
         );
+        return this._checkContract(this._wrapResponse(response), response);
+    }
+
+    /**
+     * Send a request; on HTTP 401 with OAuth2 enabled, renew the token and retry once.
+     * @private
+     */
+    async _authorized(requestFn) {
+        const response = await requestFn();
+        if (response.status !== 401 || !this.tokenManager) return response;
+        this.logger.info('HTTP 401 — renewing the OAuth2 token and retrying once');
+        this.tokenManager.invalidate();
+        return requestFn();
+    }
+
+    /**
+     * Validate a wrapped response against the OpenAPI contract, if one is set.
+     * @private
+     */
+    _checkContract(wrapped, response) {
+        if (!this.contract) return wrapped;
+        const request = this._describeRequest(response);
+        const result = SchemaValidator.validateResponse(this.contract.spec, {
+            method: request.method,
+            path: request.path,
+            status: response.status,
+            contentType: (response.headers && response.headers['content-type']) || 'application/json',
+            data: response.data,
+        });
+
+        if (!result.documented) {
+            this.logger.warn(`${request.label} is not documented in ${this.contract.specPath} — contract not checked`);
+        } else if (!result.valid) {
+            const lines = result.errors.map((e) => `  • ${e.path}: ${e.message}`);
+            const message =
+                `${request.label} → ${response.status} breaks the OpenAPI contract of ${result.operation} ` +
+                `(${result.errors.length} error(s)):\n${lines.join('\n')}`;
+            if (this.contract.mode === 'fail') throw new Error(message);
+            this.logger.warn(message);
+        }
+        return wrapped;
+    }
+
+    /**
+     * Method, absolute path and log label of the request behind a response.
+     * @private
+     */
+    _describeRequest(response) {
+        const config = response.config || {};
+        const method = (config.method || 'get').toUpperCase();
+        let requestPath = config.url || '';
+        try {
+            requestPath = new URL(config.url, config.baseURL).pathname;
+        } catch {
+            // Relative URL without a base URL — use it as is
+        }
+        return { method, path: requestPath, label: `${method} ${requestPath}` };
     }
 
     /**
@@ -414,10 +644,11 @@ class ApiHelper {
      * @private
      * @param {Object} response - The raw axios response object.
      * @returns {Object} Normalised response with `status`, `statusText`, `headers`,
-     *   `data`, `duration`, `isSuccess()`, `isClientError()`, and `isServerError()`.
+     *   `data`, `duration`, `isSuccess()`, `isClientError()`, `isServerError()`,
+     *   `expectSchema()` and `cleanup()`.
      */
     _wrapResponse(response) {
-        return {
+        const wrapped = {
             status: response.status,
             statusText: response.statusText,
             headers: response.headers,
@@ -428,7 +659,41 @@ class ApiHelper {
             isSuccess: () => response.status >= 200 && response.status < 300,
             isClientError: () => response.status >= 400 && response.status < 500,
             isServerError: () => response.status >= 500,
+
+            // Schema validation — throws with the path of every offending field
+            expectSchema: (schema) => {
+                SchemaValidator.assertValid(response.data, schema, {
+                    label: `Response of ${this._describeRequest(response).label}`,
+                });
+                return wrapped;
+            },
+
+            // Teardown — undo is a URL to DELETE, or a function returning one (or doing the undo itself)
+            cleanup: (undo, description) => {
+                const label = this._describeRequest(response).label;
+                if (!wrapped.isSuccess()) {
+                    this.logger.debug(`${label} → ${response.status}: nothing created, no cleanup registered`);
+                    return wrapped;
+                }
+                CleanupRegistry.register(description || `${label} → ${response.status}`, async () => {
+                    const result = typeof undo === 'function' ? await undo(wrapped) : undo;
+                    if (typeof result === 'string') await this._deleteForCleanup(result);
+                });
+                return wrapped;
+            },
         };
+        return wrapped;
+    }
+
+    /**
+     * DELETE a created entity; 404 counts as already gone.
+     * @private
+     */
+    async _deleteForCleanup(url) {
+        const response = await this.delete(url);
+        if (!response.isSuccess() && response.status !== 404) {
+            throw new Error(`DELETE ${url} → HTTP ${response.status}`);
+        }
     }
 
     // ─── Factory ──────────────────────────────────────────────
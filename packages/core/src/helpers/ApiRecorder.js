@@ -0,0 +1,308 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * ApiRecorder - Record & Replay ApiHelper Traffic
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Backs the `API_MODE` setting of ApiHelper:
+ *
+ *   live    — requests go to the network (default)
+ *   record  — requests go to the network and every request/response
+ *             pair is written to a HAR-like fixture file
+ *   replay  — responses are served from the fixture files; nothing
+ *             touches the network, so API data setup works in offline
+ *             CI and air-gapped labs
+ *
+ * Fixtures live in API_RECORDINGS_DIR, one file per API host
+ * (`api.example.com.har.json`) unless ApiHelper.useRecording(name)
+ * picks another.  Replay matches on method + URL (query included);
+ * repeated calls to the same URL are answered in recorded order,
+ * the last response repeating.  Credentials in headers and in
+ * request and response bodies (passwords, OAuth2 tokens, cookies …)
+ * are masked by SensitiveDataMasker before they are written, so
+ * fixtures can be committed.  Replayed token responses carry the
+ * masked values, which replay never sends anywhere.
+ *
+ * Record with a single worker (`--maxInstances=1`): fixture files
+ * are rewritten after every call.
+ *
+ * @module ApiRecorder
+ * @example
+ * API_MODE=record npx wdio run config/wdio.conf.js --maxInstances=1
+ * API_MODE=replay npm test
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+const { Logger } = require('../utils/Logger');
+const { ConfigResolver } = require('../utils/ConfigResolver');
+const { SensitiveDataMasker } = require('./SensitiveDataMasker');
+
+const logger = Logger.getInstance('ApiRecorder');
+
+const MODES = ['live', 'record', 'replay'];
+const FIXTURE_EXTENSION = '.har.json';
+
+/**
+ * Static record/replay store for ApiHelper.
+ *
+ * @class ApiRecorder
+ */
+class ApiRecorder {
+    // ─── Configuration ────────────────────────────────────────
+
+    /**
+     * @param {string} [mode] - Explicit mode; defaults to API_MODE
+     * @returns {string} `live`, `record` or `replay`
+     * @throws {Error} If the mode is unknown.
+     */
+    static getMode(mode) {
+        const resolved = String(mode || ConfigResolver.get('API_MODE', 'live')).toLowerCase();
+        if (!MODES.includes(resolved)) {
+            throw new Error(`Unknown API_MODE "${resolved}". Use one of: ${MODES.join(', ')}.`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Fixture file for a recording name, or for the host of a base URL.
+     *
+     * @param {Object} options
+     * @param {string} [options.name] - Recording name (file name without extension)
+     * @param {string} [options.baseURL] - Used when no name is given
+     * @returns {string} Absolute path
+     */
+    static fixturePath({ name, baseURL } = {}) {
+        const dir = path.resolve(ConfigResolver.get('API_RECORDINGS_DIR', 'test/data/api-recordings'));
+        let fileName = name;
+        if (!fileName) {
+            try {
+                fileName = new URL(baseURL).host;
+            } catch {
+                fileName = 'default';
+            }
+        }
+        return path.join(dir, `${fileName.replace(/[^\w.-]+/g, '_')}${FIXTURE_EXTENSION}`);
+    }
+
+    // ─── Adapters ─────────────────────────────────────────────
+
+    /**
+     * Build an axios adapter for the mode, or `null` for live mode.
+     *
+     * @param {string} mode - `live`, `record` or `replay`
+     * @param {function(): string} getFixturePath - Returns the fixture file for a request
+     * @returns {Function|null}
+     */
+    static createAdapter(mode, getFixturePath) {
+        if (mode === 'record') {
+            const networkAdapter = axios.getAdapter(axios.defaults.adapter);
+            return async (config) => {
+                const startedAt = Date.now();
+                const response = await networkAdapter(config);
+                this.record(getFixturePath(), config, response, Date.now() - startedAt);
+                return response;
+            };
+        }
+        if (mode === 'replay') {
+            return async (config) => this.replay(getFixturePath(), config);
+        }
+        return null;
+    }
+
+    // ─── Record / Replay ──────────────────────────────────────
+
+    /**
+     * Append a request/response pair to a fixture file.  The first call to a
+     * URL in this process replaces what an earlier recording had for it.
+     *
+     * @param {string} fixtureFile
+     * @param {Object} config - axios request config
+     * @param {Object} response - axios response (raw adapter output)
+     * @param {number} [time=0] - Duration in ms
+     * @returns {void}
+     */
+    static record(fixtureFile, config, response, time = 0) {
+        const key = this._requestKey(config);
+        const har = this._read(fixtureFile);
+
+        const rerecorded = this._rerecorded.get(fixtureFile) || new Set();
+        if (!rerecorded.has(key)) {
+            har.log.entries = har.log.entries.filter((entry) => this._entryKey(entry) !== key);
+            rerecorded.add(key);
+            this._rerecorded.set(fixtureFile, rerecorded);
+        }
+
+        har.log.entries.push(this._toEntry(config, response, time));
+        fs.outputFileSync(fixtureFile, `${JSON.stringify(har, null, 2)}\n`);
+        this._cache.delete(fixtureFile);
+        logger.debug(`Recorded ${key} → ${path.basename(fixtureFile)}`);
+    }
+
+    /**
+     * Serve a recorded response for a request.
+     *
+     * @param {string} fixtureFile
+     * @param {Object} config - axios request config
+     * @returns {Promise<Object>} axios response
+     * @throws {Error} If nothing was recorded for the request.
+     */
+    static async replay(fixtureFile, config) {
+        const key = this._requestKey(config);
+        const har = this._cache.get(fixtureFile) || this._read(fixtureFile);
+        this._cache.set(fixtureFile, har);
+
+        const matches = har.log.entries.filter((entry) => this._entryKey(entry) === key);
+        if (matches.length === 0) {
+            throw new Error(
+                `API_MODE=replay: no recorded response for ${key} in ${fixtureFile}. ` +
+                    'Record it against a reachable backend with API_MODE=record.',
+            );
+        }
+
+        const cursorKey = `${fixtureFile}|${key}`;
+        const index = Math.min(this._cursors.get(cursorKey) || 0, matches.length - 1);
+        this._cursors.set(cursorKey, index + 1);
+        const entry = matches[index];
+        logger.debug(`Replayed ${key} → ${entry.response.status} (${index + 1}/${matches.length})`);
+
+        const response = {
+            data: entry.response.content.text || '',
+            status: entry.response.status,
+            statusText: entry.response.statusText || '',
+            headers: Object.fromEntries(entry.response.headers.map((h) => [h.name.toLowerCase(), h.value])),
+            config,
+            request: { replayed: true },
+        };
+        if (config.validateStatus && !config.validateStatus(response.status)) {
+            const { AxiosError } = axios;
+            throw new AxiosError(
+                `Request failed with status code ${response.status}`,
+                response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+                config,
+                response.request,
+                response,
+            );
+        }
+        return response;
+    }
+
+    /**
+     * Forget replay positions and cached fixture files (e.g. between scenarios).
+     *
+     * @returns {void}
+     */
+    static reset() {
+        this._cache = new Map();
+        this._cursors = new Map();
+        this._rerecorded = new Map();
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /** @private */
+    static _read(fixtureFile) {
+        if (!fs.existsSync(fixtureFile)) {
+            return { log: { version: '1.2', creator: { name: '@wdio-framework/core ApiRecorder' }, entries: [] } };
+        }
+        try {
+            return fs.readJsonSync(fixtureFile);
+        } catch (err) {
+            throw new Error(`Unreadable API recording ${fixtureFile}: ${err.message}`);
+        }
+    }
+
+    /**
+     * `METHOD absolute-url` with query parameters sorted.
+     * @private
+     */
+    static _requestKey(config) {
+        return `${(config.method || 'get').toUpperCase()} ${this._normaliseUrl(axios.getUri(config))}`;
+    }
+
+    /** @private */
+    static _entryKey(entry) {
+        return `${entry.request.method.toUpperCase()} ${this._normaliseUrl(entry.request.url)}`;
+    }
+
+    /** @private */
+    static _normaliseUrl(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.searchParams.sort();
+            return parsed.toString();
+        } catch {
+            return url;
+        }
+    }
+
+    /**
+     * HAR 1.2 entry for a request/response pair.
+     * @private
+     */
+    static _toEntry(config, response, time) {
+        const requestHeaders = this._headerList(config.headers);
+        const responseHeaders = this._headerList(response.headers);
+        const responseMimeType = this._header(responseHeaders, 'content-type') || 'application/octet-stream';
+        const url = axios.getUri(config);
+        const entry = {
+            startedDateTime: new Date().toISOString(),
+            time,
+            request: {
+                method: (config.method || 'get').toUpperCase(),
+                url,
+                headers: requestHeaders,
+                queryString: [...new URL(url).searchParams].map(([name, value]) => ({ name, value })),
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText || '',
+                headers: responseHeaders,
+                content: {
+                    mimeType: responseMimeType,
+                    text: SensitiveDataMasker.maskBody(this._bodyText(response.data), responseMimeType),
+                },
+            },
+        };
+        if (config.data !== undefined && config.data !== null) {
+            const mimeType = this._header(requestHeaders, 'content-type') || 'application/json';
+            entry.request.postData = {
+                mimeType,
+                text:
+                    typeof config.data === 'string' ? SensitiveDataMasker.maskBody(config.data, mimeType) : '[stream]',
+            };
+        }
+        return entry;
+    }
+
+    /**
+     * Axios headers → HAR header list, credentials masked.
+     * @private
+     */
+    static _headerList(headers) {
+        const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : headers || {};
+        return SensitiveDataMasker.maskHeaders(
+            Object.entries(plain)
+                .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+                .map(([name, value]) => ({ name, value: String(value) })),
+        );
+    }
+
+    /** @private */
+    static _header(list, name) {
+        const found = list.find((h) => h.name.toLowerCase() === name);
+        return found ? found.value : '';
+    }
+
+    /** @private */
+    static _bodyText(data) {
+        if (data === undefined || data === null) return '';
+        if (typeof data === 'string') return data;
+        if (Buffer.isBuffer(data)) return data.toString('utf-8');
+        return JSON.stringify(data);
+    }
+}
+
+ApiRecorder.reset();
+
+module.exports = { ApiRecorder };
@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * CleanupRegistry - Test Data Teardown
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Steps and ApiHelper calls register every entity they create
+ * (user, order, uploaded file …) together with an undo action.
+ * The base hooks run the undo actions after each scenario, newest
+ * first — an order is deleted before the user who placed it.
+ *
+ * A failing undo action is logged and the remaining ones still
+ * run; teardown never changes the scenario's result.
+ * CLEANUP_ENABLE=false keeps the data (e.g. to inspect it locally).
+ *
+ * @module CleanupRegistry
+ * @example
+ * const user = await api.post('/users', payload).cleanup((res) => `/users/${res.data.id}`);
+ *
+ * CleanupRegistry.register(`file ${exportPath}`, () => fs.remove(exportPath));
+ */
+
+const { Logger } = require('../utils/Logger');
+const { ConfigResolver } = require('../utils/ConfigResolver');
+
+const logger = Logger.getInstance('CleanupRegistry');
+
+/**
+ * Static, per-worker registry of undo actions.
+ *
+ * @class CleanupRegistry
+ */
+class CleanupRegistry {
+    // ─── Registration ─────────────────────────────────────────
+
+    /**
+     * Register an undo action for an entity the scenario created.
+     *
+     * @param {string} description - What is undone, e.g. `'user TEST-1709136000000-X7B2K4'`
+     * @param {function(): (Promise<*>|*)} undo - Deletes / reverts the entity
+     * @returns {number} Handle for {@link CleanupRegistry.cancel}
+     * @throws {Error} If `undo` is not a function.
+     */
+    static register(description, undo) {
+        if (typeof undo !== 'function') {
+            throw new Error(`CleanupRegistry.register("${description}"): undo action must be a function.`);
+        }
+        const id = ++this._lastId;
+        this._entries.push({ id, description, undo });
+        logger.debug(`Registered cleanup: ${description}`);
+        return id;
+    }
+
+    /**
+     * Drop a registered undo action, e.g. when the scenario deleted the entity itself.
+     *
+     * @param {number} id - Handle returned by {@link CleanupRegistry.register}
+     * @returns {boolean} False if no such action is pending
+     */
+    static cancel(id) {
+        const index = this._entries.findIndex((entry) => entry.id === id);
+        if (index === -1) return false;
+        this._entries.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * @returns {string[]} Descriptions of the pending undo actions, oldest first
+     */
+    static pending() {
+        return this._entries.map((entry) => entry.description);
+    }
+
+    // ─── Teardown ─────────────────────────────────────────────
+
+    /**
+     * Run every pending undo action, newest first, and empty the registry.
+     * Failures are logged, never thrown.
+     *
+     * @returns {Promise<{cleaned: number, failed: Array<{description: string, error: string}>}>}
+     */
+    static async runAll() {
+        const entries = this._entries.reverse();
+        this._entries = [];
+        const result = { cleaned: 0, failed: [] };
+        if (entries.length === 0) return result;
+
+        if (!this.isEnabled()) {
+            logger.info(`CLEANUP_ENABLE=false — keeping ${entries.length} created entity(s)`);
+            return result;
+        }
+
+        for (const { description, undo } of entries) {
+            try {
+                await undo();
+                result.cleaned++;
+                logger.debug(`Cleaned up: ${description}`);
+            } catch (err) {
+                result.failed.push({ description, error: err.message });
+                logger.warn(`Cleanup of ${description} failed: ${err.message}`);
+            }
+        }
+        logger.info(
+            `Test data cleanup: ${result.cleaned} removed` +
+                `${result.failed.length ? `, ${result.failed.length} failed (left behind)` : ''}`,
+        );
+        return result;
+    }
+
+    /**
+     * Forget every pending undo action without running it.
+     *
+     * @returns {void}
+     */
+    static reset() {
+        this._entries = [];
+        this._lastId = 0;
+    }
+
+    /**
+     * @returns {boolean} False when CLEANUP_ENABLE=false (keep created data)
+     */
+    static isEnabled() {
+        return ConfigResolver.getBool('CLEANUP_ENABLE', true);
+    }
+}
+
+CleanupRegistry.reset();
+
+module.exports = { CleanupRegistry };
@@ -4,36 +4,185 @@
  * ═══════════════════════════════════════════════════════════════════════
  *
  * A single entry-point for all test data operations.  Resolves data
- * from JSON files, Excel workbooks, environment variables, or inline
- * defaults — in a prioritised cascade.
+ * from JSON files, Excel workbooks, SQL queries, environment variables,
+ * or inline defaults — in a prioritised cascade.
  *
  * Design philosophy:
  *   1. Test scripts never hard-code data.
  *   2. Data can be swapped per environment / run without code changes.
  *   3. Targeted execution: only rows that are flagged "Execute = Y"
  *      (or matching tag / filter criteria) are fed into tests.
- *   4. Data sources are pluggable: JSON today, DB tomorrow.
+ *   4. Data sources are pluggable: JSON, Excel and SQL databases
+ *      (SQLite, Postgres, MySQL — see DbHelper).
  *
  * Resolution priority (highest → lowest):
  *   Environment variable  →  Excel  →  JSON file  →  inline default
  *
+ * Data pools (parallel-safe):
+ *   `checkout()` hands a worker a record (e.g. a user account) that no
+ *   other worker holds, locked by an exclusive lock file in
+ *   DATA_POOL_LOCK_DIR.  Locks are released after every scenario by
+ *   the base hooks (`DataDrivenManager.releaseAll()`), when the worker
+ *   exits, and are ignored once their worker process is gone.
+ *
+ * Expressions:
+ *   Besides `{{key.path}}` placeholders, strings in data files, Excel
+ *   cells and Gherkin step arguments may contain `${...}` expressions,
+ *   evaluated by interpolate() / resolveObject():
+ *     ${faker.email}  ${faker.person.firstName}  ${faker.number:1,100}
+ *     ${date.today}  ${date.today+3d:YYYY-MM-DD}  ${date.now-2h:HH:mm}
+ *     ${env.BASE_URL}  ${ctx.orderId}
+ *     ${encrypt:plain text}  ${decrypt:ENC(...)}
+ *   More namespaces: DataDrivenManager.registerExpression().  A
+ *   `${...}` of an unknown namespace is left as it is, and values
+ *   substituted for `{{key.path}}` are never evaluated.
+ *   Write `$${...}` for a literal `${...}` (e.g. a JS template string
+ *   typed into a field); it is passed through without the extra `$`.
+ *
  * Usage:
  *   const ddm = new DataDrivenManager();
  *   ddm.loadJson('test/data/users.json');
  *   ddm.loadExcel('test/data/testData.xlsx', 'LoginTests');
+ *   await ddm.loadSql('sqlite:test/data/shop.db', 'SELECT * FROM products WHERE active = 1', 'products');
  *   const creds = ddm.get('validUsers.admin');
  *   const rows  = ddm.getTargetedRows('LoginTests', { Execute: 'Y' });
+ *   const user  = await ddm.checkout('validUsers', { key: 'username', filter: { role: 'user' } });
  *
  * @module DataDrivenManager
  */
 
 const path = require('path');
 const fs = require('fs-extra');
+const dayjs = require('dayjs');
+const { faker } = require('@faker-js/faker');
 const { Logger } = require('../utils/Logger');
+const { ConfigResolver } = require('../utils/ConfigResolver');
 const { ExcelHelper } = require('./ExcelHelper');
+const { SecretVault } = require('./SecretVault');
+const { DbHelper } = require('./DbHelper');
+const { DataGenerator } = require('./DataGenerator');
+const { DateHelper } = require('./DateHelper');
 
 const logger = Logger.getInstance('DataDrivenManager');
 
+/** `${faker.<shorthand>}` names that are not DataGenerator.generate<Name>() methods. */
+const FAKER_ALIASES = {
+    firstName: 'person.firstName',
+    lastName: 'person.lastName',
+    fullName: 'person.fullName',
+    username: 'internet.userName',
+    city: 'location.city',
+    country: 'location.country',
+    zipCode: 'location.zipCode',
+    street: 'location.streetAddress',
+    company: 'company.name',
+};
+
+/** `${date.today+3d}` offset units → dayjs units. */
+const DATE_UNITS = { s: 'second', m: 'minute', h: 'hour', d: 'day', w: 'week', M: 'month', y: 'year' };
+
+/** Values of `${ctx.*}` when interpolate() is called without a context. */
+let contextProvider = () => ({});
+
+/** `${...}` expression namespaces: name → function(argument, context). */
+const expressions = new Map([
+    [
+        'faker',
+        (arg) => {
+            const [name, rawArgs] = splitOnce(arg, ':');
+            const args = rawArgs === undefined ? [] : rawArgs.split(',').map(parseArgument);
+            const generator = `generate${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+            if (!name.includes('.') && typeof DataGenerator[generator] === 'function') {
+                return DataGenerator[generator](...args);
+            }
+            const fakerPath = FAKER_ALIASES[name] || name;
+            const segments = fakerPath.split('.');
+            const method = segments.pop();
+            const module = segments.reduce((node, key) => (node ? node[key] : undefined), faker);
+            if (!module || typeof module[method] !== 'function') {
+                throw new Error(
+                    `Unknown faker expression "\${faker.${name}}". Use a DataGenerator shorthand (email, uuid, ` +
+                        'phone, password, number …) or a faker method path — see https://fakerjs.dev/api/',
+                );
+            }
+            return module[method](...args);
+        },
+    ],
+    [
+        'date',
+        (arg) => {
+            const [spec, format] = splitOnce(arg, ':');
+            const match = spec.match(/^(today|now)((?:[+-]\d+[smhdwMy])*)$/);
+            if (!match) {
+                throw new Error(
+                    `Invalid date expression "\${date.${arg}}". ` +
+                        'Use today or now, optional offsets and format, e.g. ${date.today+3d:DD/MM/YYYY}.',
+                );
+            }
+            let date = match[1] === 'today' ? dayjs().startOf('day') : dayjs();
+            for (const [, amount, unit] of match[2].matchAll(/([+-]\d+)([smhdwMy])/g)) {
+                date = date.add(Number(amount), DATE_UNITS[unit]);
+            }
+            return DateHelper.format(date, format || (match[1] === 'today' ? 'YYYY-MM-DD' : 'YYYY-MM-DD HH:mm:ss'));
+        },
+    ],
+    [
+        'env',
+        (name) => {
+            const value = process.env[name] !== undefined ? process.env[name] : ConfigResolver.get(name, null);
+            if (value === null) {
+                throw new Error(`\${env.${name}} is not set. Define ${name} in .env or the environment config.`);
+            }
+            return value;
+        },
+    ],
+    [
+        'ctx',
+        (keyPath, context) => {
+            const value = keyPath
+                .split('.')
+                .reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), context);
+            if (value === undefined) {
+                throw new Error(`\${ctx.${keyPath}} has no value — no earlier step stored "${keyPath}".`);
+            }
+            return value;
+        },
+    ],
+    ['encrypt', (plainText) => SecretVault.encryptValue(plainText)],
+    ['decrypt', (value) => SecretVault.decryptValue(value)],
+]);
+
+/** `'a:b:c'` → `['a', 'b:c']`; no separator → `[text, undefined]`. */
+function splitOnce(text, separator) {
+    const index = text.indexOf(separator);
+    return index === -1 ? [text, undefined] : [text.slice(0, index), text.slice(index + 1)];
+}
+
+/** Expression arguments are strings, numbers or booleans. */
+function parseArgument(text) {
+    const trimmed = text.trim();
+    if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+    if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+    return trimmed;
+}
+
+/** Lock files held by this worker process: lock file → { pool, id }. */
+const heldLocks = new Map();
+
+/** Age (ms) after which a stale-lock takeover marker is considered abandoned. */
+const TAKEOVER_TIMEOUT = 10000;
+
+// A worker that exits mid-scenario must not keep its records locked
+process.on('exit', () => {
+    for (const lockFile of heldLocks.keys()) {
+        try {
+            fs.removeSync(lockFile);
+        } catch {
+            // Best effort — stale locks of dead workers are ignored anyway
+        }
+    }
+});
+
 /**
  * Centralised test data orchestration engine.
  * Resolves data from JSON files, Excel workbooks, environment variables,
@@ -52,7 +201,8 @@ class DataDrivenManager {
     // ─── JSON Data Loading ────────────────────────────────────
 
     /**
-     * Load a JSON data file into the manager.
+     * Load a JSON data file into the manager.  `ENC(...)` values are
+     * decrypted with the ENCRYPTION_KEY master passphrase (see SecretVault).
      *
      * @param {string} filePath  Path to JSON file
      * @param {string} [alias]   Friendly alias (default: filename without ext)
@@ -64,7 +214,8 @@ class DataDrivenManager {
             throw new Error(`JSON data file not found: ${absPath}`);
         }
 
-        const data = fs.readJsonSync(absPath);
+        const raw = fs.readJsonSync(absPath);
+        const data = SecretVault.containsEncrypted(raw) ? SecretVault.decryptObject(raw) : raw;
         const key = alias || path.basename(filePath, path.extname(filePath));
 
         this._stores.set(key, data);
@@ -133,6 +284,31 @@ class DataDrivenManager {
         return this;
     }
 
+    // ─── SQL Data Loading ─────────────────────────────────────
+
+    /**
+     * Load the rows of a SQL query as a store (an array, like an Excel sheet).
+     *
+     * @param {string|object} connection  Connection URL, SQLite file path, or
+     *                                    connection object — see DbHelper.connect()
+     *                                    (null: DB_* config)
+     * @param {string} query   SELECT statement, `?` placeholders
+     * @param {string} alias   Store alias
+     * @param {Array}  [params]
+     * @returns {Promise<DataDrivenManager>}
+     */
+    async loadSql(connection, query, alias, params = []) {
+        if (!alias) {
+            throw new Error('loadSql() needs an alias to store the query rows under.');
+        }
+        const db = await DbHelper.connect(connection);
+        const rows = await db.query(query, params);
+        this._stores.set(alias, rows);
+        this._rebuildCache();
+        logger.info(`Loaded SQL data source: "${alias}" (${rows.length} rows from ${db.label})`);
+        return this;
+    }
+
     // ─── Data Retrieval ───────────────────────────────────────
 
     /**
@@ -162,6 +338,19 @@ class DataDrivenManager {
         return undefined;
     }
 
+    /**
+     * Get a value with its placeholders and expressions resolved — e.g. a
+     * JSON record or Excel rows containing `${faker.email}`.
+     *
+     * @param {string} keyPath
+     * @param {object} [context]  Values for `${ctx.*}`
+     * @returns {*}
+     */
+    resolve(keyPath, context) {
+        const value = this.get(keyPath);
+        return value === undefined ? undefined : this.resolveObject(value, context);
+    }
+
     /**
      * Get a full data store by its alias / key.
      *
@@ -250,32 +439,94 @@ class DataDrivenManager {
     // ─── Data Injection / Substitution ────────────────────────
 
     /**
-     * Replace placeholders in a string with data values.
-     * Placeholders use {{key.path}} syntax.
+     * Replace placeholders in a string with data values and evaluate
+     * `${...}` expressions (see the module header).
+     * Placeholders use {{key.path}} syntax; unknown ones are left as they are,
+     * and so are `${...}` of an unknown namespace.  `$${...}` is the escape
+     * for a literal `${...}`.  Only the template's own text is evaluated —
+     * values substituted for placeholders are never scanned for expressions.
      *
-     * @param {string} template  e.g. 'Hello {{validUsers.admin.username}}'
+     * @param {string} template  e.g. 'Hello {{validUsers.admin.username}}, ship on ${date.today+3d}'
+     * @param {object} [context] Values for `${ctx.*}` (default: the registered context provider)
      * @returns {string}
+     * @throws {Error} If an expression of a known namespace cannot be evaluated.
      */
-    interpolate(template) {
-        return template.replace(/\{\{(.+?)\}\}/g, (match, keyPath) => {
-            const val = this.get(keyPath.trim());
-            return val !== undefined ? String(val) : match;
+    interpolate(template, context) {
+        const values = context || contextProvider();
+        return template.replace(/\{\{(.+?)\}\}|\$?\$\{([^}]+)\}/g, (match, keyPath, expression) => {
+            if (keyPath !== undefined) {
+                const val = this.get(keyPath.trim());
+                return val !== undefined ? String(val) : match;
+            }
+            if (match.startsWith('$$')) return match.slice(1);
+            const [name] = expression.trim().match(/^[\w-]+/) || [''];
+            if (!expressions.has(name)) return match;
+            return String(DataDrivenManager.evaluate(expression, values));
         });
     }
 
+    /**
+     * Evaluate one expression, without the `${ }`.
+     *
+     * @param {string} expression  e.g. 'faker.email', 'date.today+1w:DD.MM.YYYY', 'encrypt:s3cret'
+     * @param {object} [context]   Values for `ctx.*` (default: the registered context provider)
+     * @returns {*}
+     * @throws {Error} If the namespace is unknown or the expression cannot be evaluated.
+     */
+    static evaluate(expression, context) {
+        const trimmed = expression.trim();
+        const [name] = trimmed.match(/^[\w-]+/) || [''];
+        const evaluator = expressions.get(name);
+        if (!evaluator) {
+            throw new Error(
+                `Unknown expression "\${${trimmed}}". Known namespaces: ${[...expressions.keys()].join(', ')} ` +
+                    '(add more with DataDrivenManager.registerExpression()).',
+            );
+        }
+        return evaluator(trimmed.slice(name.length + 1), context || contextProvider());
+    }
+
+    /**
+     * Add (or replace) an expression namespace: `${name.argument}` or `${name:argument}`.
+     *
+     * @param {string} name
+     * @param {function(string, object): *} evaluator  Receives the text after
+     *        `name.` / `name:` and the `ctx` values
+     * @example
+     * DataDrivenManager.registerExpression('sku', (category) => `${category.toUpperCase()}-${Date.now()}`);
+     * ddm.interpolate('${sku.shoes}');   // 'SHOES-1709136000000'
+     */
+    static registerExpression(name, evaluator) {
+        if (typeof evaluator !== 'function') {
+            throw new Error(`registerExpression("${name}"): evaluator must be a function.`);
+        }
+        expressions.set(name, evaluator);
+    }
+
+    /**
+     * Set where `${ctx.*}` values come from when interpolate() gets no context,
+     * e.g. the current scenario's stored variables.
+     *
+     * @param {function(): object} provider
+     */
+    static setContextProvider(provider) {
+        contextProvider = provider;
+    }
+
     /**
      * Create a deep clone of a data object with placeholders resolved.
      * Uses recursive traversal instead of JSON roundtrip to prevent
      * issues with special characters in values.
      *
      * @param {object} dataObj
+     * @param {object} [context]  Values for `${ctx.*}`
      * @returns {object}
      */
-    resolveObject(dataObj) {
+    resolveObject(dataObj, context) {
         const self = this;
         function _resolve(obj) {
             if (typeof obj === 'string') {
-                return self.interpolate(obj);
+                return self.interpolate(obj, context);
             }
             if (Array.isArray(obj)) {
                 return obj.map(_resolve);
@@ -292,6 +543,119 @@ class DataDrivenManager {
         return _resolve(dataObj);
     }
 
+    // ─── Data Pool (parallel-safe checkout) ───────────────────
+
+    /**
+     * Check out a record from a pool that no other worker holds, and lock it
+     * until {@link DataDrivenManager.releaseAll} (called after every scenario by
+     * the base hooks) or {@link DataDrivenManager#release}.
+     *
+     * The pool is a loaded store or a dotted path into the loaded data: an array
+     * (Excel sheet, JSON array) or an object whose values are the records
+     * (e.g. `validUsers` in users.json).  Waits up to DATA_POOL_WAIT_MS for a
+     * record to become free.
+     *
+     * @param {string} poolKey  Store alias or dotted path, e.g. 'validUsers' or 'LoginTests'
+     * @param {object} [options]
+     * @param {string} [options.key]  Field identifying a record (default: object key, else row index)
+     * @param {object|Function} [options.filter]  Column-value pairs, or a predicate, selecting eligible records
+     * @param {number} [options.timeout]  Max wait in ms (default: DATA_POOL_WAIT_MS)
+     * @returns {Promise<object>}  A copy of the checked-out record
+     * @throws {Error} If the pool is empty or nothing becomes free in time
+     */
+    async checkout(poolKey, options = {}) {
+        const { key, filter, timeout = ConfigResolver.getInt('DATA_POOL_WAIT_MS', 60000) } = options;
+        const candidates = this._poolRecords(poolKey, key).filter(({ record }) => this._matches(record, filter));
+        if (candidates.length === 0) {
+            throw new Error(`Data pool "${poolKey}" has no records${filter ? ' matching the filter' : ''}.`);
+        }
+
+        const poolDir = path.join(DataDrivenManager.getLockDir(), this._safeName(poolKey));
+        fs.ensureDirSync(poolDir);
+        const deadline = Date.now() + timeout;
+
+        for (;;) {
+            for (const { id, record } of candidates) {
+                const lockFile = path.join(poolDir, `${this._safeName(id)}.lock`);
+                if (this._acquireLock(lockFile)) {
+                    heldLocks.set(lockFile, { pool: poolKey, id, record });
+                    logger.info(`Checked out "${id}" from pool "${poolKey}"`);
+                    return JSON.parse(JSON.stringify(record));
+                }
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(
+                    `No free record in data pool "${poolKey}" after ${timeout}ms — all ${candidates.length} ` +
+                        'eligible record(s) are checked out by other workers. Add records or lower maxInstances.',
+                );
+            }
+            await new Promise((resolve) => setTimeout(resolve, 250));
+        }
+    }
+
+    /**
+     * Release one record checked out by this worker.
+     *
+     * @param {object} record  The object returned by {@link DataDrivenManager#checkout}
+     * @param {string} [key]   Identifying field used at checkout
+     * @returns {boolean}  False if the record was not checked out
+     */
+    release(record, key) {
+        for (const [lockFile, held] of heldLocks) {
+            const matches = key
+                ? held.record[key] === record[key]
+                : JSON.stringify(held.record) === JSON.stringify(record);
+            if (matches) {
+                DataDrivenManager._releaseLock(lockFile);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Release every record checked out by this worker process.
+     *
+     * @returns {number}  Number of records released
+     */
+    static releaseAll() {
+        const count = heldLocks.size;
+        for (const lockFile of [...heldLocks.keys()]) {
+            DataDrivenManager._releaseLock(lockFile);
+        }
+        return count;
+    }
+
+    /**
+     * Remove the pool locks of worker processes that are gone — run once
+     * before workers start (the base hooks' `onPrepare` does this).  Locks of
+     * live processes, e.g. of another run sharing DATA_POOL_LOCK_DIR, are kept.
+     *
+     * @returns {number}  Number of stale locks removed
+     */
+    static clearStaleLocks() {
+        const lockDir = DataDrivenManager.getLockDir();
+        if (!fs.existsSync(lockDir)) return 0;
+        let removed = 0;
+        for (const pool of fs.readdirSync(lockDir, { withFileTypes: true })) {
+            if (!pool.isDirectory()) continue;
+            const poolDir = path.join(lockDir, pool.name);
+            for (const file of fs.readdirSync(poolDir)) {
+                if (file.endsWith('.lock') && DataDrivenManager._removeStaleLock(path.join(poolDir, file))) removed++;
+                if (file.endsWith('.takeover')) DataDrivenManager._removeAbandonedTakeover(path.join(poolDir, file));
+            }
+        }
+        if (removed > 0) logger.info(`Removed ${removed} stale data pool lock(s)`);
+        return removed;
+    }
+
+    /**
+     * @returns {string}  Absolute DATA_POOL_LOCK_DIR
+     */
+    static getLockDir() {
+        return path.resolve(ConfigResolver.get('DATA_POOL_LOCK_DIR', '.cache/data-pool'));
+    }
+
     // ─── Utility ──────────────────────────────────────────────
 
     /**
@@ -319,6 +683,142 @@ class DataDrivenManager {
 
     // ─── Private ──────────────────────────────────────────────
 
+    /** Records of a pool as `{ id, record }`. */
+    _poolRecords(poolKey, key) {
+        const pool = this._stores.has(poolKey) ? this._stores.get(poolKey) : this._getByPath(this._cache, poolKey);
+        if (!pool || typeof pool !== 'object') {
+            throw new Error(`Data pool "${poolKey}" not found. Load it first (loadJson / loadExcelSheet).`);
+        }
+        const entries = Array.isArray(pool) ? pool.map((record, i) => [String(i), record]) : Object.entries(pool);
+        return entries
+            .filter(([, record]) => record && typeof record === 'object')
+            .map(([fallbackId, record]) => ({
+                id: key && record[key] !== undefined && record[key] !== '' ? String(record[key]) : fallbackId,
+                record,
+            }));
+    }
+
+    _matches(record, filter) {
+        if (!filter) return true;
+        if (typeof filter === 'function') return filter(record);
+        const normalise = (value) => String(value ?? '').trim().toLowerCase();
+        return Object.entries(filter).every(([column, value]) => normalise(record[column]) === normalise(value));
+    }
+
+    /** Atomically create the lock file; a lock whose process is gone is taken over. */
+    _acquireLock(lockFile) {
+        const owner = JSON.stringify({
+            pid: process.pid,
+            worker: process.env.WDIO_WORKER_ID || '',
+            acquiredAt: new Date().toISOString(),
+        });
+        try {
+            fs.writeFileSync(lockFile, owner, { flag: 'wx' });
+            return true;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+
+        let staleOwner;
+        let holder;
+        try {
+            staleOwner = fs.readFileSync(lockFile, 'utf-8');
+            holder = JSON.parse(staleOwner);
+        } catch {
+            return false; // Being written or just released — try again on the next round
+        }
+        if (holder.pid === process.pid || DataDrivenManager._isAlive(holder.pid)) return false;
+
+        // Several workers can see the same dead holder: one at a time takes over,
+        // the others retry on the next round
+        const takeover = `${lockFile}.takeover`;
+        try {
+            fs.writeFileSync(takeover, owner, { flag: 'wx' });
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            DataDrivenManager._removeAbandonedTakeover(takeover);
+            return false;
+        }
+        try {
+            // Taken over (or released) by another worker since it was read
+            let current = null;
+            try {
+                current = fs.readFileSync(lockFile, 'utf-8');
+            } catch {
+                // Released — free for a plain acquire on the next round
+            }
+            if (current !== staleOwner) return false;
+
+            logger.warn(
+                `Taking over stale lock ${path.basename(lockFile)} (worker ${holder.worker || holder.pid} is gone)`,
+            );
+            // Replaced by an atomic rename, so the lock file is never missing for an exclusive create to win
+            const temp = `${lockFile}.${process.pid}.tmp`;
+            fs.writeFileSync(temp, owner);
+            fs.renameSync(temp, lockFile);
+            return true;
+        } finally {
+            fs.removeSync(takeover);
+        }
+    }
+
+    /** A takeover marker left by a worker that died mid-takeover would block the record forever. */
+    static _removeAbandonedTakeover(takeover) {
+        try {
+            if (Date.now() - fs.statSync(takeover).mtimeMs > TAKEOVER_TIMEOUT) fs.removeSync(takeover);
+        } catch {
+            // Already removed
+        }
+    }
+
+    /** Remove a lock whose process is gone, behind the same takeover marker as _acquireLock(). */
+    static _removeStaleLock(lockFile) {
+        let staleOwner;
+        try {
+            staleOwner = fs.readFileSync(lockFile, 'utf-8');
+            if (DataDrivenManager._isAlive(JSON.parse(staleOwner).pid)) return false;
+        } catch {
+            return false; // Being written or just released
+        }
+        const takeover = `${lockFile}.takeover`;
+        try {
+            fs.writeFileSync(takeover, JSON.stringify({ pid: process.pid }), { flag: 'wx' });
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            return false; // A worker is taking it over
+        }
+        try {
+            // Taken over by a worker of another run since it was read
+            if (fs.readFileSync(lockFile, 'utf-8') !== staleOwner) return false;
+            fs.removeSync(lockFile);
+            return true;
+        } catch {
+            return false;
+        } finally {
+            fs.removeSync(takeover);
+        }
+    }
+
+    static _isAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (err) {
+            return err.code === 'EPERM';
+        }
+    }
+
+    _safeName(name) {
+        return String(name).replace(/[^\w.@-]+/g, '_');
+    }
+
+    static _releaseLock(lockFile) {
+        const held = heldLocks.get(lockFile);
+        heldLocks.delete(lockFile);
+        fs.removeSync(lockFile);
+        if (held) logger.info(`Released "${held.id}" to pool "${held.pool}"`);
+    }
+
     _rebuildCache() {
         this._cache = {};
         for (const [key, value] of this._stores) {
@@ -6,11 +6,226 @@
  * Wraps @faker-js/faker to generate realistic, randomised test
  * data on demand.  Keeps test suites deterministic when a seed
  * is provided, yet flexible enough for data-driven testing.
+ *
+ * Factories: an entity is described once as a field schema
+ * (`DataGenerator.define()`) and built with related entities
+ * nested (`DataGenerator.build('order', { items: 3 })`).  The same
+ * schema yields boundary and invalid variants for negative tests.
+ * Built in: address, customer, product, orderItem, order.
  */
 
-const { faker } = require('@faker-js/faker');
+const { faker, Faker } = require('@faker-js/faker');
 const { v4: uuidv4 } = require('uuid');
 
+/** Reference date of seeded builds, so dates are stable across days too. */
+const SEEDED_REF_DATE = '2025-01-01T00:00:00.000Z';
+
+/** Marks a field removed from a variant. */
+const OMIT = Symbol('omit');
+
+/** Entity schemas registered with {@link DataGenerator.define}: name → normalised fields. */
+const factories = new Map();
+
+/** `'person.firstName'` → bound faker function. */
+function fakerFunction(f, fakerPath) {
+    const segments = fakerPath.split('.');
+    const method = segments.pop();
+    const module = segments.reduce((node, key) => (node ? node[key] : undefined), f);
+    if (!module || typeof module[method] !== 'function') {
+        throw new Error(`Unknown faker method "${fakerPath}" in factory field. See https://fakerjs.dev/api/`);
+    }
+    return module[method].bind(module);
+}
+
+function addDays(value, days) {
+    const date = new Date(value);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date;
+}
+
+/**
+ * Field types: how a value is generated, and which boundary and invalid
+ * values the schema implies.  Each variant is `{ case, value }`.
+ */
+const FIELD_TYPES = {
+    string: {
+        generate(spec, f) {
+            let value = spec.faker ? String(fakerFunction(f, spec.faker)()) : f.lorem.words(2);
+            if (spec.maxLength !== undefined) value = value.slice(0, spec.maxLength);
+            if (spec.minLength !== undefined && value.length < spec.minLength) {
+                value += f.string.alpha(spec.minLength - value.length);
+            }
+            return value;
+        },
+        boundary: (spec, f) => [
+            spec.minLength !== undefined && {
+                case: `minLength (${spec.minLength})`,
+                value: f.string.alpha(spec.minLength),
+            },
+            spec.maxLength !== undefined && {
+                case: `maxLength (${spec.maxLength})`,
+                value: f.string.alpha(spec.maxLength),
+            },
+        ],
+        invalid(spec, f) {
+            const min = spec.minLength !== undefined ? spec.minLength : spec.required ? 1 : 0;
+            return [
+                min > 0 && {
+                    case: min === 1 ? 'empty' : `below minLength (${min - 1})`,
+                    value: f.string.alpha(min - 1),
+                },
+                spec.maxLength !== undefined && {
+                    case: `above maxLength (${spec.maxLength + 1})`,
+                    value: f.string.alpha(spec.maxLength + 1),
+                },
+                { case: 'not a string', value: 12345 },
+            ];
+        },
+    },
+    integer: {
+        generate: (spec, f) => f.number.int({ min: spec.min ?? 0, max: spec.max ?? 1000 }),
+        boundary: (spec) => [
+            spec.min !== undefined && { case: `min (${spec.min})`, value: spec.min },
+            spec.max !== undefined && { case: `max (${spec.max})`, value: spec.max },
+        ],
+        invalid: (spec) => [
+            spec.min !== undefined && { case: `below min (${spec.min - 1})`, value: spec.min - 1 },
+            spec.max !== undefined && { case: `above max (${spec.max + 1})`, value: spec.max + 1 },
+            { case: 'not an integer', value: (spec.min ?? 0) + 0.5 },
+            { case: 'not a number', value: 'abc' },
+        ],
+    },
+    number: {
+        generate: (spec, f) =>
+            f.number.float({ min: spec.min ?? 0, max: spec.max ?? 1000, multipleOf: spec.precision ?? 0.01 }),
+        boundary: (spec) => [
+            spec.min !== undefined && { case: `min (${spec.min})`, value: spec.min },
+            spec.max !== undefined && { case: `max (${spec.max})`, value: spec.max },
+        ],
+        invalid(spec) {
+            const step = spec.precision ?? 0.01;
+            const round = (value) => Number(value.toFixed(10));
+            return [
+                spec.min !== undefined && {
+                    case: `below min (${round(spec.min - step)})`,
+                    value: round(spec.min - step),
+                },
+                spec.max !== undefined && {
+                    case: `above max (${round(spec.max + step)})`,
+                    value: round(spec.max + step),
+                },
+                { case: 'not a number', value: 'abc' },
+            ];
+        },
+    },
+    boolean: {
+        generate: (spec, f) => f.datatype.boolean(),
+        boundary: () => [],
+        invalid: () => [{ case: 'not a boolean', value: 'yes' }],
+    },
+    email: {
+        generate: (spec, f) => f.internet.email().toLowerCase(),
+        boundary: (spec, f) => [
+            { case: 'plus addressing', value: `${f.internet.userName().toLowerCase()}+test@example.com` },
+            { case: 'subdomain', value: `${f.internet.userName().toLowerCase()}@mail.example.co.uk` },
+        ],
+        invalid: () => [
+            { case: 'missing @', value: 'user.example.com' },
+            { case: 'missing domain', value: 'user@' },
+            { case: 'missing local part', value: '@example.com' },
+            { case: 'double @', value: 'user@@example.com' },
+            { case: 'contains space', value: 'us er@example.com' },
+        ],
+    },
+    enum: {
+        generate: (spec, f) => f.helpers.arrayElement(spec.values),
+        boundary: (spec) => [
+            { case: 'first value', value: spec.values[0] },
+            { case: 'last value', value: spec.values[spec.values.length - 1] },
+        ],
+        invalid: () => [{ case: 'unknown value', value: 'UNKNOWN_VALUE' }],
+    },
+    date: {
+        generate(spec, f) {
+            const date =
+                spec.min !== undefined || spec.max !== undefined
+                    ? f.date.between({ from: spec.min ?? '1970-01-01', to: spec.max ?? f.defaultRefDate() })
+                    : f.date.recent({ days: 30 });
+            return FIELD_TYPES.date.format(spec, date);
+        },
+        format: (spec, date) => (spec.format === 'date' ? date.toISOString().slice(0, 10) : date.toISOString()),
+        boundary: (spec) => [
+            spec.min !== undefined && {
+                case: `min (${spec.min})`,
+                value: FIELD_TYPES.date.format(spec, new Date(spec.min)),
+            },
+            spec.max !== undefined && {
+                case: `max (${spec.max})`,
+                value: FIELD_TYPES.date.format(spec, new Date(spec.max)),
+            },
+        ],
+        invalid: (spec) => [
+            spec.min !== undefined && {
+                case: 'before min',
+                value: FIELD_TYPES.date.format(spec, addDays(spec.min, -1)),
+            },
+            spec.max !== undefined && { case: 'after max', value: FIELD_TYPES.date.format(spec, addDays(spec.max, 1)) },
+            { case: 'not a date', value: 'not-a-date' },
+            { case: 'impossible date', value: '2023-02-30' },
+        ],
+    },
+    uuid: {
+        generate: (spec, f) => f.string.uuid(),
+        boundary: () => [],
+        invalid: () => [{ case: 'not a UUID', value: 'not-a-uuid' }],
+    },
+};
+
+/**
+ * Field shorthand → full spec: `'email'` (type), `'person.firstName'` (faker
+ * method), a function (custom generator), or an object.
+ */
+function normaliseField(name, spec) {
+    if (typeof spec === 'function') return { type: 'custom', generate: spec };
+    if (typeof spec === 'string') {
+        return FIELD_TYPES[spec] ? { type: spec } : { type: 'string', faker: spec };
+    }
+    if (!spec || typeof spec !== 'object') {
+        throw new Error(`Factory field "${name}" must be a type name, faker method, function or object.`);
+    }
+    if (spec.ref) return { ...spec, type: spec.count !== undefined || spec.min !== undefined ? 'list' : 'ref' };
+    if (spec.derive) return { ...spec, type: 'derived' };
+    if (spec.generate && !spec.type) return { ...spec, type: 'custom' };
+    if ('value' in spec) return { ...spec, type: 'constant' };
+    const type = spec.type || (spec.faker ? 'string' : undefined);
+    if (spec.type === 'enum' && !(Array.isArray(spec.values) && spec.values.length)) {
+        throw new Error(`Factory field "${name}" of type enum needs a non-empty "values" array.`);
+    }
+    if (!FIELD_TYPES[type]) {
+        throw new Error(
+            `Factory field "${name}" has unknown type "${spec.type}". ` +
+                `Use one of: ${Object.keys(FIELD_TYPES).join(', ')}, or ref / derive / generate / value.`,
+        );
+    }
+    return { ...spec, type };
+}
+
+function setPath(target, segments, value) {
+    const parent = segments.slice(0, -1).reduce((node, key) => node[key], target);
+    const last = segments[segments.length - 1];
+    if (value === OMIT) delete parent[last];
+    else parent[last] = value;
+}
+
+function clone(value) {
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+    }
+    return value;
+}
+
 /**
  * Static utility class that wraps {@link https://fakerjs.dev/ @faker-js/faker} to generate
  * realistic, randomised test data for WebdriverIO test suites.
@@ -816,6 +1031,327 @@ class DataGenerator {
         const random = faker.string.alphanumeric(6).toUpperCase();
         return `${prefix}-${timestamp}-${random}`;
     }
+
+    // ─── Factories ────────────────────────────────────────────
+
+    /**
+     * Register (or replace) an entity factory. Each field is one of:
+     *
+     * - a type — `'email'`, `'uuid'`, `'boolean'`, or an object `{ type, required, … }` with
+     *   `string` (`faker`, `minLength`, `maxLength`), `integer` / `number` (`min`, `max`,
+     *   `precision`), `enum` (`values`), `date` (`min`, `max`, `format: 'date'`), `email`,
+     *   `uuid`, `boolean`;
+     * - a faker method path — `'person.firstName'`;
+     * - a related entity — `{ ref: 'address' }`, or a list `{ ref: 'orderItem', count: 1, min: 1, max: 50 }`;
+     * - a custom generator — `(faker) => value`, or `{ generate: (faker) => value }`;
+     * - a fixed value — `{ value: 'EUR' }`;
+     * - a derived value — `{ derive: (entity) => value }`, computed after every other field.
+     *
+     * `min` / `max` / `minLength` / `maxLength` / `values` / `required` also drive
+     * {@link DataGenerator.boundaryVariants} and {@link DataGenerator.invalidVariants}.
+     *
+     * @param {string} name - Factory name, e.g. `'invoice'`
+     * @param {Object<string, (string|Function|Object)>} fields - Field name → field spec
+     * @returns {void}
+     * @throws {Error} If a field spec is malformed.
+     *
+     * @example
+     * DataGenerator.define('invoice', {
+     *     number: { type: 'string', generate: (f) => `INV-${f.string.numeric(6)}`, required: true },
+     *     customer: { ref: 'customer', required: true },
+     *     lines: { ref: 'orderItem', count: 2, min: 1, max: 100, required: true },
+     *     currency: { type: 'enum', values: ['EUR', 'USD', 'GBP'], required: true },
+     *     dueDate: { type: 'date', min: '2025-01-01', max: '2025-12-31', format: 'date' },
+     *     total: { derive: (inv) => inv.lines.reduce((sum, l) => sum + l.product.price * l.quantity, 0) },
+     * });
+     */
+    static define(name, fields) {
+        const normalised = Object.fromEntries(
+            Object.entries(fields).map(([field, spec]) => [field, normaliseField(`${name}.${field}`, spec)]),
+        );
+        factories.set(name, normalised);
+    }
+
+    /**
+     * Build an entity with its related entities nested. Overrides pin field
+     * values; for a related entity they are nested overrides, and for a list a
+     * number sets how many elements are built.
+     *
+     * Pass a `seed` for output that is identical on every run and every day,
+     * without disturbing the global faker sequence.
+     *
+     * @param {string} name - Factory name
+     * @param {Object} [overrides={}] - Field values, nested overrides or list sizes
+     * @param {Object} [options={}]
+     * @param {number} [options.seed] - Seed for this build only
+     * @returns {Object} The entity
+     * @throws {Error} If the factory (or a factory it references) is not defined.
+     *
+     * @example
+     * const order = DataGenerator.build('order', { items: 3 });
+     * console.log(order.customer.address.city, order.items.length, order.total);
+     *
+     * @example <caption>Pin nested fields, stable across runs</caption>
+     * const order = DataGenerator.build('order', { status: 'PAID', customer: { email: 'qa@example.com' } }, { seed: 7 });
+     */
+    static build(name, overrides = {}, { seed } = {}) {
+        return this._build(name, overrides, this._faker(seed));
+    }
+
+    /**
+     * Build several entities of one factory.
+     *
+     * @param {string} name - Factory name
+     * @param {number} count - Number of entities
+     * @param {Object} [overrides={}] - Applied to every entity
+     * @param {Object} [options={}]
+     * @param {number} [options.seed] - Seed for the whole list
+     * @returns {Object[]}
+     */
+    static buildList(name, count, overrides = {}, { seed } = {}) {
+        const f = this._faker(seed);
+        return Array.from({ length: count }, () => this._build(name, overrides, f));
+    }
+
+    /**
+     * Variants of one entity in which a single field (nested fields included) sits
+     * exactly on an edge the schema allows — min / max length or value, first /
+     * last enum value, smallest / largest list. Every variant is valid.
+     *
+     * @param {string} name - Factory name
+     * @param {Object} [options={}]
+     * @param {Object} [options.overrides={}] - Overrides of the base entity
+     * @param {string[]} [options.fields] - Only variants of these field paths (and below)
+     * @param {number} [options.seed] - Seed of the base entity and variant values
+     * @returns {Array<{ field: string, case: string, data: Object }>}
+     *
+     * @example
+     * for (const { field, case: edge, data } of DataGenerator.boundaryVariants('customer')) {
+     *     const res = await api.post('/customers', data);
+     *     expect(res.status, `${field} at ${edge}`).to.equal(201);
+     * }
+     */
+    static boundaryVariants(name, options = {}) {
+        return this._variants(name, 'boundary', options);
+    }
+
+    /**
+     * Variants of one entity in which a single field (nested fields included) is
+     * invalid — missing or null when required, out of range, too short / long,
+     * wrong type, malformed email / date / UUID, unknown enum value. Everything
+     * else stays valid, so each variant tests one rule.
+     *
+     * @param {string} name - Factory name
+     * @param {Object} [options={}]
+     * @param {Object} [options.overrides={}] - Overrides of the base entity
+     * @param {string[]} [options.fields] - Only variants of these field paths (and below)
+     * @param {number} [options.seed] - Seed of the base entity and variant values
+     * @returns {Array<{ field: string, case: string, data: Object }>}
+     *
+     * @example
+     * const variants = DataGenerator.invalidVariants('customer', { fields: ['email'] });
+     * // [{ field: 'email', case: 'missing', data: {…} }, { field: 'email', case: 'missing @', data: {…} }, …]
+     */
+    static invalidVariants(name, options = {}) {
+        return this._variants(name, 'invalid', options);
+    }
+
+    /**
+     * @returns {string[]} Names of the defined factories
+     */
+    static getFactoryNames() {
+        return [...factories.keys()];
+    }
+
+    /**
+     * Faker for one build: the global instance, or a private seeded one.
+     * @private
+     */
+    static _faker(seed) {
+        if (seed === undefined) return faker;
+        const seeded = new Faker({ locale: faker.rawDefinitions });
+        seeded.seed(seed);
+        seeded.setDefaultRefDate(SEEDED_REF_DATE);
+        return seeded;
+    }
+
+    /** @private */
+    static _schema(name) {
+        const schema = factories.get(name);
+        if (!schema) {
+            throw new Error(
+                `Unknown factory "${name}". Defined: ${this.getFactoryNames().join(', ')}. ` +
+                    'Add it with DataGenerator.define().',
+            );
+        }
+        return schema;
+    }
+
+    /** @private */
+    static _build(name, overrides, f) {
+        const schema = this._schema(name);
+        const entity = {};
+        for (const [field, spec] of Object.entries(schema)) {
+            if (spec.type === 'derived') continue;
+            const override = overrides[field];
+            if (spec.type === 'ref') {
+                entity[field] =
+                    override === null || (override !== undefined && typeof override !== 'object')
+                        ? override
+                        : this._build(spec.ref, override || {}, f);
+            } else if (spec.type === 'list') {
+                if (Array.isArray(override)) {
+                    entity[field] = override.map((item) => this._build(spec.ref, item || {}, f));
+                } else {
+                    const count = typeof override === 'number' ? override : (spec.count ?? spec.min ?? 1);
+                    entity[field] = Array.from({ length: count }, () => this._build(spec.ref, {}, f));
+                }
+            } else if (field in overrides) {
+                entity[field] = override;
+            } else if (spec.type === 'constant') {
+                entity[field] = clone(spec.value);
+            } else if (spec.generate) {
+                entity[field] = spec.generate(f);
+            } else {
+                entity[field] = FIELD_TYPES[spec.type].generate(spec, f);
+            }
+        }
+        for (const [field, spec] of Object.entries(schema)) {
+            if (spec.type === 'derived') entity[field] = field in overrides ? overrides[field] : spec.derive(entity);
+        }
+        for (const [field, value] of Object.entries(overrides)) {
+            if (!(field in schema)) entity[field] = value;
+        }
+        return entity;
+    }
+
+    /** @private */
+    static _variants(name, kind, { overrides = {}, fields, seed } = {}) {
+        const f = this._faker(seed);
+        const base = this._build(name, overrides, f);
+        const variants = [];
+        const collect = (factoryName, node, segments) => {
+            for (const [field, spec] of Object.entries(this._schema(factoryName))) {
+                const fieldSegments = [...segments, field];
+                const label = fieldSegments.reduce(
+                    (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key),
+                    '',
+                );
+                for (const variant of this._fieldVariants(spec, kind, f).filter(Boolean)) {
+                    const data = clone(base);
+                    setPath(data, fieldSegments, variant.value);
+                    this._derive(name, data);
+                    variants.push({ field: label, case: variant.case, data });
+                }
+                const value = node ? node[field] : undefined;
+                if (spec.type === 'ref' && value && typeof value === 'object') {
+                    collect(spec.ref, value, fieldSegments);
+                } else if (spec.type === 'list' && Array.isArray(value) && value.length > 0) {
+                    collect(spec.ref, value[0], [...fieldSegments, 0]);
+                }
+            }
+        };
+        collect(name, base, []);
+
+        if (!fields) return variants;
+        return variants.filter((v) =>
+            fields.some((p) => v.field === p || v.field.startsWith(`${p}.`) || v.field.startsWith(`${p}[`)),
+        );
+    }
+
+    /**
+     * Recompute derived fields (nested ones included) after a variant changed a value.
+     * A derive function that cannot handle an invalid value keeps the old result.
+     * @private
+     */
+    static _derive(name, entity) {
+        for (const [field, spec] of Object.entries(this._schema(name))) {
+            const value = entity[field];
+            if (spec.type === 'ref' && value && typeof value === 'object') {
+                this._derive(spec.ref, value);
+            } else if (spec.type === 'list' && Array.isArray(value)) {
+                value.forEach((item) => item && typeof item === 'object' && this._derive(spec.ref, item));
+            } else if (spec.type === 'derived') {
+                try {
+                    entity[field] = spec.derive(entity);
+                } catch {
+                    // Keep the value derived from the valid base entity
+                }
+            }
+        }
+    }
+
+    /** Boundary / invalid `{ case, value }` list of one field spec. @private */
+    static _fieldVariants(spec, kind, f) {
+        const missing =
+            kind === 'invalid' && spec.required
+                ? [
+                      { case: 'missing', value: OMIT },
+                      { case: 'null', value: null },
+                  ]
+                : [];
+        if (spec.type === 'list') {
+            const build = (count) => Array.from({ length: count }, () => this._build(spec.ref, {}, f));
+            if (kind === 'boundary') {
+                return [
+                    spec.min !== undefined && { case: `min items (${spec.min})`, value: build(spec.min) },
+                    spec.max !== undefined && { case: `max items (${spec.max})`, value: build(spec.max) },
+                ];
+            }
+            return [
+                ...missing,
+                spec.min > 0 && { case: `below min items (${spec.min - 1})`, value: build(spec.min - 1) },
+                spec.max !== undefined && { case: `above max items (${spec.max + 1})`, value: build(spec.max + 1) },
+            ];
+        }
+        if (!FIELD_TYPES[spec.type]) return missing;
+        return [...missing, ...FIELD_TYPES[spec.type][kind](spec, f)];
+    }
 }
 
+// ─── Built-in factories ───────────────────────────────────────
+
+DataGenerator.define('address', {
+    street: { faker: 'location.streetAddress', required: true, minLength: 1, maxLength: 100 },
+    city: { faker: 'location.city', required: true, minLength: 1, maxLength: 50 },
+    state: 'location.state',
+    zipCode: { faker: 'location.zipCode', required: true, minLength: 5, maxLength: 10 },
+    country: { faker: 'location.countryCode', required: true, minLength: 2, maxLength: 2 },
+});
+
+DataGenerator.define('customer', {
+    id: 'uuid',
+    firstName: { faker: 'person.firstName', required: true, minLength: 1, maxLength: 50 },
+    lastName: { faker: 'person.lastName', required: true, minLength: 1, maxLength: 50 },
+    email: { type: 'email', required: true },
+    phone: 'phone.number',
+    address: { ref: 'address', required: true },
+});
+
+DataGenerator.define('product', {
+    id: 'uuid',
+    sku: { type: 'string', generate: (f) => f.string.alphanumeric(8).toUpperCase(), minLength: 8, maxLength: 8 },
+    name: { faker: 'commerce.productName', required: true, minLength: 1, maxLength: 100 },
+    price: { type: 'number', min: 0.01, max: 1000, required: true },
+    category: 'commerce.department',
+});
+
+DataGenerator.define('orderItem', {
+    product: { ref: 'product', required: true },
+    quantity: { type: 'integer', min: 1, max: 99, required: true },
+});
+
+DataGenerator.define('order', {
+    id: 'uuid',
+    customer: { ref: 'customer', required: true },
+    shippingAddress: { ref: 'address', required: true },
+    items: { ref: 'orderItem', count: 1, min: 1, max: 50, required: true },
+    status: { type: 'enum', values: ['PENDING', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED'], required: true },
+    createdAt: { type: 'date' },
+    total: {
+        derive: (order) =>
+            Math.round(order.items.reduce((sum, item) => sum + item.product.price * item.quantity, 0) * 100) / 100,
+    },
+});
+
 module.exports = { DataGenerator };
@@ -14,9 +14,9 @@
  */
 
 const crypto = require('crypto');
-const { Logger } = require('../utils/Logger');
 
-const logger = Logger.getInstance('EncryptionHelper');
+// Resolved lazily: ConfigResolver decrypts ENC(...) values while Logger may still be loading
+const getLogger = () => require('../utils/Logger').Logger.getInstance('EncryptionHelper');
 
 const ALGORITHM = 'aes-256-gcm';
 const LEGACY_ALGORITHM = 'aes-256-cbc';
@@ -81,7 +81,7 @@ class EncryptionHelper {
 
         // Legacy format: "iv:encrypted" (2 parts, CBC)
         if (parts.length === 2) {
-            logger.warn('Decrypting legacy AES-256-CBC ciphertext — re-encrypt with encrypt() to upgrade to GCM');
+            getLogger().warn('Decrypting legacy AES-256-CBC ciphertext — re-encrypt with encrypt() to upgrade to GCM');
             return this._decryptLegacy(cipherText, resolvedPass);
         }
 
@@ -334,6 +334,18 @@ class ExcelHelper {
      * @param {*}      value
      */
     static updateCell(filePath, sheetName, cellAddress, value) {
+        ExcelHelper.updateCells(filePath, sheetName, { [cellAddress]: value });
+    }
+
+    /**
+     * Update several cells in one read / write of the workbook.  Cells
+     * outside the sheet's current range (e.g. a new column) extend it.
+     *
+     * @param {string} filePath
+     * @param {string} sheetName
+     * @param {Object.<string, *>} values  Cell address → value, e.g. { J1: 'LastStatus', J2: 'PASSED' }
+     */
+    static updateCells(filePath, sheetName, values) {
         const XLSX = getXlsx();
         const absPath = path.resolve(filePath);
         const workbook = XLSX.readFile(absPath);
@@ -341,17 +353,25 @@ class ExcelHelper {
 
         if (!sheet) throw new Error(`Sheet "${sheetName}" not found`);
 
-        // Auto-detect cell type to preserve numbers and booleans
-        if (typeof value === 'number') {
-            sheet[cellAddress] = { t: 'n', v: value };
-        } else if (typeof value === 'boolean') {
-            sheet[cellAddress] = { t: 'b', v: value };
-        } else {
-            sheet[cellAddress] = { t: 's', v: String(value) };
+        const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
+        for (const [cellAddress, value] of Object.entries(values)) {
+            // Auto-detect cell type to preserve numbers and booleans
+            if (typeof value === 'number') {
+                sheet[cellAddress] = { t: 'n', v: value };
+            } else if (typeof value === 'boolean') {
+                sheet[cellAddress] = { t: 'b', v: value };
+            } else {
+                sheet[cellAddress] = { t: 's', v: String(value) };
+            }
+            const cell = XLSX.utils.decode_cell(cellAddress);
+            range.e.r = Math.max(range.e.r, cell.r);
+            range.e.c = Math.max(range.e.c, cell.c);
+            logger.debug(`Updated ${sheetName}!${cellAddress} = "${value}"`);
         }
+        sheet['!ref'] = XLSX.utils.encode_range(range);
+
         XLSX.writeFile(workbook, absPath);
         _invalidateCache(absPath);
-        logger.debug(`Updated ${sheetName}!${cellAddress} = "${value}"`);
     }
 
     // ─── Conversion Utilities ─────────────────────────────────
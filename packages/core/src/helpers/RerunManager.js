@@ -0,0 +1,236 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * RerunManager — Rerun Failed Scenarios & Merge Their Results
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Collects the scenarios that failed in a WDIO run so they can be
+ * executed again as `--spec <feature>:<line>`, and merges the results
+ * of the original run and its reruns into one report:
+ *
+ *   • cucumber-json — only the last attempt of every scenario is kept;
+ *     scenarios that failed first and passed on a rerun are tagged
+ *     `@flaky-passed`, so multiple-cucumber-html-reporter shows them
+ *     once, as passed, with the flaky marker.
+ *   • Allure — attempts share a historyId and are already grouped as
+ *     retries; the final passed attempt is flagged `flaky` and gets a
+ *     `flaky-passed` tag.
+ *
+ * The failed list is written to reports/rerun/failed-scenarios.json,
+ * which `npm run test:rerun` picks up later.
+ *
+ * Usage:
+ *   const failed = RerunManager.collectFailed('reports/cucumber-json', { since });
+ *   const specs  = RerunManager.toSpecArgs(failed);   // ['--spec', 'test/features/a.feature:12', ...]
+ *   const merged = RerunManager.mergeResults({ cucumberJsonDir, allureResultsDir, since });
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Logger } = require('../utils/Logger');
+const { FlakyTestTracker } = require('../utils/FlakyTestTracker');
+const { TestExecutionFilter } = require('./TestExecutionFilter');
+
+const logger = Logger.getInstance('RerunManager');
+
+const FLAKY_PASSED_TAG = '@flaky-passed';
+const DEFAULT_FAILED_FILE = 'reports/rerun/failed-scenarios.json';
+
+class RerunManager {
+    // ─── Failed Scenarios ─────────────────────────────────────
+
+    /**
+     * List scenarios with no passing attempt in the cucumber-json output and
+     * save them to `failedFile` for a later `test:rerun`.
+     *
+     * @param {string} cucumberJsonDir
+     * @param {object} [options]
+     * @param {number} [options.since=0]  Only read results written at/after this epoch (ms)
+     * @param {string} [options.failedFile='reports/rerun/failed-scenarios.json']
+     * @returns {Array<{key: string, feature: string, uri: string, name: string, browser: string,
+     *   line: number|null, location: string, error?: string}>}
+     */
+    static collectFailed(cucumberJsonDir, options = {}) {
+        const { since = 0, failedFile = DEFAULT_FAILED_FILE } = options;
+        const filter = new TestExecutionFilter();
+        const failed = [];
+
+        for (const attempts of this._groupAttempts(FlakyTestTracker.parseCucumberJson(cucumberJsonDir, { since }))) {
+            if (attempts.some((a) => a.status === 'passed')) continue;
+
+            const last = attempts[attempts.length - 1];
+            const line = filter.findScenarioLine(path.resolve(last.uri), last.name);
+            if (line === null) logger.warn(`Cannot locate failed scenario "${last.name}" in ${last.uri}`);
+            failed.push({
+                key: last.key,
+                feature: last.feature,
+                uri: last.uri,
+                name: last.name,
+                browser: last.browser,
+                line,
+                location: line === null ? last.uri : `${last.uri}:${line}`,
+                ...(last.error ? { error: last.error } : {}),
+            });
+        }
+
+        fs.outputJsonSync(path.resolve(failedFile), { createdAt: new Date().toISOString(), failed }, { spaces: 2 });
+        logger.info(`${failed.length} failed scenario(s) written to ${failedFile}`);
+        return failed;
+    }
+
+    /**
+     * Read the failed list saved by the last {@link RerunManager.collectFailed}.
+     *
+     * @param {string} [failedFile='reports/rerun/failed-scenarios.json']
+     * @returns {object[]}  Empty when there is no file
+     */
+    static loadFailed(failedFile = DEFAULT_FAILED_FILE) {
+        const filePath = path.resolve(failedFile);
+        if (!fs.existsSync(filePath)) return [];
+        return fs.readJsonSync(filePath).failed || [];
+    }
+
+    /**
+     * Turn a failed list into WDIO `--spec` arguments, one per scenario
+     * (browsers share a location, so duplicates are dropped).
+     *
+     * @param {object[]} failed
+     * @returns {string[]}
+     */
+    static toSpecArgs(failed) {
+        const locations = [...new Set(failed.map((f) => f.location))];
+        return locations.flatMap((location) => ['--spec', location]);
+    }
+
+    // ─── Merging ──────────────────────────────────────────────
+
+    /**
+     * Merge the original run and its reruns so every scenario is reported once.
+     *
+     * @param {object} options
+     * @param {string} options.cucumberJsonDir
+     * @param {string} [options.allureResultsDir]
+     * @param {number} [options.since=0]  Start of the original run (epoch ms)
+     * @returns {{flakyPassed: string[], stillFailing: string[]}}  Scenario keys
+     */
+    static mergeResults(options = {}) {
+        const { cucumberJsonDir, allureResultsDir, since = 0 } = options;
+        const flakyPassed = [];
+        const stillFailing = [];
+        const drop = new Map(); // file → Set of "featureIndex:elementIndex"
+        const markFlaky = new Map();
+
+        for (const attempts of this._groupAttempts(FlakyTestTracker.parseCucumberJson(cucumberJsonDir, { since }))) {
+            const last = attempts[attempts.length - 1];
+            const failedBefore = attempts.slice(0, -1).some((a) => a.status === 'failed');
+
+            attempts.slice(0, -1).forEach((a) => {
+                if (!drop.has(a.file)) drop.set(a.file, new Set());
+                drop.get(a.file).add(`${a.featureIndex}:${a.elementIndex}`);
+            });
+
+            if (last.status === 'passed' && failedBefore) {
+                flakyPassed.push(last.key);
+                if (!markFlaky.has(last.file)) markFlaky.set(last.file, new Set());
+                markFlaky.get(last.file).add(`${last.featureIndex}:${last.elementIndex}`);
+            } else if (last.status === 'failed') {
+                stillFailing.push(last.key);
+            }
+        }
+
+        const files = new Set([...drop.keys(), ...markFlaky.keys()]);
+        for (const file of files) {
+            this._rewriteCucumberJson(file, drop.get(file) || new Set(), markFlaky.get(file) || new Set());
+        }
+
+        if (allureResultsDir) this._markAllureFlaky(allureResultsDir, since);
+
+        flakyPassed.forEach((key) => logger.warn(`Passed on rerun (flaky): ${key}`));
+        logger.info(`Merged rerun results: ${flakyPassed.length} flaky-passed, ${stillFailing.length} still failing`);
+        return { flakyPassed, stillFailing };
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /** Group parsed results by scenario key, attempts ordered oldest first. */
+    static _groupAttempts(results) {
+        const mtimes = {};
+        const mtime = (file) => {
+            if (mtimes[file] === undefined) mtimes[file] = fs.statSync(file).mtimeMs;
+            return mtimes[file];
+        };
+
+        const groups = new Map();
+        for (const r of results) {
+            if (!groups.has(r.key)) groups.set(r.key, []);
+            groups.get(r.key).push(r);
+        }
+        return [...groups.values()].map((attempts) => attempts.sort((a, b) => mtime(a.file) - mtime(b.file)));
+    }
+
+    /**
+     * Remove superseded attempts from one cucumber-json file and tag flaky-passed
+     * scenarios.  The file keeps its mtime so later merges still order it correctly.
+     */
+    static _rewriteCucumberJson(file, dropped, flaky) {
+        const { mtime } = fs.statSync(file);
+        const features = [].concat(fs.readJsonSync(file));
+
+        const kept = features
+            .map((feature, featureIndex) => {
+                const elements = (feature.elements || []).filter((element, elementIndex) => {
+                    const id = `${featureIndex}:${elementIndex}`;
+                    if (flaky.has(id)) {
+                        element.tags = [...(element.tags || []), { name: FLAKY_PASSED_TAG, line: 0 }];
+                        element.description = `${element.description ? `${element.description}\n` : ''}Failed first, passed on rerun.`;
+                    }
+                    return !dropped.has(id);
+                });
+                return { ...feature, elements };
+            })
+            .filter((feature) => feature.elements.some((e) => !(e.keyword && /background/i.test(e.keyword))));
+
+        if (kept.length === 0) {
+            fs.removeSync(file);
+            return;
+        }
+        fs.writeJsonSync(file, kept, { spaces: 2 });
+        // Keep the original mtime: attempts are ordered by it
+        fs.utimesSync(file, new Date(), mtime);
+    }
+
+    /** Flag the final passed attempt of every Allure test that failed earlier in this run. */
+    static _markAllureFlaky(allureResultsDir, since) {
+        if (!fs.existsSync(allureResultsDir)) return;
+
+        const byHistory = new Map();
+        for (const name of fs.readdirSync(allureResultsDir).filter((f) => f.endsWith('-result.json'))) {
+            const file = path.join(allureResultsDir, name);
+            let result;
+            try {
+                result = fs.readJsonSync(file);
+            } catch (err) {
+                logger.warn(`Skipping unreadable Allure result ${name}: ${err.message}`);
+                continue;
+            }
+            if (!result.historyId || (result.start || 0) < since) continue;
+            if (!byHistory.has(result.historyId)) byHistory.set(result.historyId, []);
+            byHistory.get(result.historyId).push({ file, result });
+        }
+
+        for (const attempts of byHistory.values()) {
+            attempts.sort((a, b) => a.result.start - b.result.start);
+            const { file, result } = attempts[attempts.length - 1];
+            const failedBefore = attempts
+                .slice(0, -1)
+                .some((a) => a.result.status === 'failed' || a.result.status === 'broken');
+            if (result.status !== 'passed' || !failedBefore || (result.statusDetails || {}).flaky) continue;
+
+            result.statusDetails = { ...(result.statusDetails || {}), flaky: true };
+            result.labels = [...(result.labels || []), { name: 'tag', value: FLAKY_PASSED_TAG.slice(1) }];
+            fs.writeJsonSync(file, result);
+        }
+    }
+}
+
+module.exports = { RerunManager };
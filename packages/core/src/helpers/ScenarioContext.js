@@ -0,0 +1,191 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * ScenarioContext - Per-Scenario Variable Store
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Carries values from one step to the next within a scenario (an
+ * order number read from the page, an id returned by the API …)
+ * instead of module-level variables, which leak between scenarios.
+ *
+ * The base hooks create a fresh context before every scenario and
+ * bind it to the Cucumber World as `this.ctx`.  Step arguments can
+ * reference stored values as `{name}` (or `{name.path}` for objects)
+ * when the step is registered through test/support/steps.js, and
+ * data expressions as `${ctx.name}`.
+ *
+ * @module ScenarioContext
+ * @example
+ * When(/^I place the order$/, async function () {
+ *     this.ctx.set('order', await CheckoutPage.placeOrder());
+ * });
+ *
+ * // Feature file
+ * When I store the text of "orderId" as "order"
+ * Then the "confirmation" element should contain text "{order}"
+ */
+
+const { Logger } = require('../utils/Logger');
+const { DataDrivenManager } = require('./DataDrivenManager');
+
+const logger = Logger.getInstance('ScenarioContext');
+
+/** `{name}` / `{name.path}` — not the inner braces of `{{key.path}}` or `${expr}`. */
+const PLACEHOLDER_PATTERN = /(?<![{$])\{([\w-]+(?:\.[\w-]+)*)\}(?!\})/g;
+
+/**
+ * Variable store of the running scenario.
+ *
+ * @class ScenarioContext
+ */
+class ScenarioContext {
+    constructor() {
+        /** @type {Map<string, *>} */
+        this._values = new Map();
+    }
+
+    // ─── Current Scenario ─────────────────────────────────────
+
+    /**
+     * @returns {ScenarioContext} The context of the running scenario
+     */
+    static current() {
+        return this._current;
+    }
+
+    /**
+     * Start a new, empty context (called by the base hooks before every scenario).
+     *
+     * @returns {ScenarioContext} The new current context
+     */
+    static reset() {
+        this._current = new ScenarioContext();
+        return this._current;
+    }
+
+    // ─── Values ───────────────────────────────────────────────
+
+    /**
+     * Store a value.  Values keep their type; read them back with
+     * {@link ScenarioContext#get} or one of the typed getters.
+     *
+     * @param {string} name
+     * @param {*} value
+     * @returns {ScenarioContext} this
+     * @throws {Error} If the name is not a word (letters, digits, `_`, `-`).
+     */
+    set(name, value) {
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Error(`Invalid scenario variable name "${name}": use letters, digits, "_" or "-".`);
+        }
+        this._values.set(name, value);
+        logger.debug(`Stored {${name}} = ${typeof value === 'string' ? `"${value}"` : JSON.stringify(value)}`);
+        return this;
+    }
+
+    /**
+     * @param {string} name - Variable name, or a dotted path into a stored object
+     * @returns {*}
+     * @throws {Error} If nothing was stored under the name.
+     */
+    get(name) {
+        const value = this._lookup(name);
+        if (value === undefined) {
+            const stored = [...this._values.keys()];
+            throw new Error(
+                `Scenario variable "${name}" is not set. ` +
+                    `${stored.length ? `Stored so far: ${stored.join(', ')}.` : 'Nothing was stored in this scenario.'}`,
+            );
+        }
+        return value;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string}
+     */
+    getString(name) {
+        const value = this.get(name);
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Read a number; text such as `" 1,299.50 "` is parsed.
+     *
+     * @param {string} name
+     * @returns {number}
+     * @throws {Error} If the value is not numeric.
+     */
+    getNumber(name) {
+        const value = this.get(name);
+        const number = typeof value === 'number' ? value : Number(String(value).trim().replace(/,/g, ''));
+        if (Number.isNaN(number) || String(value).trim() === '') {
+            throw new Error(`Scenario variable "${name}" is not a number: "${value}".`);
+        }
+        return number;
+    }
+
+    /**
+     * Read a boolean; `true/false`, `yes/no`, `y/n` and `1/0` text is parsed.
+     *
+     * @param {string} name
+     * @returns {boolean}
+     * @throws {Error} If the value is not boolean-like.
+     */
+    getBoolean(name) {
+        const value = this.get(name);
+        if (typeof value === 'boolean') return value;
+        const text = String(value).trim().toLowerCase();
+        if (['true', 'yes', 'y', '1'].includes(text)) return true;
+        if (['false', 'no', 'n', '0'].includes(text)) return false;
+        throw new Error(`Scenario variable "${name}" is not a boolean: "${value}".`);
+    }
+
+    /**
+     * @param {string} name - Variable name, or a dotted path into a stored object
+     * @returns {boolean}
+     */
+    has(name) {
+        return this._lookup(name) !== undefined;
+    }
+
+    /**
+     * @returns {Object<string, *>} Every stored value, keyed by name
+     */
+    toObject() {
+        return Object.fromEntries(this._values);
+    }
+
+    // ─── Placeholders ─────────────────────────────────────────
+
+    /**
+     * Replace `{name}` placeholders with stored values.  Placeholders
+     * without a stored value are left as they are.
+     *
+     * @param {string} text  e.g. 'Order {order} confirmed'
+     * @returns {string}
+     */
+    resolve(text) {
+        return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+            if (!this.has(name)) return match;
+            return this.getString(name);
+        });
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /** @private */
+    _lookup(name) {
+        const [head, ...rest] = String(name).split('.');
+        return rest.reduce((node, key) => {
+            if (node === null || node === undefined) return undefined;
+            return node[key];
+        }, this._values.get(head));
+    }
+}
+
+ScenarioContext.reset();
+
+// `${ctx.name}` data expressions read the running scenario's values
+DataDrivenManager.setContextProvider(() => ScenarioContext.current().toObject());
+
+module.exports = { ScenarioContext };
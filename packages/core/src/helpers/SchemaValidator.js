@@ -0,0 +1,400 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * SchemaValidator - JSON Schema & OpenAPI Contract Validation
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Validates API response bodies against JSON Schema files kept in
+ * the repo (API_SCHEMA_DIR) or against the response schemas of an
+ * OpenAPI 3 / Swagger 2 document (JSON or YAML).
+ *
+ *   test/data/schemas/user-list.schema.json   → 'user-list'
+ *
+ * Schema files in API_SCHEMA_DIR can `$ref` each other by file name
+ * (`{ "$ref": "user.schema.json" }`).  Every error names the path to
+ * the offending field, e.g. `$.users[1].email: must match format "email"`.
+ *
+ * Used by ApiHelper (`expectSchema()` and automatic OpenAPI contract
+ * checks) but usable on any data.
+ *
+ * Requires the optional `ajv` and `ajv-formats` packages.
+ *
+ * @module SchemaValidator
+ * @example
+ * const { SchemaValidator } = require('@wdio-framework/core');
+ *
+ * SchemaValidator.assertValid(data, 'user-list');
+ * const { valid, errors } = SchemaValidator.validate(data, { type: 'object', required: ['id'] });
+ *
+ * const spec = SchemaValidator.loadOpenApi('test/data/openapi.yaml');
+ * SchemaValidator.validateResponse(spec, { method: 'get', path: '/users/1', status: 200, data });
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Logger } = require('../utils/Logger');
+const { ConfigResolver } = require('../utils/ConfigResolver');
+
+const logger = Logger.getInstance('SchemaValidator');
+
+const SCHEMA_EXTENSIONS = ['.schema.json', '.json', '.schema.yaml', '.yaml', '.yml'];
+
+/** OpenAPI formats that carry no validation rules of their own. */
+const OPENAPI_FORMATS = ['int32', 'int64', 'float', 'double', 'byte', 'binary', 'password'];
+
+/**
+ * Static JSON Schema / OpenAPI validation helpers.
+ *
+ * @class SchemaValidator
+ */
+class SchemaValidator {
+    // ─── JSON Schema ──────────────────────────────────────────
+
+    /**
+     * Validate data against a schema.
+     *
+     * @param {*} data
+     * @param {string|Object} schema - Schema name in API_SCHEMA_DIR, file path, or schema object
+     * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+     */
+    static validate(data, schema) {
+        return this._run(this._compile(schema), data);
+    }
+
+    /**
+     * Validate data against a schema and throw a readable error listing every
+     * offending field.
+     *
+     * @param {*} data
+     * @param {string|Object} schema - Schema name in API_SCHEMA_DIR, file path, or schema object
+     * @param {Object} [options={}]
+     * @param {string} [options.label='Data'] - Subject of the error message (e.g. `'GET /users'`)
+     * @returns {void}
+     * @throws {Error} If the data does not match.
+     */
+    static assertValid(data, schema, options = {}) {
+        const { errors } = this.validate(data, schema);
+        if (errors.length === 0) return;
+        const name = typeof schema === 'string' ? `schema "${schema}"` : 'the schema';
+        throw new Error(this._formatErrors(`${options.label || 'Data'} does not match ${name}`, errors));
+    }
+
+    /**
+     * Read a schema by name from API_SCHEMA_DIR (`<name>.schema.json`, `<name>.json`
+     * or YAML), or from an explicit file path.
+     *
+     * @param {string} nameOrPath
+     * @returns {Object}
+     * @throws {Error} If no schema file exists.
+     */
+    static loadSchema(nameOrPath) {
+        return this._readDocument(this._resolveSchemaFile(nameOrPath));
+    }
+
+    /**
+     * @returns {string} Absolute path of API_SCHEMA_DIR
+     */
+    static getSchemaDir() {
+        return path.resolve(ConfigResolver.get('API_SCHEMA_DIR', 'test/data/schemas'));
+    }
+
+    // ─── OpenAPI ──────────────────────────────────────────────
+
+    /**
+     * Read an OpenAPI 3 / Swagger 2 document (JSON or YAML).  Cached per path.
+     *
+     * @param {string} specPath
+     * @returns {Object}
+     * @throws {Error} If the file is missing or is not an OpenAPI document.
+     */
+    static loadOpenApi(specPath) {
+        const absPath = path.resolve(specPath);
+        if (this._specs.has(absPath)) return this._specs.get(absPath);
+
+        if (!fs.existsSync(absPath)) {
+            throw new Error(`OpenAPI spec not found: ${absPath}. Check API_OPENAPI_SPEC.`);
+        }
+        const spec = this._readDocument(absPath);
+        if (!spec || (!spec.openapi && !spec.swagger) || !spec.paths) {
+            throw new Error(`${absPath} is not an OpenAPI document (no "openapi"/"swagger" version or "paths").`);
+        }
+        this._specs.set(absPath, spec);
+        return spec;
+    }
+
+    /**
+     * Find the documented operation for a request.
+     *
+     * @param {Object} spec - OpenAPI document
+     * @param {string} method - HTTP method
+     * @param {string} requestPath - Request path or URL; server base paths are stripped
+     * @returns {{template: string, method: string, operation: Object}|null}
+     */
+    static findOperation(spec, method, requestPath) {
+        const verb = method.toLowerCase();
+        const pathname = this._stripServerPath(spec, this._pathname(requestPath));
+
+        // Literal paths win over templated ones (/users/me before /users/{id})
+        const templates = Object.keys(spec.paths).sort(
+            (a, b) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length,
+        );
+        for (const template of templates) {
+            const operation = spec.paths[template] && spec.paths[template][verb];
+            if (operation && this._templateRegex(template).test(pathname)) {
+                return { template, method: verb, operation };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Validate a response body against its OpenAPI contract.  The response is
+     * picked by exact status, then range (`2XX`), then `default`.
+     *
+     * @param {Object} spec - OpenAPI document (from {@link SchemaValidator.loadOpenApi})
+     * @param {Object} response
+     * @param {string} response.method
+     * @param {string} response.path - Request path or URL
+     * @param {number} response.status
+     * @param {*} response.data
+     * @param {string} [response.contentType='application/json']
+     * @returns {{documented: boolean, operation: string|null, valid: boolean,
+     *   errors: Array<{path: string, message: string}>}}
+     */
+    static validateResponse(spec, response) {
+        const { method, status, data, contentType = 'application/json' } = response;
+        const match = this.findOperation(spec, method, response.path);
+        if (!match) return { documented: false, operation: null, valid: true, errors: [] };
+
+        const operation = `${match.method.toUpperCase()} ${match.template}`;
+        const responses = match.operation.responses || {};
+        const code = [String(status), `${String(status)[0]}XX`, 'default'].find(
+            (c) => responses[c] || responses[c.toLowerCase()],
+        );
+        if (!code) {
+            return {
+                documented: true,
+                operation,
+                valid: false,
+                errors: [{ path: '$', message: `status ${status} is not a documented response` }],
+            };
+        }
+        const responseKey = responses[code] ? code : code.toLowerCase();
+        let base = ['paths', match.template, match.method, 'responses', responseKey];
+        let responseObject = responses[responseKey];
+        // Shared responses: { $ref: '#/components/responses/NotFound' }
+        if (responseObject.$ref && responseObject.$ref.startsWith('#/')) {
+            base = responseObject.$ref
+                .slice(2)
+                .split('/')
+                .map((segment) => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+            responseObject = base.reduce((node, segment) => (node ? node[segment] : undefined), spec) || {};
+        }
+        const pointer = this._responseSchemaPointer(responseObject, contentType);
+        if (!pointer) return { documented: true, operation, valid: true, errors: [] };
+
+        const ref = [...base, ...pointer]
+            .map((segment) => encodeURIComponent(segment.replace(/~/g, '~0').replace(/\//g, '~1')))
+            .join('/');
+        const validateFn = this._compile({ $ref: `${this._registerSpec(spec)}#/${ref}` });
+        return { documented: true, operation, ...this._run(validateFn, data) };
+    }
+
+    /**
+     * Drop compiled schemas and cached OpenAPI documents (e.g. after editing files).
+     *
+     * @returns {void}
+     */
+    static reset() {
+        this._ajvInstance = null;
+        this._compiled = new Map();
+        this._specs = new Map();
+        this._specIds = new Map();
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /**
+     * Shared Ajv instance with every schema in API_SCHEMA_DIR registered
+     * under its file name, so they can `$ref` each other.
+     * @private
+     */
+    static _ajv() {
+        if (this._ajvInstance) return this._ajvInstance;
+
+        let Ajv;
+        try {
+            Ajv = require('ajv');
+        } catch {
+            throw new Error('Package "ajv" is required for schema validation. Install it: npm install ajv ajv-formats');
+        }
+        const ajv = new (Ajv.default || Ajv)({ allErrors: true, strict: false, validateSchema: false });
+        try {
+            const addFormats = require('ajv-formats');
+            (addFormats.default || addFormats)(ajv);
+        } catch {
+            logger.warn('Package "ajv-formats" not installed — "format" keywords are not checked');
+        }
+        OPENAPI_FORMATS.forEach((format) => ajv.addFormat(format, true));
+
+        const schemaDir = this.getSchemaDir();
+        if (fs.existsSync(schemaDir)) {
+            for (const file of fs.readdirSync(schemaDir)) {
+                if (!SCHEMA_EXTENSIONS.some((ext) => file.endsWith(ext))) continue;
+                try {
+                    const schema = this._readDocument(path.join(schemaDir, file));
+                    ajv.addSchema(schema.$id ? schema : { ...schema, $id: file });
+                } catch (err) {
+                    logger.warn(`Skipping schema ${file}: ${err.message}`);
+                }
+            }
+        }
+        this._ajvInstance = ajv;
+        return ajv;
+    }
+
+    /** @private */
+    static _compile(schema) {
+        const cacheKey = typeof schema === 'string' ? this._resolveSchemaFile(schema) : JSON.stringify(schema);
+        if (this._compiled.has(cacheKey)) return this._compiled.get(cacheKey);
+
+        const ajv = this._ajv();
+        const document = typeof schema === 'string' ? this.loadSchema(schema) : schema;
+        const registered = document.$id ? ajv.getSchema(document.$id) : null;
+        let validateFn;
+        try {
+            validateFn = registered || ajv.compile(document);
+        } catch (err) {
+            throw new Error(`Invalid schema${typeof schema === 'string' ? ` "${schema}"` : ''}: ${err.message}`);
+        }
+        this._compiled.set(cacheKey, validateFn);
+        return validateFn;
+    }
+
+    /**
+     * Run a compiled validator and map Ajv errors to `{ path, message }`.
+     * @private
+     */
+    static _run(validateFn, data) {
+        if (validateFn(data)) return { valid: true, errors: [] };
+        const errors = (validateFn.errors || []).map((err) => {
+            let trail = err.instancePath;
+            let message = err.message;
+            if (err.keyword === 'required') {
+                trail += `/${err.params.missingProperty}`;
+                message = 'is required';
+            } else if (err.keyword === 'additionalProperties') {
+                trail += `/${err.params.additionalProperty}`;
+                message = 'is not allowed (additional property)';
+            } else if (err.keyword === 'enum') {
+                message = `must be one of ${err.params.allowedValues.map((v) => JSON.stringify(v)).join(', ')}`;
+            }
+            return { path: this._toJsonPath(trail), message };
+        });
+        return { valid: false, errors };
+    }
+
+    /**
+     * `/users/1/email` → `$.users[1].email`
+     * @private
+     */
+    static _toJsonPath(pointer) {
+        return pointer
+            .split('/')
+            .slice(1)
+            .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((acc, segment) => {
+                if (/^\d+$/.test(segment)) return `${acc}[${segment}]`;
+                if (/^[A-Za-z_$][\w$]*$/.test(segment)) return `${acc}.${segment}`;
+                return `${acc}[${JSON.stringify(segment)}]`;
+            }, '$');
+    }
+
+    /** @private */
+    static _formatErrors(title, errors) {
+        const lines = errors.map((e) => `  • ${e.path}: ${e.message}`);
+        return `${title} (${errors.length} error(s)):\n${lines.join('\n')}`;
+    }
+
+    /** @private */
+    static _resolveSchemaFile(nameOrPath) {
+        const candidates = [path.resolve(nameOrPath)];
+        SCHEMA_EXTENSIONS.forEach((ext) => candidates.push(path.join(this.getSchemaDir(), `${nameOrPath}${ext}`)));
+        const found = candidates.find((file) => fs.existsSync(file) && fs.statSync(file).isFile());
+        if (!found) {
+            throw new Error(
+                `Schema "${nameOrPath}" not found. Add ${path.join(this.getSchemaDir(), `${nameOrPath}.schema.json`)} ` +
+                    'or set API_SCHEMA_DIR.',
+            );
+        }
+        return found;
+    }
+
+    /** @private */
+    static _readDocument(filePath) {
+        const content = fs.readFileSync(filePath, 'utf-8');
+        return /\.ya?ml$/i.test(filePath) ? require('yaml').parse(content) : JSON.parse(content);
+    }
+
+    /**
+     * Register an OpenAPI document with Ajv once and return its id, so response
+     * schemas compile with their `#/components/...` references intact.
+     * @private
+     */
+    static _registerSpec(spec) {
+        if (!this._specIds.has(spec)) {
+            const id = `openapi-${this._specIds.size + 1}.json`;
+            this._ajv().addSchema(spec, id);
+            this._specIds.set(spec, id);
+        }
+        return this._specIds.get(spec);
+    }
+
+    /**
+     * JSON pointer segments (below the response object) of the body schema.
+     * @private
+     */
+    static _responseSchemaPointer(response, contentType) {
+        if (response.schema) return ['schema']; // Swagger 2
+        const content = response.content || {};
+        const mediaType = String(contentType).split(';')[0].trim().toLowerCase();
+        const key =
+            Object.keys(content).find((k) => k.toLowerCase() === mediaType) ||
+            Object.keys(content).find((k) => /[/+]json/i.test(k)) ||
+            Object.keys(content).find((k) => k === '*/*');
+        return key && content[key].schema ? ['content', key, 'schema'] : null;
+    }
+
+    /** @private */
+    static _pathname(requestPath) {
+        try {
+            return new URL(requestPath, 'http://localhost').pathname;
+        } catch {
+            return requestPath.split('?')[0];
+        }
+    }
+
+    /** @private */
+    static _stripServerPath(spec, pathname) {
+        const bases = spec.basePath
+            ? [spec.basePath]
+            : (spec.servers || []).map((server) => this._pathname(server.url.replace(/\{[^}]+\}/g, 'x')));
+        const base = bases
+            .map((b) => b.replace(/\/$/, ''))
+            .filter((b) => b && pathname.startsWith(`${b}/`))
+            .sort((a, b) => b.length - a.length)[0];
+        return base ? pathname.slice(base.length) : pathname;
+    }
+
+    /** @private */
+    static _templateRegex(template) {
+        const pattern = template
+            .split(/(\{[^}]+\})/)
+            .map((part) => (part.startsWith('{') ? '[^/]+' : part.replace(/[.*+?^$()|[\]\\]/g, '\\$&')))
+            .join('');
+        return new RegExp(`^${pattern}/?$`);
+    }
+}
+
+SchemaValidator.reset();
+
+module.exports = { SchemaValidator };
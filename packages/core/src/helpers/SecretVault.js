@@ -0,0 +1,255 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * SecretVault - ENC(...) Values in Config & Test Data Files
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Secrets in JSON files (environment configs, test users, …) are
+ * stored as `ENC(<EncryptionHelper ciphertext>)` and decrypted at
+ * load time with the master passphrase from the `ENCRYPTION_KEY`
+ * environment variable — never from a config file.
+ *
+ *   config/environments/staging.config.json
+ *     "DB_PASSWORD": "ENC(9f1c…:4ab2…:77de…:c0ff…)"
+ *
+ * ConfigResolver and DataDrivenManager.loadJson decrypt these values
+ * transparently.  `npm run secrets -- <encrypt|decrypt|rotate> <file>`
+ * (scripts/secrets.js) manages the files.
+ *
+ * Which values `encryptFile` encrypts:
+ *   • keys flagged `"secret": true` in config/config.schema.json
+ *   • keys whose name looks like a secret (password, token, secret, api/access key)
+ *   • or exactly the keys passed in `options.keys`
+ *
+ * @module SecretVault
+ * @example
+ * const { SecretVault } = require('@wdio-framework/core');
+ *
+ * SecretVault.encryptValue('s3cr3t');             // 'ENC(…)'
+ * SecretVault.decryptValue('ENC(…)');             // 's3cr3t'
+ * SecretVault.decryptObject({ password: 'ENC(…)' });
+ * SecretVault.rotateFile('config/environments/prod.config.json', oldKey, newKey);
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { EncryptionHelper } = require('./EncryptionHelper');
+
+const ENC_PATTERN = /^ENC\((.+)\)$/;
+
+/** Leaf key names treated as secrets when no explicit key list is given. */
+const SECRET_NAME_PATTERN = /password|passwd|secret|token|api[_-]?key|access[_-]?key/i;
+
+/** The master key itself must never be encrypted with itself. */
+const MASTER_KEY_NAME = 'ENCRYPTION_KEY';
+
+/**
+ * Static helpers for ENC(...) encrypted values.
+ *
+ * @class SecretVault
+ */
+class SecretVault {
+    // ─── Values ───────────────────────────────────────────────
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True for strings of the form `ENC(...)`.
+     */
+    static isEncrypted(value) {
+        return typeof value === 'string' && ENC_PATTERN.test(value.trim());
+    }
+
+    /**
+     * Encrypt a plain value into `ENC(...)` form.  Already-encrypted values
+     * are returned unchanged.
+     *
+     * @param {string} plainText
+     * @param {string} [passphrase] - Defaults to the master key
+     * @returns {string}
+     */
+    static encryptValue(plainText, passphrase) {
+        if (this.isEncrypted(plainText)) return plainText;
+        return `ENC(${EncryptionHelper.encrypt(String(plainText), this._passphrase(passphrase))})`;
+    }
+
+    /**
+     * Decrypt an `ENC(...)` value.  Anything else is returned unchanged.
+     *
+     * @param {string} value
+     * @param {string} [passphrase] - Defaults to the master key
+     * @returns {string}
+     * @throws {Error} If the master key is missing or does not match.
+     */
+    static decryptValue(value, passphrase) {
+        if (!this.isEncrypted(value)) return value;
+        const cipherText = value.trim().match(ENC_PATTERN)[1];
+        try {
+            return EncryptionHelper.decrypt(cipherText, this._passphrase(passphrase));
+        } catch (err) {
+            if (/ENCRYPTION_KEY is not set/.test(err.message)) throw err;
+            throw new Error(
+                `Could not decrypt ENC(...) value: ${err.message}. ` +
+                    'Check that ENCRYPTION_KEY is the key the value was encrypted with.',
+            );
+        }
+    }
+
+    /**
+     * Deep-copy an object (or array) with every `ENC(...)` string decrypted.
+     *
+     * @param {*} data
+     * @param {string} [passphrase] - Defaults to the master key
+     * @returns {*}
+     */
+    static decryptObject(data, passphrase) {
+        return this._map(data, (value) => this.decryptValue(value, passphrase));
+    }
+
+    /**
+     * @param {*} data
+     * @returns {boolean} True if any nested string is an `ENC(...)` value.
+     */
+    static containsEncrypted(data) {
+        let found = false;
+        this._map(data, (value) => {
+            if (this.isEncrypted(value)) found = true;
+            return value;
+        });
+        return found;
+    }
+
+    /**
+     * Read the master passphrase from the environment (not from config files).
+     *
+     * @returns {string} Empty string when not set
+     */
+    static getMasterKey() {
+        return process.env[MASTER_KEY_NAME] || '';
+    }
+
+    // ─── Files ────────────────────────────────────────────────
+
+    /**
+     * Encrypt the secret values of a JSON file in place.
+     *
+     * @param {string} filePath
+     * @param {Object} [options={}]
+     * @param {string[]} [options.keys] - Encrypt exactly these keys (any depth)
+     * @param {string} [options.passphrase] - Defaults to the master key
+     * @returns {string[]} Dotted paths of the values that were encrypted
+     */
+    static encryptFile(filePath, options = {}) {
+        const secretKeys = options.keys ? new Set(options.keys) : this._schemaSecrets();
+        const isSecret = (key) =>
+            key !== MASTER_KEY_NAME &&
+            (options.keys ? secretKeys.has(key) : secretKeys.has(key) || SECRET_NAME_PATTERN.test(key));
+
+        return this._rewriteFile(filePath, (value, key) => {
+            if (typeof value !== 'string' || value === '' || this.isEncrypted(value) || !isSecret(key)) return value;
+            return this.encryptValue(value, options.passphrase);
+        });
+    }
+
+    /**
+     * Decrypt every `ENC(...)` value of a JSON file in place (e.g. to edit it).
+     *
+     * @param {string} filePath
+     * @param {Object} [options={}]
+     * @param {string} [options.passphrase] - Defaults to the master key
+     * @returns {string[]} Dotted paths of the values that were decrypted
+     */
+    static decryptFile(filePath, options = {}) {
+        return this._rewriteFile(filePath, (value) =>
+            this.isEncrypted(value) ? this.decryptValue(value, options.passphrase) : value,
+        );
+    }
+
+    /**
+     * Re-encrypt every `ENC(...)` value of a JSON file with a new passphrase.
+     * Nothing is written unless every value decrypts with the old passphrase.
+     *
+     * @param {string} filePath
+     * @param {string} oldPassphrase
+     * @param {string} newPassphrase
+     * @returns {string[]} Dotted paths of the values that were rotated
+     */
+    static rotateFile(filePath, oldPassphrase, newPassphrase) {
+        if (!oldPassphrase || !newPassphrase) {
+            throw new Error('Key rotation needs both the current and the new passphrase.');
+        }
+        return this._rewriteFile(filePath, (value) =>
+            this.isEncrypted(value) ? this.encryptValue(this.decryptValue(value, oldPassphrase), newPassphrase) : value,
+        );
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /** @private */
+    static _passphrase(passphrase) {
+        const resolved = passphrase || this.getMasterKey();
+        if (!resolved) {
+            throw new Error(
+                'ENCRYPTION_KEY is not set. Export the master passphrase as ENCRYPTION_KEY ' +
+                    '(environment variable / CI secret) to read ENC(...) values.',
+            );
+        }
+        return resolved;
+    }
+
+    /**
+     * Apply `fn(value, key, dottedPath)` to every leaf, returning a new structure.
+     * @private
+     */
+    static _map(data, fn, key = '', trail = '') {
+        if (Array.isArray(data)) {
+            return data.map((item, i) => this._map(item, fn, key, `${trail}[${i}]`));
+        }
+        if (data !== null && typeof data === 'object') {
+            const result = {};
+            for (const [k, v] of Object.entries(data)) {
+                result[k] = this._map(v, fn, k, trail ? `${trail}.${k}` : k);
+            }
+            return result;
+        }
+        return fn(data, key, trail);
+    }
+
+    /**
+     * Transform a JSON file's leaves and write it back if anything changed.
+     * `_meta` blocks are left alone.
+     * @private
+     * @returns {string[]} Changed paths
+     */
+    static _rewriteFile(filePath, transform) {
+        const absPath = path.resolve(filePath);
+        if (!fs.existsSync(absPath)) {
+            throw new Error(`File not found: ${absPath}`);
+        }
+        const data = fs.readJsonSync(absPath);
+        const changed = [];
+
+        const updated = this._map(data, (value, key, trail) => {
+            if (trail === '_meta' || trail.startsWith('_meta.')) return value;
+            const next = transform(value, key);
+            if (next !== value) changed.push(trail);
+            return next;
+        });
+
+        if (changed.length > 0) {
+            fs.writeFileSync(absPath, `${JSON.stringify(updated, null, 2)}\n`);
+        }
+        return changed;
+    }
+
+    /**
+     * Keys flagged `secret` in config/config.schema.json.
+     * @private
+     * @returns {Set<string>}
+     */
+    static _schemaSecrets() {
+        const { ConfigResolver } = require('../utils/ConfigResolver');
+        const schema = ConfigResolver.getSchema();
+        return new Set(Object.keys(schema).filter((key) => schema[key].secret));
+    }
+}
+
+module.exports = { SecretVault };
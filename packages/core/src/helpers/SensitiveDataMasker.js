@@ -0,0 +1,115 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * SensitiveDataMasker - Credentials Out of Recorded Traffic
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Masks credentials in HTTP traffic before it leaves the process —
+ * ApiRecorder fixtures (committed to the repository) and NetworkLog
+ * HAR files (reports, Allure, report backups):
+ *
+ *   Headers — Authorization, Proxy-Authorization, Cookie, Set-Cookie,
+ *             X-API-Key, X-Auth-Token
+ *   Bodies  — password, secret, token (not token_type), API key and
+ *             assertion fields of JSON and form-urlencoded bodies, at
+ *             any depth
+ *
+ * Other bodies (HTML, XML, plain text) are left as they are.
+ *
+ * @module SensitiveDataMasker
+ * @example
+ * SensitiveDataMasker.maskHeaders([{ name: 'Authorization', value: 'Bearer eyJ…' }]);
+ * // [{ name: 'Authorization', value: '********' }]
+ *
+ * SensitiveDataMasker.maskBody('{"user":"qa","password":"s3cret"}', 'application/json');
+ * // '{"user":"qa","password":"********"}'
+ */
+
+const MASKED = '********';
+
+const SENSITIVE_HEADER_PATTERN = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|x-auth-token)$/i;
+
+/** `token_type` is kept: it is not a secret, and replayed token responses need it. */
+const SENSITIVE_FIELD_PATTERN = /password|passwd|secret|token(?!_?type)|api[_-]?key|assertion/i;
+
+/**
+ * Static masking rules shared by ApiRecorder and NetworkLog.
+ *
+ * @class SensitiveDataMasker
+ */
+class SensitiveDataMasker {
+    /**
+     * @returns {string} The replacement written for a masked value
+     */
+    static get MASKED() {
+        return MASKED;
+    }
+
+    /**
+     * @param {string} name - Header name (any case)
+     * @returns {boolean}
+     */
+    static isSensitiveHeader(name) {
+        return SENSITIVE_HEADER_PATTERN.test(name);
+    }
+
+    /**
+     * @param {string} key - Body field name
+     * @returns {boolean}
+     */
+    static isSensitiveField(key) {
+        return SENSITIVE_FIELD_PATTERN.test(key);
+    }
+
+    /**
+     * Copy of a HAR header list with credential headers masked.
+     *
+     * @param {Array<{name: string, value: string}>} headers
+     * @returns {Array<{name: string, value: string}>}
+     */
+    static maskHeaders(headers = []) {
+        return headers.map((header) => (this.isSensitiveHeader(header.name) ? { ...header, value: MASKED } : header));
+    }
+
+    /**
+     * Mask secret-looking fields of a JSON or form-urlencoded body.
+     * Bodies without such fields, other bodies and JSON that does not
+     * parse are returned unchanged.
+     *
+     * @param {string} text - Body text
+     * @param {string} [mimeType=''] - Content-Type of the body
+     * @returns {string}
+     */
+    static maskBody(text, mimeType = '') {
+        if (!text) return text;
+        let masked = false;
+        if (/x-www-form-urlencoded/i.test(mimeType)) {
+            const params = new URLSearchParams(text);
+            for (const key of [...params.keys()]) {
+                if (this.isSensitiveField(key)) {
+                    params.set(key, MASKED);
+                    masked = true;
+                }
+            }
+            return masked ? params.toString() : text;
+        }
+        const mask = (node) => {
+            if (Array.isArray(node)) return node.map(mask);
+            if (node === null || typeof node !== 'object') return node;
+            return Object.fromEntries(
+                Object.entries(node).map(([key, value]) => {
+                    if (!this.isSensitiveField(key) || typeof value === 'object') return [key, mask(value)];
+                    masked = true;
+                    return [key, MASKED];
+                }),
+            );
+        };
+        try {
+            const json = mask(JSON.parse(text));
+            return masked ? JSON.stringify(json) : text;
+        } catch {
+            return text;
+        }
+    }
+}
+
+module.exports = { SensitiveDataMasker };
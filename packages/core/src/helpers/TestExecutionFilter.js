@@ -14,10 +14,36 @@
  *   | TC001  | login        | valid_login     | @smoke     | Y       | staging | chrome   |
  *   | TC002  | login        | invalid_login   | @regression| N       | staging | chrome   |
  *
+ * Sharding:
+ *   getTargetedSpecs({ shard: '2/4' }) returns one of four shards of
+ *   the targeted feature files, balanced by the durations of their
+ *   scenarios in earlier cucumber-json reports (SHARD_DURATIONS_DIR).
+ *   Features without history are weighted by their scenario count.
+ *   Every CI node computes the same split from the same reports.
+ *
+ * Result write-back:
+ *   After a run, recordResults() writes LastStatus, LastRun, Duration
+ *   (seconds) and FailureReason into the matrix row of every test case
+ *   that ran, in the JSON or Excel file itself.  A scenario belongs to
+ *   a test case when it is tagged with its id (`@TC_LOGIN_001`) or its
+ *   name, snake_cased, equals the Scenario column.
+ *
+ * Quarantine:
+ *   Scenarios that FlakyTestTracker scores as flaky are put on the
+ *   quarantine list in its history store, and released again once
+ *   they stabilise; feature files are never edited.  Test runs leave
+ *   listed scenarios out of the blocking pass through `--spec
+ *   <file>:<line>` arguments, and scenarios tagged `@quarantine` by
+ *   hand through the tag expression, then run both in a separate,
+ *   non-blocking pass.
+ *
  * Usage:
  *   const filter = new TestExecutionFilter('test/data/execution-matrix.xlsx');
  *   const specs  = filter.getTargetedSpecs();            // feature file paths
+ *   const shard  = filter.getTargetedSpecs({ shard: '2/4' });  // this CI node's share
  *   const tags   = filter.getTargetedTagExpression();    // @smoke or @TC001 or @TC003
+ *   filter.applyQuarantine();                            // sync the quarantine list with flaky history
+ *   filter.recordResults('reports/cucumber-json', { since: runStartedAt });
  * ═══════════════════════════════════════════════════════════════════════
  */
 
@@ -25,10 +51,17 @@ const path = require('path');
 const fs = require('fs-extra');
 const { Logger } = require('../utils/Logger');
 const { ExcelHelper } = require('./ExcelHelper');
+const { DateHelper } = require('./DateHelper');
 const { ConfigResolver } = require('../utils/ConfigResolver');
+const { FlakyTestTracker } = require('../utils/FlakyTestTracker');
 
 const logger = Logger.getInstance('TestExecutionFilter');
 
+const QUARANTINE_TAG = '@quarantine';
+
+/** Columns written back by recordResults(), in this order. */
+const RESULT_COLUMNS = ['LastStatus', 'LastRun', 'Duration', 'FailureReason'];
+
 class TestExecutionFilter {
     /**
      * @param {string}  [matrixPath]   Path to execution matrix (xlsx or json)
@@ -40,6 +73,8 @@ class TestExecutionFilter {
      * @param {string}  [options.browserColumn='Browser']
      * @param {string}  [options.tagsColumn='Tags']
      * @param {string}  [options.featureColumn='Feature']
+     * @param {string}  [options.idColumn='TestCaseId']
+     * @param {string}  [options.scenarioColumn='Scenario']
      */
     constructor(matrixPath, options = {}) {
         this.matrixPath = matrixPath ? path.resolve(matrixPath) : null;
@@ -50,6 +85,8 @@ class TestExecutionFilter {
         this.browserColumn = options.browserColumn || 'Browser';
         this.tagsColumn = options.tagsColumn || 'Tags';
         this.featureColumn = options.featureColumn || 'Feature';
+        this.idColumn = options.idColumn || 'TestCaseId';
+        this.scenarioColumn = options.scenarioColumn || 'Scenario';
 
         this._matrix = null;
     }
@@ -127,14 +164,20 @@ class TestExecutionFilter {
      * Get the list of feature file paths to execute based on the matrix.
      *
      * @param {object} [overrides]
-     * @returns {string[]}
+     * @param {string} [overrides.shard]  Only this shard of the files, e.g. '2/4'
+     *                                    (see {@link TestExecutionFilter#shardSpecs})
+     * @returns {string[]}  May be empty for a shard when there are fewer files than shards
      */
     getTargetedSpecs(overrides = {}) {
         const rows = this.getTargetedRows(overrides);
+        const allFeatures = () =>
+            overrides.shard
+                ? this.shardSpecs(this._listFeatureFiles(this.featureDir).sort(), overrides.shard)
+                : [path.join(this.featureDir, '**', '*.feature')];
 
         if (rows.length === 0) {
             logger.info('No targeted specs — returning all features');
-            return [path.join(this.featureDir, '**', '*.feature')];
+            return allFeatures();
         }
 
         const featureNames = [...new Set(
@@ -148,7 +191,78 @@ class TestExecutionFilter {
         }
 
         logger.info(`Targeted ${specs.length} feature file(s) from ${rows.length} matrix row(s)`);
-        return specs.length > 0 ? specs : [path.join(this.featureDir, '**', '*.feature')];
+        if (specs.length === 0) return allFeatures();
+        return overrides.shard ? this.shardSpecs(specs, overrides.shard) : specs;
+    }
+
+    /**
+     * Split feature files into shards of about equal run time and return one.
+     * A file's weight is the sum of its scenarios' durations in the cucumber-json
+     * reports of earlier runs (newest result per scenario, averaged across
+     * browsers).  Files without history are weighted by their scenario count
+     * times the average known scenario duration.  Files are assigned
+     * longest-first to the shard with the least work so far.
+     *
+     * @param {string[]} specs  Feature file paths
+     * @param {string|{index: number, total: number}} shard  e.g. '2/4' (1-based)
+     * @param {object} [options]
+     * @param {string} [options.durationsDir]  cucumber-json folder (default: SHARD_DURATIONS_DIR)
+     * @returns {string[]}  The files of the requested shard
+     * @throws {Error} If the shard is not `<index>/<total>` with 1 ≤ index ≤ total.
+     */
+    shardSpecs(specs, shard, options = {}) {
+        const { index, total } = TestExecutionFilter.parseShard(shard);
+        const durationsDir = path.resolve(
+            options.durationsDir || ConfigResolver.get('SHARD_DURATIONS_DIR', 'reports/cucumber-json'),
+        );
+
+        const durations = this._featureDurations(durationsDir);
+        const known = [...durations.values()];
+        const averageScenarioMs = known.length
+            ? known.reduce((sum, d) => sum + d.ms, 0) / known.reduce((sum, d) => sum + d.scenarios, 0)
+            : 1;
+        const weighted = specs.map((spec) => {
+            const history = durations.get(path.resolve(spec));
+            const weight = history ? history.ms : Math.max(this._countScenarios(spec), 1) * averageScenarioMs;
+            return { spec, weight, estimated: !history };
+        });
+
+        // Longest first; ties by path so every node builds the same shards
+        weighted.sort((a, b) => b.weight - a.weight || a.spec.localeCompare(b.spec));
+        const shards = Array.from({ length: total }, () => ({ specs: [], weight: 0 }));
+        for (const item of weighted) {
+            const lightest = shards.reduce((min, s) => (s.weight < min.weight ? s : min), shards[0]);
+            lightest.specs.push(item.spec);
+            lightest.weight += item.weight;
+        }
+
+        const mine = shards[index - 1];
+        const estimated = weighted.filter((w) => w.estimated).length;
+        logger.info(
+            `Shard ${index}/${total}: ${mine.specs.length} of ${specs.length} feature file(s)` +
+                (known.length
+                    ? `, ~${Math.round(mine.weight / 1000)}s of ~${Math.round(
+                          shards.reduce((sum, s) => sum + s.weight, 0) / 1000,
+                      )}s (${estimated} file(s) without history, estimated by scenario count)`
+                    : ' — no duration history, balanced by scenario count'),
+        );
+        return mine.specs;
+    }
+
+    /**
+     * @param {string|{index: number, total: number}} shard  e.g. '2/4'
+     * @returns {{index: number, total: number}}
+     * @throws {Error} If the shard is not `<index>/<total>` with 1 ≤ index ≤ total.
+     */
+    static parseShard(shard) {
+        const match = typeof shard === 'string' ? shard.trim().match(/^(\d+)\/(\d+)$/) : null;
+        const index = match ? Number(match[1]) : shard && shard.index;
+        const total = match ? Number(match[2]) : shard && shard.total;
+        if (!Number.isInteger(index) || !Number.isInteger(total) || index < 1 || index > total) {
+            const given = typeof shard === 'string' ? shard : JSON.stringify(shard);
+            throw new Error(`Invalid shard "${given}": use <index>/<total>, e.g. 2/4.`);
+        }
+        return { index, total };
     }
 
     /**
@@ -207,8 +321,423 @@ class TestExecutionFilter {
         };
     }
 
+    // ─── Result Write-Back ────────────────────────────────────
+
+    /**
+     * Write the results of a run into the matrix file: LastStatus (PASSED /
+     * FAILED), LastRun, Duration in seconds and FailureReason per test case.
+     * Missing columns are added; rows of test cases that did not run are left
+     * unchanged.  For a scenario that was rerun, its last attempt counts.
+     *
+     * @param {string} cucumberJsonDir  Folder with the run's cucumber-json output
+     * @param {object} [options]
+     * @param {number} [options.since=0]  Only read files modified at/after this epoch (ms)
+     * @returns {{updated: string[], unmatched: string[]}}  Updated test case ids, and
+     *          scenarios that belong to no row of the matrix
+     */
+    recordResults(cucumberJsonDir, options = {}) {
+        if (!this.matrixPath || !fs.existsSync(this.matrixPath)) {
+            logger.debug('No execution matrix configured — results not written back');
+            return { updated: [], unmatched: [] };
+        }
+        const results = this._latestResults(FlakyTestTracker.parseCucumberJson(cucumberJsonDir, options));
+        const ext = path.extname(this.matrixPath).toLowerCase();
+        const rowIds = ext === '.json' ? this._jsonRows(fs.readJsonSync(this.matrixPath)) : this._excelRows();
+
+        // Aggregate per test case: failed if any of its scenarios failed
+        const byId = new Map();
+        const unmatched = [];
+        for (const result of results) {
+            const row = rowIds.find(({ id, scenario }) => this._resultMatches(result, id, scenario));
+            if (!row) {
+                unmatched.push(`${result.uri} :: ${result.name}`);
+                continue;
+            }
+            const entry = byId.get(row.id) || { status: 'PASSED', durationMs: 0, reasons: [] };
+            entry.durationMs += result.duration;
+            if (result.status === 'failed') {
+                entry.status = 'FAILED';
+                entry.reasons.push(result.error || `Scenario "${result.name}" failed`);
+            }
+            byId.set(row.id, entry);
+        }
+
+        const lastRun = DateHelper.now();
+        const values = new Map(
+            [...byId].map(([id, entry]) => [
+                id,
+                {
+                    LastStatus: entry.status,
+                    LastRun: lastRun,
+                    Duration: Math.round(entry.durationMs / 100) / 10,
+                    FailureReason: entry.reasons.join(' | '),
+                },
+            ]),
+        );
+        if (values.size > 0) {
+            if (ext === '.json') this._writeJsonResults(values);
+            else this._writeExcelResults(values);
+        }
+
+        logger.info(
+            `Wrote results of ${values.size} test case(s) to ${path.relative(process.cwd(), this.matrixPath)}` +
+                `${unmatched.length ? ` — ${unmatched.length} scenario(s) match no matrix row` : ''}`,
+        );
+        unmatched.forEach((s) => logger.debug(`No matrix row for: ${s}`));
+        return { updated: [...values.keys()], unmatched };
+    }
+
+    // ─── Quarantine ───────────────────────────────────────────
+
+    /**
+     * Synchronise the quarantine list in the FlakyTestTracker history store
+     * with the flaky scenarios it reports.  Newly flaky scenarios are added;
+     * scenarios that are no longer flaky are released.  Feature files are
+     * never edited — manually added `@quarantine` tags are read, not written.
+     *
+     * @param {object[]} [flaky]  Flaky scenarios (default: FlakyTestTracker.getFlakyScenarios())
+     * @returns {{added: string[], removed: string[]}}  "<file> :: <scenario>" entries
+     */
+    applyQuarantine(flaky = FlakyTestTracker.getFlakyScenarios()) {
+        const label = (q) => `${q.uri} :: ${q.name}`;
+        const current = new Map(FlakyTestTracker.getQuarantine().map((q) => [label(q), q]));
+
+        // One entry per scenario, keeping the highest score across browsers
+        const wanted = new Map();
+        for (const s of flaky) {
+            const id = label(s);
+            if (wanted.has(id) && wanted.get(id).score >= s.score) continue;
+            if (this.findScenarioLine(path.resolve(s.uri), s.name) === null) {
+                logger.warn(`Flaky scenario "${s.name}" not found in ${s.uri} — cannot quarantine`);
+                continue;
+            }
+            const since = current.has(id) ? current.get(id).since : new Date().toISOString().slice(0, 10);
+            wanted.set(id, { uri: s.uri, name: s.name, score: s.score, runs: s.runs, since });
+        }
+
+        const added = [...wanted.keys()].filter((id) => !current.has(id));
+        const removed = [...current.keys()].filter((id) => !wanted.has(id));
+        FlakyTestTracker.saveQuarantine([...wanted.values()]);
+
+        added.forEach((e) => logger.warn(`Quarantined flaky scenario: ${e}`));
+        removed.forEach((e) => logger.info(`Released from quarantine: ${e}`));
+        return { added, removed };
+    }
+
+    /**
+     * List quarantined scenarios: those tagged `@quarantine` in their feature
+     * file, and (`auto: true`) those on the quarantine list.
+     *
+     * @returns {Array<{file: string, name: string, line: number, auto: boolean}>}
+     */
+    getQuarantinedScenarios() {
+        const quarantined = [];
+        for (const file of this._listFeatureFiles(this.featureDir)) {
+            const lines = fs.readFileSync(file, 'utf-8').split(/\r?\n/);
+            let featureTagged = false;
+            for (let i = 0; i < lines.length; i++) {
+                const trimmed = lines[i].trim();
+                if (!trimmed.startsWith('@') || !trimmed.split(/\s+/).includes(QUARANTINE_TAG)) continue;
+
+                let j = i;
+                while (j < lines.length && (lines[j].trim().startsWith('@') || lines[j].trim().startsWith('#'))) j++;
+                if (/^\s*Feature:/.test(lines[j] || '')) {
+                    featureTagged = true;
+                    continue;
+                }
+                const name = this._scenarioNameAfter(lines, i + 1);
+                if (name) quarantined.push({ file, name, line: j + 1, auto: false });
+            }
+            if (featureTagged) quarantined.push({ file, name: '*', line: 1, auto: false });
+        }
+
+        for (const q of FlakyTestTracker.getQuarantine()) {
+            const file = path.resolve(q.uri);
+            const line = this.findScenarioLine(file, q.name);
+            if (line === null) continue;
+            // Tagged by hand as well — the tag expression already handles it
+            if (quarantined.some((t) => path.resolve(t.file) === file && (t.line === line || t.name === '*'))) continue;
+            quarantined.push({ file, name: q.name, line, auto: true });
+        }
+        return quarantined;
+    }
+
+    /**
+     * `--spec` arguments for the blocking run that leave out the scenarios on
+     * the quarantine list: feature files without listed scenarios are passed
+     * whole, the others as `<file>:<line>` per remaining scenario.  Tagged
+     * scenarios are left to excludeQuarantined().
+     *
+     * Without listed scenarios `specs` are returned as they are (none: the
+     * WDIO config's specs apply).  Directories in `specs` are expanded; globs
+     * and `<file>:<line>` specs are passed through unchanged.
+     *
+     * @param {string[]} [specs]  Specs to run (default: every feature file under featureDir)
+     * @returns {string[]}  e.g. `['--spec', 'test/features/a.feature', '--spec', 'test/features/b.feature:12']`
+     */
+    excludeQuarantinedSpecs(specs = []) {
+        const listed = this.getQuarantinedScenarios().filter((q) => q.auto);
+        if (listed.length === 0) return specs.flatMap((spec) => ['--spec', spec]);
+
+        const files = specs.length > 0 ? specs : [path.relative(process.cwd(), this.featureDir)];
+        return files
+            .flatMap((spec) => (this._isDirectory(spec) ? this._listFeatureFiles(spec) : [spec]))
+            .flatMap((spec) => {
+                const skip = listed.filter((q) => q.file === path.resolve(spec)).map((q) => q.line);
+                if (skip.length === 0) return ['--spec', spec];
+                return this._scenarioLines(spec)
+                    .filter((line) => !skip.includes(line))
+                    .flatMap((line) => ['--spec', `${spec}:${line}`]);
+            });
+    }
+
+    /**
+     * `--spec` arguments that run only the scenarios on the quarantine list,
+     * limited to the feature files and directories in `specs` when given.
+     *
+     * @param {string[]} [specs]
+     * @returns {string[]}  Empty when no listed scenario is selected
+     */
+    onlyQuarantinedSpecs(specs = []) {
+        const selected = (file) =>
+            specs.length === 0 ||
+            specs.some((spec) => file === path.resolve(spec) || file.startsWith(path.resolve(spec) + path.sep));
+        return this.getQuarantinedScenarios()
+            .filter((q) => q.auto && selected(q.file))
+            .flatMap((q) => ['--spec', `${path.relative(process.cwd(), q.file)}:${q.line}`]);
+    }
+
+    /**
+     * Locate a scenario in a feature file, e.g. to rerun it via `--spec <file>:<line>`.
+     * Outline rows resolve to the `Scenario Outline:` line.
+     *
+     * @param {string} featureFile  Path to the .feature file
+     * @param {string} scenarioName  Run-time scenario name (placeholders already substituted)
+     * @returns {number|null}  1-based line number, or null if not found
+     */
+    findScenarioLine(featureFile, scenarioName) {
+        if (!fs.existsSync(featureFile)) return null;
+        const lines = fs.readFileSync(featureFile, 'utf-8').split(/\r?\n/);
+        const index = this._scenarioIndex(lines, scenarioName);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Tag expression for the blocking run: `expression` minus quarantined scenarios.
+     *
+     * @param {string} [expression='']
+     * @returns {string}
+     */
+    static excludeQuarantined(expression = '') {
+        return expression ? `(${expression}) and not ${QUARANTINE_TAG}` : `not ${QUARANTINE_TAG}`;
+    }
+
+    /**
+     * Tag expression for the non-blocking run: only quarantined scenarios.
+     *
+     * @param {string} [expression='']
+     * @returns {string}
+     */
+    static onlyQuarantined(expression = '') {
+        return expression ? `(${expression}) and ${QUARANTINE_TAG}` : QUARANTINE_TAG;
+    }
+
     // ─── Private ──────────────────────────────────────────────
 
+    /** Test case id of a matrix row (`TestId` is accepted as well). */
+    _rowId(row) {
+        return String(row[this.idColumn] || row.TestId || '').trim();
+    }
+
+    /**
+     * Duration per feature file from earlier cucumber-json reports:
+     * absolute path → { ms, scenarios }.
+     */
+    _featureDurations(durationsDir) {
+        const perScenario = new Map();
+        for (const result of this._latestResults(FlakyTestTracker.parseCucumberJson(durationsDir))) {
+            // Same scenario on several browsers — average them
+            const id = result.key.slice(result.key.indexOf(' | ') + 3);
+            const entry = perScenario.get(id) || { uri: path.resolve(result.uri), sum: 0, count: 0 };
+            entry.sum += result.duration;
+            entry.count++;
+            perScenario.set(id, entry);
+        }
+        const durations = new Map();
+        for (const { uri, sum, count } of perScenario.values()) {
+            const entry = durations.get(uri) || { ms: 0, scenarios: 0 };
+            entry.ms += sum / count;
+            entry.scenarios++;
+            durations.set(uri, entry);
+        }
+        return durations;
+    }
+
+    /** Scenarios in a feature file, counting each Examples row of an outline. */
+    _countScenarios(featureFile) {
+        if (!fs.existsSync(featureFile)) return 0;
+        let count = 0;
+        let inExamples = false;
+        let headerSeen = false;
+        for (const line of fs.readFileSync(featureFile, 'utf-8').split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (/^(?:Scenario|Example):/.test(trimmed)) {
+                count++;
+                inExamples = false;
+            } else if (/^(?:Examples|Scenarios):/.test(trimmed)) {
+                inExamples = true;
+                headerSeen = false;
+            } else if (inExamples && trimmed.startsWith('|')) {
+                if (headerSeen) count++;
+                headerSeen = true;
+            } else if (/^(?:Scenario (?:Outline|Template)|Rule|Feature):/.test(trimmed)) {
+                inExamples = false;
+            }
+        }
+        return count;
+    }
+
+    /** One result per scenario and browser: the attempt from the newest file. */
+    _latestResults(results) {
+        const latest = new Map();
+        const mtimes = new Map();
+        const mtime = (file) => {
+            if (!mtimes.has(file)) mtimes.set(file, fs.statSync(file).mtimeMs);
+            return mtimes.get(file);
+        };
+        for (const result of results) {
+            const current = latest.get(result.key);
+            if (!current || mtime(result.file) >= mtime(current.file)) latest.set(result.key, result);
+        }
+        return [...latest.values()];
+    }
+
+    /** Rows of a JSON matrix (array, or object of arrays) as `{ id, scenario, row }`. */
+    _jsonRows(matrix) {
+        const rows = Array.isArray(matrix) ? matrix : Object.values(matrix).flat();
+        return rows
+            .filter((row) => row && typeof row === 'object' && this._rowId(row))
+            .map((row) => ({ id: this._rowId(row), scenario: String(row[this.scenarioColumn] || '').trim(), row }));
+    }
+
+    /** Rows of the Excel matrix sheet as `{ id, scenario }`. */
+    _excelRows() {
+        const [header = [], ...rows] = ExcelHelper.readSheetAsArray(this.matrixPath, this.sheetName);
+        const idIndex = header.findIndex((h) => h === this.idColumn || h === 'TestId');
+        const scenarioIndex = header.indexOf(this.scenarioColumn);
+        if (idIndex === -1) {
+            throw new Error(`Execution matrix sheet "${this.sheetName}" has no "${this.idColumn}" column.`);
+        }
+        return rows
+            .map((row) => ({
+                id: String(row[idIndex] || '').trim(),
+                scenario: scenarioIndex === -1 ? '' : String(row[scenarioIndex] || '').trim(),
+            }))
+            .filter((row) => row.id);
+    }
+
+    /** Tagged with the test case id, or named like its Scenario column. */
+    _resultMatches(result, id, scenario) {
+        const tag = `@${id.replace(/^@/, '')}`.toLowerCase();
+        if (result.tags.some((t) => t.toLowerCase() === tag)) return true;
+        const snake = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        return Boolean(scenario) && snake(scenario) === snake(result.name);
+    }
+
+    _writeJsonResults(values) {
+        const raw = fs.readFileSync(this.matrixPath, 'utf-8');
+        const matrix = JSON.parse(raw);
+        for (const { id, row } of this._jsonRows(matrix)) {
+            if (values.has(id)) Object.assign(row, values.get(id));
+        }
+        const indent = (raw.match(/^[[{]\r?\n([ \t]+)/) || [null, 4])[1];
+        fs.writeFileSync(this.matrixPath, `${JSON.stringify(matrix, null, indent)}\n`);
+    }
+
+    _writeExcelResults(values) {
+        const [header = [], ...rows] = ExcelHelper.readSheetAsArray(this.matrixPath, this.sheetName);
+        const idIndex = header.findIndex((h) => h === this.idColumn || h === 'TestId');
+        const updates = {};
+        const columns = RESULT_COLUMNS.map((name) => {
+            let index = header.indexOf(name);
+            if (index === -1) {
+                index = header.length;
+                header.push(name);
+                updates[this._cellAddress(0, index)] = name;
+            }
+            return { name, index };
+        });
+        rows.forEach((row, i) => {
+            const result = values.get(String(row[idIndex] || '').trim());
+            if (!result) return;
+            for (const { name, index } of columns) updates[this._cellAddress(i + 1, index)] = result[name];
+        });
+        ExcelHelper.updateCells(this.matrixPath, this.sheetName, updates);
+    }
+
+    /** Zero-based row / column → A1 address. */
+    _cellAddress(rowIndex, colIndex) {
+        let letters = '';
+        for (let n = colIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return `${letters}${rowIndex + 1}`;
+    }
+
+    _listFeatureFiles(dir) {
+        if (!fs.existsSync(dir)) return [];
+        const files = [];
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) files.push(...this._listFeatureFiles(fullPath));
+            else if (entry.name.endsWith('.feature')) files.push(fullPath);
+        }
+        return files;
+    }
+
+    _isDirectory(spec) {
+        return fs.existsSync(spec) && fs.statSync(spec).isDirectory();
+    }
+
+    /** 1-based lines of every Scenario / Scenario Outline in a feature file. */
+    _scenarioLines(featureFile) {
+        if (!fs.existsSync(featureFile)) return [];
+        return fs
+            .readFileSync(featureFile, 'utf-8')
+            .split(/\r?\n/)
+            .flatMap((line, i) => (/^\s*(?:Scenario(?: Outline| Template)?|Example):/.test(line) ? [i + 1] : []));
+    }
+
+    /** Name of the first Scenario line at or after `start` (skipping tags/comments). */
+    _scenarioNameAfter(lines, start) {
+        for (let i = start; i < lines.length; i++) {
+            const trimmed = lines[i].trim();
+            if (trimmed.startsWith('@') || trimmed.startsWith('#') || trimmed === '') continue;
+            const m = trimmed.match(/^(?:Scenario(?: Outline| Template)?|Example):\s*(.+?)\s*$/);
+            return m ? m[1] : null;
+        }
+        return null;
+    }
+
+    /** Index of the Scenario line whose title matches `name`, or -1. */
+    _scenarioIndex(lines, name) {
+        return lines.findIndex((line) => {
+            const m = line.match(/^\s*(?:Scenario(?: Outline| Template)?|Example):\s*(.+?)\s*$/);
+            return m && this._nameMatches(m[1], name);
+        });
+    }
+
+    /** Match a scenario title from a feature file (may contain <placeholders>) against a run-time name. */
+    _nameMatches(title, name) {
+        if (title === name) return true;
+        if (!title.includes('<')) return false;
+        const pattern = title
+            .split(/<[^>]+>/)
+            .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${pattern}$`).test(name);
+    }
+
     _findFeatureFile(featureName) {
         // Try exact path first
         const exactPath = path.join(this.featureDir, featureName);
@@ -0,0 +1,274 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * TokenManager - OAuth2 / OIDC Access Tokens for ApiHelper
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Acquires access tokens with the client-credentials, password or
+ * refresh-token grant, caches them per worker process and renews
+ * them shortly before they expire (OAUTH_REFRESH_SKEW_SECONDS).
+ * A cached refresh token is used first; if it is rejected the
+ * original grant runs again.
+ *
+ * The token endpoint is OAUTH_TOKEN_URL, or discovered from the
+ * OIDC issuer's `/.well-known/openid-configuration` (OAUTH_ISSUER_URL).
+ *
+ * ApiHelper.useOAuth2() sends the token with every request and,
+ * on HTTP 401, renews it and retries the request once.
+ *
+ * @module TokenManager
+ * @example
+ * const api = ApiHelper.create(apiUrl).useOAuth2({ scope: 'orders:write' });   // client credentials
+ *
+ * const userApi = ApiHelper.create(apiUrl).useOAuth2({
+ *     grantType: 'password', username: 'standard_user', password: 's3cret',
+ * });
+ *
+ * const token = await new TokenManager({ clientId: 'reporting' }).getToken();
+ */
+
+const axios = require('axios');
+const { Logger } = require('../utils/Logger');
+const { ConfigResolver } = require('../utils/ConfigResolver');
+const { ApiRecorder } = require('./ApiRecorder');
+
+const logger = Logger.getInstance('TokenManager');
+
+const GRANT_TYPES = ['client_credentials', 'password', 'refresh_token'];
+
+/** Tokens shared by every TokenManager of this worker, keyed by client + grant + user + scope. */
+const tokenCache = new Map();
+
+/** OIDC discovery documents, keyed by issuer. */
+const discoveryCache = new Map();
+
+/**
+ * @class TokenManager
+ * @description Fetches, caches and renews OAuth2 access tokens for one client / grant.
+ */
+class TokenManager {
+    /**
+     * @param {Object} [options={}] - Unset options fall back to the OAUTH_* config keys.
+     * @param {string} [options.grantType='client_credentials'] - `client_credentials`, `password` or `refresh_token`.
+     * @param {string} [options.tokenUrl] - Token endpoint (OAUTH_TOKEN_URL).
+     * @param {string} [options.issuer] - OIDC issuer used to discover the token endpoint (OAUTH_ISSUER_URL).
+     * @param {string} [options.clientId] - OAUTH_CLIENT_ID.
+     * @param {string} [options.clientSecret] - OAUTH_CLIENT_SECRET.
+     * @param {string} [options.scope] - Space-separated scopes (OAUTH_SCOPE).
+     * @param {string} [options.audience] - API audience, for providers that need it (OAUTH_AUDIENCE).
+     * @param {string} [options.username] - Resource owner, for the password grant.
+     * @param {string} [options.password] - Resource owner password, for the password grant.
+     * @param {string} [options.refreshToken] - Initial refresh token, for the refresh-token grant.
+     * @param {string} [options.clientAuth='body'] - Send client credentials in the `'body'` or as HTTP `'basic'` auth.
+     * @param {Object} [options.extraParams={}] - Additional token request parameters.
+     * @throws {Error} If the grant type is unknown or its required options are missing.
+     */
+    constructor(options = {}) {
+        this.options = {
+            grantType: options.grantType || ConfigResolver.get('OAUTH_GRANT_TYPE', 'client_credentials'),
+            tokenUrl: options.tokenUrl || ConfigResolver.get('OAUTH_TOKEN_URL', ''),
+            issuer: options.issuer || ConfigResolver.get('OAUTH_ISSUER_URL', ''),
+            clientId: options.clientId || ConfigResolver.get('OAUTH_CLIENT_ID', ''),
+            clientSecret: options.clientSecret || ConfigResolver.get('OAUTH_CLIENT_SECRET', ''),
+            scope: options.scope !== undefined ? options.scope : ConfigResolver.get('OAUTH_SCOPE', ''),
+            audience: options.audience !== undefined ? options.audience : ConfigResolver.get('OAUTH_AUDIENCE', ''),
+            username: options.username || '',
+            password: options.password || '',
+            refreshToken: options.refreshToken || '',
+            clientAuth: options.clientAuth || 'body',
+            extraParams: options.extraParams || {},
+        };
+        this.skewMs = ConfigResolver.getInt('OAUTH_REFRESH_SKEW_SECONDS', 60) * 1000;
+        this._validateOptions();
+        this.cacheKey = [
+            this.options.tokenUrl || this.options.issuer,
+            this.options.clientId,
+            this.options.grantType,
+            this.options.username,
+            this.options.scope,
+            this.options.audience,
+        ].join('|');
+    }
+
+    // ─── Tokens ───────────────────────────────────────────────
+
+    /**
+     * Return a valid access token, fetching or renewing it when needed.
+     * Concurrent callers share one token request.
+     *
+     * @param {Object} [options={}]
+     * @param {boolean} [options.forceRefresh=false] - Ignore the cached access token.
+     * @returns {Promise<string>}
+     * @throws {Error} If the token endpoint rejects the request.
+     */
+    async getToken({ forceRefresh = false } = {}) {
+        const cached = tokenCache.get(this.cacheKey);
+        if (cached && cached.pending) return (await cached.pending).accessToken;
+        if (!forceRefresh && cached && cached.accessToken && Date.now() < cached.expiresAt - this.skewMs) {
+            return cached.accessToken;
+        }
+
+        const pending = this._renew(cached);
+        tokenCache.set(this.cacheKey, { ...cached, pending });
+        try {
+            const token = await pending;
+            tokenCache.set(this.cacheKey, token);
+            return token.accessToken;
+        } catch (err) {
+            tokenCache.delete(this.cacheKey);
+            throw err;
+        }
+    }
+
+    /**
+     * Mark the cached access token as unusable (e.g. after an HTTP 401).  The
+     * refresh token is kept, so the next {@link TokenManager#getToken} refreshes.
+     *
+     * @returns {void}
+     */
+    invalidate() {
+        const cached = tokenCache.get(this.cacheKey);
+        if (cached && !cached.pending) tokenCache.set(this.cacheKey, { ...cached, accessToken: null, expiresAt: 0 });
+    }
+
+    /**
+     * Forget every cached token of this worker.
+     *
+     * @returns {void}
+     */
+    static clearCache() {
+        tokenCache.clear();
+        discoveryCache.clear();
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /**
+     * Refresh with the cached refresh token, falling back to the configured grant.
+     * @private
+     */
+    async _renew(cached) {
+        const refreshToken = (cached && cached.refreshToken) || this.options.refreshToken;
+        if (refreshToken) {
+            try {
+                return await this._requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+            } catch (err) {
+                if (this.options.grantType === 'refresh_token') throw err;
+                logger.info(`Refresh token rejected — requesting a new token (${this.options.grantType})`);
+            }
+        }
+
+        const params = { grant_type: this.options.grantType };
+        if (this.options.grantType === 'password') {
+            params.username = this.options.username;
+            params.password = this.options.password;
+        }
+        return this._requestToken(params);
+    }
+
+    /** @private */
+    async _requestToken(params) {
+        const tokenUrl = await this._tokenEndpoint();
+        const { clientId, clientSecret, scope, audience, clientAuth, extraParams } = this.options;
+
+        const body = new URLSearchParams({ ...params, ...extraParams });
+        if (scope) body.set('scope', scope);
+        if (audience) body.set('audience', audience);
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+        if (clientAuth === 'basic') {
+            headers.Authorization = `Basic ${Buffer.from(
+                `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`,
+            ).toString('base64')}`;
+        } else {
+            body.set('client_id', clientId);
+            if (clientSecret) body.set('client_secret', clientSecret);
+        }
+
+        const response = await this._http().post(tokenUrl, body.toString(), { headers });
+        const data = response.data || {};
+        if (response.status < 200 || response.status >= 300 || !data.access_token) {
+            const reason = data.error
+                ? `${data.error}${data.error_description ? ` — ${data.error_description}` : ''}`
+                : 'no access_token in response';
+            throw new Error(
+                `OAuth2 token request (${params.grant_type}) to ${tokenUrl} failed: HTTP ${response.status} ${reason}`,
+            );
+        }
+
+        const expiresAt = data.expires_in
+            ? Date.now() + Number(data.expires_in) * 1000
+            : this._jwtExpiry(data.access_token);
+        logger.info(
+            `OAuth2 token acquired (${params.grant_type}, client ${clientId || '-'}` +
+                `${Number.isFinite(expiresAt) ? `, expires in ${Math.round((expiresAt - Date.now()) / 1000)}s` : ''})`,
+        );
+        return {
+            accessToken: data.access_token,
+            tokenType: data.token_type || 'Bearer',
+            refreshToken: data.refresh_token || params.refresh_token || null,
+            expiresAt,
+        };
+    }
+
+    /** Token endpoint, discovered from the OIDC issuer when not configured. @private */
+    async _tokenEndpoint() {
+        if (this.options.tokenUrl) return this.options.tokenUrl;
+
+        const issuer = this.options.issuer.replace(/\/$/, '');
+        if (!discoveryCache.has(issuer)) {
+            const url = `${issuer}/.well-known/openid-configuration`;
+            const response = await this._http().get(url);
+            if (response.status !== 200 || !response.data || !response.data.token_endpoint) {
+                throw new Error(`OIDC discovery failed: ${url} → HTTP ${response.status} (no token_endpoint)`);
+            }
+            discoveryCache.set(issuer, response.data);
+        }
+        return discoveryCache.get(issuer).token_endpoint;
+    }
+
+    /** Plain axios client — honours API_MODE record / replay like ApiHelper. @private */
+    _http() {
+        if (!this._client) {
+            this._client = axios.create({ timeout: 30000, validateStatus: () => true });
+            const adapter = ApiRecorder.createAdapter(ApiRecorder.getMode(), () =>
+                ApiRecorder.fixturePath({ baseURL: this.options.tokenUrl || this.options.issuer }),
+            );
+            if (adapter) this._client.defaults.adapter = adapter;
+        }
+        return this._client;
+    }
+
+    /** `exp` claim of a JWT access token; opaque tokens never expire locally (401 renews them). @private */
+    _jwtExpiry(token) {
+        try {
+            const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8'));
+            if (payload.exp) return payload.exp * 1000;
+        } catch {
+            // Not a JWT
+        }
+        return Infinity;
+    }
+
+    /** @private */
+    _validateOptions() {
+        const { grantType, tokenUrl, issuer, clientId, username, password, refreshToken } = this.options;
+        if (!GRANT_TYPES.includes(grantType)) {
+            throw new Error(`Unsupported OAuth2 grant type "${grantType}". Use one of: ${GRANT_TYPES.join(', ')}.`);
+        }
+        if (!tokenUrl && !issuer) {
+            throw new Error(
+                'OAuth2 needs a token endpoint: set OAUTH_TOKEN_URL or OAUTH_ISSUER_URL (or pass tokenUrl / issuer).',
+            );
+        }
+        if (!clientId) {
+            throw new Error('OAuth2 needs a client id: set OAUTH_CLIENT_ID (or pass clientId).');
+        }
+        if (grantType === 'password' && (!username || !password)) {
+            throw new Error('The OAuth2 password grant needs both username and password.');
+        }
+        if (grantType === 'refresh_token' && !refreshToken) {
+            throw new Error('The OAuth2 refresh_token grant needs an initial refreshToken.');
+        }
+    }
+}
+
+module.exports = { TokenManager };
@@ -5,26 +5,44 @@
  */
 
 const { ApiHelper } = require('./ApiHelper');
+const { SchemaValidator } = require('./SchemaValidator');
+const { ApiRecorder } = require('./ApiRecorder');
+const { SensitiveDataMasker } = require('./SensitiveDataMasker');
+const { TokenManager } = require('./TokenManager');
+const { CleanupRegistry } = require('./CleanupRegistry');
 const { DataGenerator } = require('./DataGenerator');
 const { FileHelper } = require('./FileHelper');
 const { DateHelper } = require('./DateHelper');
 const { StringHelper } = require('./StringHelper');
 const { EncryptionHelper } = require('./EncryptionHelper');
+const { SecretVault } = require('./SecretVault');
 const { ExcelHelper } = require('./ExcelHelper');
+const { DbHelper } = require('./DbHelper');
 const { DataDrivenManager, dataDrivenManager } = require('./DataDrivenManager');
+const { ScenarioContext } = require('./ScenarioContext');
 const { FeatureGenerator } = require('./FeatureGenerator');
 const { TestExecutionFilter } = require('./TestExecutionFilter');
+const { RerunManager } = require('./RerunManager');
 
 module.exports = {
     ApiHelper,
+    SchemaValidator,
+    ApiRecorder,
+    SensitiveDataMasker,
+    TokenManager,
+    CleanupRegistry,
     DataGenerator,
     FileHelper,
     DateHelper,
     StringHelper,
     EncryptionHelper,
+    SecretVault,
     ExcelHelper,
+    DbHelper,
     DataDrivenManager,
     dataDrivenManager,
+    ScenarioContext,
     FeatureGenerator,
     TestExecutionFilter,
+    RerunManager,
 };
@@ -0,0 +1,303 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * AccessibilityChecker - axe-core Accessibility Audits
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Injects axe-core into the page under test and runs WCAG audits
+ * scoped to the whole page, a selector, an element or a component
+ * (anything exposing `rootSelector` / `root`, e.g. BaseComponent).
+ *
+ * Results are attached to the Cucumber report via
+ * `CustomReporter.attachJSON` and written to A11Y_REPORT_DIR so
+ * every run leaves audit evidence behind.  A scenario fails only
+ * on violations at or above the configured impact.
+ *
+ * Configuration:
+ *   A11Y_WCAG_LEVEL  — A | AA | AAA (default: AA; WCAG 2.0 + 2.1 rules)
+ *   A11Y_FAIL_ON     — minor | moderate | serious | critical (default: serious)
+ *   A11Y_REPORT_DIR  — Evidence folder (default: reports/accessibility)
+ *
+ * Requires the optional `axe-core` package.
+ *
+ * @module AccessibilityChecker
+ * @example
+ * const { AccessibilityChecker } = require('@wdio-framework/core');
+ *
+ * // Whole page, fail on serious/critical WCAG 2.1 AA violations
+ * await AccessibilityChecker.assertNoViolations({ name: 'checkout' });
+ *
+ * // Scoped to a component, stricter threshold
+ * await AccessibilityChecker.assertNoViolations({ scope: header, failOn: 'moderate' });
+ *
+ * // Inspect without failing
+ * const result = await AccessibilityChecker.audit({ scope: '#main', wcagLevel: 'A' });
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Logger } = require('./Logger');
+const { ConfigResolver } = require('./ConfigResolver');
+const { CustomReporter } = require('./Reporter');
+
+const logger = Logger.getInstance('AccessibilityChecker');
+
+/** Impact levels in ascending severity (axe-core terminology). */
+const IMPACT_ORDER = ['minor', 'moderate', 'serious', 'critical'];
+
+/** axe-core rule tags included for each WCAG conformance level. */
+const WCAG_TAGS = {
+    A: ['wcag2a', 'wcag21a'],
+    AA: ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa'],
+    AAA: ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa', 'wcag2aaa', 'wcag21aaa'],
+};
+
+/**
+ * Static utility for running axe-core audits in the browser.
+ *
+ * @class AccessibilityChecker
+ */
+class AccessibilityChecker {
+    // ─── Public API ───────────────────────────────────────────
+
+    /**
+     * Run an axe-core audit and return a condensed result.  Never throws on
+     * violations — use {@link AccessibilityChecker.assertNoViolations} for that.
+     *
+     * @param {Object} [options={}]
+     * @param {string|WebdriverIO.Element|Object} [options.scope] - Selector, element, or component
+     *   with `rootSelector` / `root`.  Defaults to the whole document.
+     * @param {string} [options.wcagLevel] - `A`, `AA` or `AAA` (default: A11Y_WCAG_LEVEL).
+     * @param {string[]} [options.tags] - Explicit axe rule tags; overrides `wcagLevel`.
+     * @param {string[]} [options.exclude=[]] - Selectors to leave out of the audit.
+     * @param {string[]} [options.disableRules=[]] - axe rule ids to skip (e.g. `'color-contrast'`).
+     * @param {string} [options.name] - Label used in the evidence file name.
+     * @returns {Promise<Object>} `{ name, url, scope, wcagLevel, tags, timestamp, violations, passes, incomplete, reportPath }`
+     * @throws {Error} If axe-core is not installed or the scope matches nothing.
+     */
+    static async audit(options = {}) {
+        const { exclude = [], disableRules = [] } = options;
+        const wcagLevel = this._wcagLevel(options.wcagLevel);
+        const tags = options.tags || WCAG_TAGS[wcagLevel];
+        const { element, label } = await this._resolveScope(options.scope);
+
+        await this._injectAxe();
+
+        const raw = await browser.execute(
+            async (scopeElement, excluded, runTags, skipRules) => {
+                const include = scopeElement || document;
+
+                const context = excluded.length ? { include: [include], exclude: excluded.map((s) => [s]) } : include;
+                const rules = {};
+                skipRules.forEach((id) => {
+                    rules[id] = { enabled: false };
+                });
+
+                const results = await window.axe.run(context, {
+                    runOnly: { type: 'tag', values: runTags },
+                    rules,
+                    resultTypes: ['violations'],
+                });
+                return {
+                    url: results.url,
+                    violations: results.violations.map((v) => ({
+                        id: v.id,
+                        impact: v.impact,
+                        description: v.description,
+                        help: v.help,
+                        helpUrl: v.helpUrl,
+                        tags: v.tags,
+                        nodes: v.nodes.map((n) => ({
+                            target: n.target,
+                            html: n.html,
+                            failureSummary: n.failureSummary,
+                        })),
+                    })),
+                    passes: results.passes.length,
+                    incomplete: results.incomplete.length,
+                };
+            },
+            element,
+            exclude,
+            tags,
+            disableRules,
+        );
+
+        const result = {
+            name: options.name || label,
+            url: raw.url,
+            scope: label,
+            wcagLevel,
+            tags,
+            timestamp: new Date().toISOString(),
+            violations: raw.violations,
+            passes: raw.passes,
+            incomplete: raw.incomplete,
+        };
+        result.reportPath = this._writeEvidence(result);
+
+        logger.info(
+            `Accessibility audit of ${label} (WCAG ${wcagLevel}): ` +
+                `${result.violations.length} violation(s), ${result.passes} passed rule(s)`,
+        );
+        return result;
+    }
+
+    /**
+     * Audit, attach the result to the report, and throw when any violation
+     * is at or above `failOn`.  Lower-impact violations are logged as warnings.
+     *
+     * @param {Object} [options={}] - Same options as {@link AccessibilityChecker.audit}, plus:
+     * @param {string} [options.failOn] - Minimum impact that fails (default: A11Y_FAIL_ON).
+     * @returns {Promise<Object>} The audit result.
+     * @throws {Error} Listing every blocking violation and the affected nodes.
+     * @example
+     * await AccessibilityChecker.assertNoViolations({ scope: '[data-testid="login-form"]' });
+     */
+    static async assertNoViolations(options = {}) {
+        const failOn = this._impactLevel(options.failOn);
+        const result = await this.audit(options);
+        CustomReporter.attachJSON(result, 'accessibility');
+
+        const blocking = this.filterByImpact(result.violations, failOn);
+        const minor = result.violations.filter((v) => !blocking.includes(v));
+        if (minor.length > 0) {
+            logger.warn(
+                `${minor.length} accessibility violation(s) below "${failOn}" in ${result.scope}: ` +
+                    minor.map((v) => `${v.id} (${v.impact})`).join(', '),
+            );
+        }
+
+        if (blocking.length > 0) {
+            throw new Error(
+                `${blocking.length} accessibility violation(s) at or above "${failOn}" ` +
+                    `(WCAG ${result.wcagLevel}) in ${result.scope}:\n` +
+                    this.formatViolations(blocking),
+            );
+        }
+        return result;
+    }
+
+    /**
+     * Keep only violations whose impact is at or above `minImpact`.
+     * Violations without an impact are treated as `minor`.
+     *
+     * @param {Object[]} violations
+     * @param {string} minImpact - `minor` | `moderate` | `serious` | `critical`
+     * @returns {Object[]}
+     */
+    static filterByImpact(violations, minImpact) {
+        const threshold = IMPACT_ORDER.indexOf(this._impactLevel(minImpact));
+        return violations.filter((v) => Math.max(IMPACT_ORDER.indexOf(v.impact), 0) >= threshold);
+    }
+
+    /**
+     * Render violations as a readable, indented list.
+     *
+     * @param {Object[]} violations
+     * @returns {string}
+     */
+    static formatViolations(violations) {
+        return violations
+            .map((v) => {
+                const nodes = v.nodes
+                    .slice(0, 5)
+                    .map((n) => `      → ${[].concat(n.target).join(' ')}`)
+                    .join('\n');
+                const more = v.nodes.length > 5 ? `\n      … and ${v.nodes.length - 5} more` : '';
+                return `  • [${v.impact}] ${v.id}: ${v.help}\n    ${v.helpUrl}\n${nodes}${more}`;
+            })
+            .join('\n');
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /**
+     * Inject axe-core unless the page already has it.
+     * @private
+     */
+    static async _injectAxe() {
+        const present = await browser.execute(() => typeof window.axe !== 'undefined');
+        if (present) return;
+
+        let source;
+        try {
+            source = require('axe-core').source;
+        } catch {
+            throw new Error(
+                'Package "axe-core" is required for accessibility audits. Install it: npm install axe-core',
+            );
+        }
+        await browser.execute(source);
+    }
+
+    /**
+     * Turn the `scope` option into an element for the browser script.
+     * Selectors are resolved with `$()` here, so XPath works as well as CSS.
+     * @private
+     * @returns {Promise<{element: WebdriverIO.Element|null, label: string}>}
+     */
+    static async _resolveScope(scope) {
+        if (!scope) return { element: null, label: 'page' };
+
+        let element;
+        let label;
+        if (typeof scope === 'string') {
+            element = await $(scope);
+            label = scope;
+        } else if (scope.rootSelector !== undefined || scope.root !== undefined) {
+            // Component objects (BaseComponent or anything with a root)
+            const name = scope.constructor ? scope.constructor.name : 'component';
+            element = await scope.root;
+            label = typeof scope.rootSelector === 'string' ? `${name} (${scope.rootSelector})` : name;
+        } else {
+            element = await scope;
+            label = element.selector ? String(element.selector) : 'element';
+        }
+
+        if (!element || !(await element.isExisting())) {
+            throw new Error(`Accessibility audit failed: scope "${label}" matched no element`);
+        }
+        return { element, label };
+    }
+
+    /** @private */
+    static _wcagLevel(level) {
+        const value = String(level || ConfigResolver.get('A11Y_WCAG_LEVEL', 'AA')).toUpperCase();
+        if (!WCAG_TAGS[value]) {
+            throw new Error(`Unknown WCAG level "${level}". Use one of: ${Object.keys(WCAG_TAGS).join(', ')}`);
+        }
+        return value;
+    }
+
+    /** @private */
+    static _impactLevel(impact) {
+        const value = String(impact || ConfigResolver.get('A11Y_FAIL_ON', 'serious')).toLowerCase();
+        if (!IMPACT_ORDER.includes(value)) {
+            throw new Error(`Unknown accessibility impact "${impact}". Use one of: ${IMPACT_ORDER.join(', ')}`);
+        }
+        return value;
+    }
+
+    /**
+     * Write the audit result to A11Y_REPORT_DIR as release evidence.
+     * @private
+     * @returns {string|null} File path, or null if it could not be written
+     */
+    static _writeEvidence(result) {
+        try {
+            const dir = path.resolve(ConfigResolver.get('A11Y_REPORT_DIR', 'reports/accessibility'));
+            const safeName = String(result.name)
+                .replace(/[^a-zA-Z0-9-_]/g, '_')
+                .substring(0, 80);
+            const stamp = result.timestamp.replace(/[:.]/g, '-');
+            const filePath = path.join(dir, `${safeName}_${stamp}.json`);
+            fs.outputJsonSync(filePath, result, { spaces: 2 });
+            return filePath;
+        } catch (err) {
+            logger.warn(`Could not write accessibility evidence: ${err.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = { AccessibilityChecker };
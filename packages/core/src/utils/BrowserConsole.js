@@ -0,0 +1,291 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * BrowserConsole - Console Messages & Uncaught Page Errors
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Listens to the browser's console and to exceptions the page never
+ * caught, scenario by scenario, so a page that throws while the UI
+ * still looks fine does not go unnoticed.
+ *
+ *   WebDriver BiDi sessions — `log.entryAdded` events
+ *   Chrome / Edge without BiDi — CDP `console` / `pageerror` through
+ *                                browser.getPuppeteer() (optional
+ *                                `puppeteer-core`)
+ *
+ * Every entry is written to the scenario's log file (Logger scenario
+ * context) and, when the scenario fails, attached to the Cucumber
+ * report.  With CONSOLE_FAIL_ON_JS_ERROR=true the `After` hook in
+ * test/support/hooks.js fails any scenario whose page threw an
+ * uncaught error that is not on the allowlist.
+ *
+ * Configuration:
+ *   CONSOLE_CAPTURE           — Capture console output (default: true)
+ *   CONSOLE_FAIL_ON_JS_ERROR  — Fail scenarios on uncaught page errors (default: false)
+ *   CONSOLE_ERROR_ALLOWLIST   — Errors that never fail a scenario, separated
+ *                               by `;`: `/regex/flags` or plain text
+ *                               (case-insensitive substring)
+ *
+ * @module BrowserConsole
+ * @example
+ * // Wired into the base hooks; inside a step:
+ * const errors = BrowserConsole.getUncaughtErrors();
+ * BrowserConsole.assertNoUncaughtErrors();
+ */
+
+const { Logger } = require('./Logger');
+const { ConfigResolver } = require('./ConfigResolver');
+const { CustomReporter } = require('./Reporter');
+
+const logger = Logger.getInstance('BrowserConsole');
+
+const CHROMIUM_BROWSERS = ['chrome', 'chromium', 'msedge', 'microsoftedge'];
+
+/** Console levels (BiDi and CDP names) → Logger method. */
+const LOG_METHODS = {
+    error: 'error',
+    warn: 'warn',
+    warning: 'warn',
+    info: 'info',
+    log: 'info',
+    debug: 'debug',
+    trace: 'debug',
+    verbose: 'debug',
+};
+
+/**
+ * Static, per-worker collector; entries belong to the running scenario.
+ *
+ * @class BrowserConsole
+ */
+class BrowserConsole {
+    // ─── Capture ──────────────────────────────────────────────
+
+    /**
+     * Start listening to a browser session (called by the base `before` hook).
+     * A session that offers neither BiDi nor CDP is logged, never thrown.
+     *
+     * @param {WebdriverIO.Browser} browserInstance
+     * @returns {Promise<boolean>} True if listeners were registered
+     */
+    static async register(browserInstance) {
+        if (!ConfigResolver.getBool('CONSOLE_CAPTURE', true)) return false;
+
+        try {
+            if (browserInstance.isBidi) {
+                await browserInstance.sessionSubscribe({ events: ['log.entryAdded'] });
+                browserInstance.on('log.entryAdded', (entry) => this._fromBidi(entry));
+                logger.debug('Capturing browser console (BiDi)');
+                return true;
+            }
+            const browserName = String(browserInstance.capabilities.browserName || '')
+                .toLowerCase()
+                .replace(/\s+/g, '');
+            if (CHROMIUM_BROWSERS.includes(browserName) && (await this._listenCdp(browserInstance))) {
+                logger.debug('Capturing browser console (CDP)');
+                return true;
+            }
+            logger.warn(
+                'Browser console capture needs WebDriver BiDi (webSocketUrl: true) or puppeteer-core for Chrome',
+            );
+        } catch (err) {
+            logger.warn(`Browser console capture not started: ${err.message}`);
+        }
+        return false;
+    }
+
+    /**
+     * Forget the entries of the previous scenario (called by `beforeScenario`).
+     *
+     * @returns {void}
+     */
+    static startScenario() {
+        this._entries = [];
+    }
+
+    /**
+     * Attach the scenario's console output to the report when it failed.
+     *
+     * @param {boolean} passed - Scenario result
+     * @returns {Object[]} The scenario's entries
+     */
+    static endScenario(passed) {
+        const entries = this._entries;
+        if (!passed && entries.length > 0) {
+            CustomReporter.attachText(`Browser console (${entries.length} entries)\n\n${this.format(entries)}`);
+        }
+        this._entries = [];
+        return entries;
+    }
+
+    // ─── Entries ──────────────────────────────────────────────
+
+    /**
+     * @param {Object} [filter]
+     * @param {string[]} [filter.levels] - e.g. `['error', 'warn']`
+     * @returns {Object[]} Entries of the running scenario:
+     *   `{ type: 'console'|'javascript', level, text, url, line, timestamp }`
+     */
+    static getEntries({ levels } = {}) {
+        if (!levels) return [...this._entries];
+        return this._entries.filter((entry) => levels.includes(entry.level));
+    }
+
+    /**
+     * @returns {Object[]} Uncaught page errors of the running scenario that are not allowlisted
+     */
+    static getUncaughtErrors() {
+        const allowlist = this._allowlist();
+        return this._entries.filter(
+            (entry) => entry.type === 'javascript' && !allowlist.some((matches) => matches(entry.text)),
+        );
+    }
+
+    /**
+     * @throws {Error} If the page threw an uncaught error that is not allowlisted.
+     */
+    static assertNoUncaughtErrors() {
+        const errors = this.getUncaughtErrors();
+        if (errors.length === 0) return;
+        throw new Error(
+            `${errors.length} uncaught JavaScript error(s) on the page:\n` +
+                `${errors.map((entry) => `  - ${this._describe(entry)}`).join('\n')}\n` +
+                'Fix the page, or allow known errors with CONSOLE_ERROR_ALLOWLIST.',
+        );
+    }
+
+    /**
+     * Enforce CONSOLE_FAIL_ON_JS_ERROR (called from a Cucumber `After` hook,
+     * which — unlike the WDIO hooks — can fail the scenario).
+     *
+     * @throws {Error} If the policy is on and the page threw an uncaught error.
+     */
+    static checkPolicy() {
+        if (ConfigResolver.getBool('CONSOLE_FAIL_ON_JS_ERROR', false)) this.assertNoUncaughtErrors();
+    }
+
+    /**
+     * @param {Object[]} [entries] - Default: the running scenario's entries
+     * @returns {string} One line per entry
+     */
+    static format(entries = this._entries) {
+        return entries
+            .map((entry) => {
+                const time = new Date(entry.timestamp).toISOString().substring(11, 23);
+                const kind = entry.type === 'javascript' ? 'UNCAUGHT' : entry.level.toUpperCase();
+                return `${time} ${kind.padEnd(8)} ${this._describe(entry)}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Drop collected entries.
+     *
+     * @returns {void}
+     */
+    static reset() {
+        this._entries = [];
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /** @private */
+    static _fromBidi(entry) {
+        const frame = entry.stackTrace?.callFrames?.[0];
+        this._add({
+            type: entry.type === 'javascript' ? 'javascript' : 'console',
+            level: entry.type === 'javascript' ? 'error' : entry.level || 'info',
+            text: entry.text ?? (entry.args || []).map((arg) => arg.value ?? arg.type).join(' '),
+            url: frame?.url || '',
+            line: frame ? frame.lineNumber + 1 : null,
+            timestamp: entry.timestamp || Date.now(),
+        });
+    }
+
+    /**
+     * CDP listeners on every page of the session, including ones opened later.
+     * @private
+     * @returns {Promise<boolean>} False if puppeteer-core is not installed
+     */
+    static async _listenCdp(browserInstance) {
+        let puppeteer;
+        try {
+            puppeteer = await browserInstance.getPuppeteer();
+        } catch (err) {
+            logger.debug(`CDP unavailable: ${err.message}`);
+            return false;
+        }
+        const listen = (page) => {
+            page.on('console', (message) => {
+                const location = message.location() || {};
+                this._add({
+                    type: 'console',
+                    level: message.type(),
+                    text: message.text(),
+                    url: location.url || '',
+                    line: typeof location.lineNumber === 'number' ? location.lineNumber + 1 : null,
+                    timestamp: Date.now(),
+                });
+            });
+            page.on('pageerror', (error) => {
+                this._add({
+                    type: 'javascript',
+                    level: 'error',
+                    text: error.message ? `${error.name || 'Error'}: ${error.message}` : String(error),
+                    url: page.url(),
+                    line: null,
+                    timestamp: Date.now(),
+                });
+            });
+        };
+        (await puppeteer.pages()).forEach(listen);
+        puppeteer.on('targetcreated', async (target) => {
+            const page = await target.page().catch(() => null);
+            if (page) listen(page);
+        });
+        return true;
+    }
+
+    /** @private */
+    static _add(entry) {
+        this._entries.push(entry);
+        const method = entry.type === 'javascript' ? 'error' : LOG_METHODS[entry.level] || 'info';
+        const prefix = entry.type === 'javascript' && !/^uncaught\b/i.test(entry.text) ? 'Uncaught ' : '';
+        logger[method](`${prefix}${this._describe(entry)}`);
+    }
+
+    /** @private */
+    static _describe(entry) {
+        const source = entry.url ? ` (${entry.url}${entry.line ? `:${entry.line}` : ''})` : '';
+        return `${entry.text}${source}`;
+    }
+
+    /**
+     * CONSOLE_ERROR_ALLOWLIST → matchers.
+     * @private
+     * @returns {Array<function(string): boolean>}
+     */
+    static _allowlist() {
+        return ConfigResolver.get('CONSOLE_ERROR_ALLOWLIST', '')
+            .split(';')
+            .map((pattern) => pattern.trim())
+            .filter(Boolean)
+            .map((pattern) => {
+                const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+                if (regex) {
+                    let compiled;
+                    try {
+                        compiled = new RegExp(regex[1], regex[2]);
+                    } catch (err) {
+                        throw new Error(`Invalid CONSOLE_ERROR_ALLOWLIST pattern ${pattern}: ${err.message}`);
+                    }
+                    return (text) => compiled.test(text);
+                }
+                const needle = pattern.toLowerCase();
+                return (text) => String(text).toLowerCase().includes(needle);
+            });
+    }
+}
+
+BrowserConsole.reset();
+
+module.exports = { BrowserConsole };
@@ -18,6 +18,19 @@
  *
  * Precedence order: env_var > env_config > default config
  *
+ * Schema validation:
+ *   `config/config.schema.json` declares a type (string, integer, number,
+ *   boolean, url), optional enum / min / max, and `required`,
+ *   `requiredWhen` and `secret` flags per key.  {@link ConfigResolver.init}
+ *   validates the merged config against it and throws one error listing
+ *   every misconfigured key.  Secret keys are masked in `summary()`.
+ *
+ * Encrypted values:
+ *   Any value written as `ENC(...)` (see SecretVault) is decrypted with
+ *   the master passphrase from the `ENCRYPTION_KEY` environment variable.
+ *   Values that cannot be decrypted are reported by `validate()`, and
+ *   decrypted values are always masked in `summary()`.
+ *
  * Special behaviours:
  *   • `DRIVER_VERSION=auto` triggers auto-detection from the installed
  *     browser on the local machine (see {@link #_autoResolveDriverVersion}).
@@ -40,6 +53,12 @@ let _resolvedConfig = null;
 /** @type {string|null} The environment name used for the last resolution */
 let _resolvedEnv = null;
 
+/** @type {Object.<string, string>} ENC(...) keys that could not be decrypted → reason */
+let _decryptErrors = {};
+
+/** @type {Set<string>} Keys whose value was decrypted from ENC(...) */
+let _decryptedKeys = new Set();
+
 /** @type {string} Root directory of the project */
 const PROJECT_ROOT = process.cwd();
 
@@ -218,6 +237,8 @@ class ConfigResolver {
     static reset() {
         _resolvedConfig = null;
         _resolvedEnv = null;
+        _decryptErrors = {};
+        _decryptedKeys = new Set();
     }
 
     /**
@@ -225,8 +246,14 @@ class ConfigResolver {
      * (e.g., in wdio.conf.js after `dotenv.config()`) to ensure all
      * downstream code sees the resolved values.
      *
+     * The merged config is validated against `config/config.schema.json`
+     * (when present) so misconfiguration fails before any browser starts.
+     *
      * @param {string} [env] - Override the environment name instead of
      *   reading from `process.env.TEST_ENV`.
+     * @param {Object} [options]
+     * @param {boolean} [options.validate=true] - Validate against the schema.
+     * @throws {Error} Listing every key that violates the schema.
      *
      * @example
      * // In wdio.conf.js:
@@ -234,13 +261,78 @@ class ConfigResolver {
      * ConfigResolver.init();           // uses TEST_ENV from .env
      * ConfigResolver.init('staging');   // force staging config
      */
-    static init(env) {
+    static init(env, options = {}) {
+        const { validate = true } = options;
         ConfigResolver.reset();
         if (env) {
             // Temporarily set TEST_ENV so the resolver picks it up
             process.env.TEST_ENV = env;
         }
         ConfigResolver._getResolved();
+
+        if (validate) {
+            const problems = ConfigResolver.validate();
+            if (problems.length > 0) {
+                throw new Error(ConfigResolver._formatProblems(problems));
+            }
+        }
+    }
+
+    // ─── Schema Validation ───────────────────────────────────
+
+    /**
+     * Load the config schema (`config/config.schema.json`).
+     *
+     * @returns {Object.<string, {type?: string, enum?: string[], min?: number, max?: number,
+     *   required?: boolean, requiredWhen?: Object.<string, string[]>, secret?: boolean}>}
+     *   Rules per key; `{}` when there is no schema file.
+     */
+    static getSchema() {
+        const schema = ConfigResolver._loadJson(path.join(CONFIG_DIR, 'config.schema.json'));
+        delete schema._meta;
+        return schema;
+    }
+
+    /**
+     * Check the resolved config against the schema without throwing.
+     *
+     * @returns {Array<{key: string, value: string, source: string, message: string}>}
+     *   One entry per misconfigured key (secret values are masked); empty when valid.
+     *
+     * @example
+     * ConfigResolver.validate();
+     * // [{ key: 'BROWSER', value: 'chorme', source: 'env_var',
+     * //    message: 'must be one of: chrome, firefox, …' }]
+     */
+    static validate() {
+        const config = ConfigResolver._getResolved();
+        const schema = ConfigResolver.getSchema();
+        const envConfig = ConfigResolver._loadEnvConfig();
+        const problems = [];
+
+        for (const [key, reason] of Object.entries(_decryptErrors)) {
+            problems.push({
+                key,
+                value: '',
+                source: ConfigResolver._sourceOf(key, envConfig),
+                message: `is encrypted but ${reason}`,
+            });
+        }
+
+        for (const [key, rule] of Object.entries(schema)) {
+            if (_decryptErrors[key]) continue;
+            const value = config[key] === undefined || config[key] === null ? '' : String(config[key]);
+            const message = ConfigResolver._checkValue(value, rule, config);
+            if (message) {
+                problems.push({
+                    key,
+                    value: _maskSensitive(key, value, schema),
+                    source: ConfigResolver._sourceOf(key, envConfig),
+                    message,
+                });
+            }
+        }
+        return problems;
     }
 
     // ─── Debug / Logging ─────────────────────────────────────
@@ -253,7 +345,7 @@ class ConfigResolver {
      */
     static summary() {
         const config = ConfigResolver._getResolved();
-        const defaults = ConfigResolver._loadJson(path.join(CONFIG_DIR, 'defaults.config.json'));
+        const schema = ConfigResolver.getSchema();
         const envConfig = ConfigResolver._loadEnvConfig();
         const lines = ['┌─── ConfigResolver Summary ───────────────────────┐'];
         lines.push(`│  Environment : ${ConfigResolver.getEnv().padEnd(35)}│`);
@@ -262,15 +354,9 @@ class ConfigResolver {
         lines.push('├──────────────────────────┼────────────┼─────────────┤');
 
         for (const key of Object.keys(config).sort()) {
-            let source = 'default';
-            const envVal = process.env[key];
-            if (envVal !== undefined && envVal !== '') {
-                source = 'env_var';
-            } else if (envConfig[key] !== undefined) {
-                source = 'env_config';
-            }
+            const source = ConfigResolver._sourceOf(key, envConfig);
             const val = config[key] || '';
-            const displayVal = _maskSensitive(key, val);
+            const displayVal = _decryptedKeys.has(key) ? '********' : _maskSensitive(key, val, schema);
             lines.push(
                 `│ ${key.padEnd(24)} │ ${source.padEnd(10)} │ ${displayVal.substring(0, 11).padEnd(11)} │`,
             );
@@ -349,11 +435,127 @@ class ConfigResolver {
             );
         }
 
+        // Cache before decrypting: loading the crypto helpers creates a Logger,
+        // which reads LOG_LEVEL through this resolver
         _resolvedConfig = merged;
         _resolvedEnv = currentEnv;
+        ConfigResolver._decryptValues(merged);
         return _resolvedConfig;
     }
 
+    /**
+     * Decrypt `ENC(...)` values in place with the master key from the environment.
+     * Failures are collected for {@link ConfigResolver.validate} instead of thrown.
+     * @param {Object.<string, string>} config
+     * @private
+     */
+    static _decryptValues(config) {
+        _decryptErrors = {};
+        _decryptedKeys = new Set();
+
+        const encryptedKeys = Object.keys(config).filter((key) => /^ENC\(.+\)$/.test(String(config[key]).trim()));
+        if (encryptedKeys.length === 0) return;
+
+        const { SecretVault } = require('../helpers/SecretVault');
+        if (!SecretVault.getMasterKey()) {
+            encryptedKeys.forEach((key) => {
+                _decryptErrors[key] = 'ENCRYPTION_KEY is not set in the environment';
+            });
+            return;
+        }
+        for (const key of encryptedKeys) {
+            try {
+                config[key] = SecretVault.decryptValue(config[key]);
+                _decryptedKeys.add(key);
+            } catch {
+                _decryptErrors[key] = 'could not be decrypted with ENCRYPTION_KEY (wrong key or corrupted value)';
+            }
+        }
+    }
+
+    /**
+     * Which tier a key's value came from.
+     * @param {string} key
+     * @param {Object} envConfig - Loaded environment-specific config
+     * @returns {'env_var'|'env_config'|'default'}
+     * @private
+     */
+    static _sourceOf(key, envConfig) {
+        const envVal = process.env[key];
+        if (envVal !== undefined && envVal !== '') return 'env_var';
+        if (envConfig[key] !== undefined) return 'env_config';
+        return 'default';
+    }
+
+    /**
+     * Validate one value against its schema rule.
+     * @param {string} value - Resolved value (`''` when unset)
+     * @param {Object} rule - Schema entry
+     * @param {Object.<string, string>} config - Full resolved config (for `requiredWhen`)
+     * @returns {string|null} Problem description, or null if valid
+     * @private
+     */
+    static _checkValue(value, rule, config) {
+        if (value === '') {
+            if (rule.required) return 'is required but not set';
+            for (const [otherKey, values] of Object.entries(rule.requiredWhen || {})) {
+                const other = String(config[otherKey] || '').toLowerCase();
+                if ([].concat(values).some((v) => String(v).toLowerCase() === other)) {
+                    return `is required when ${otherKey}=${config[otherKey]}`;
+                }
+            }
+            return null;
+        }
+
+        switch (rule.type) {
+        case 'integer':
+            if (!/^-?\d+$/.test(value)) return 'must be an integer';
+            break;
+        case 'number':
+            if (value.trim() === '' || !Number.isFinite(Number(value))) return 'must be a number';
+            break;
+        case 'boolean':
+            if (!/^(true|false)$/i.test(value)) return 'must be true or false';
+            break;
+        case 'url':
+            try {
+                new URL(value);
+            } catch {
+                return 'must be an absolute URL (e.g. https://host)';
+            }
+            break;
+        default:
+            break;
+        }
+
+        if (rule.enum && !rule.enum.some((v) => v.toLowerCase() === value.toLowerCase())) {
+            return `must be one of: ${rule.enum.join(', ')}`;
+        }
+        if (rule.min !== undefined && Number(value) < rule.min) return `must be >= ${rule.min}`;
+        if (rule.max !== undefined && Number(value) > rule.max) return `must be <= ${rule.max}`;
+        return null;
+    }
+
+    /**
+     * Render validation problems as one readable error message.
+     * @param {Array<{key: string, value: string, source: string, message: string}>} problems
+     * @returns {string}
+     * @private
+     */
+    static _formatProblems(problems) {
+        const envName = ConfigResolver.getEnv();
+        const lines = problems.map((p) => {
+            const shown = p.value === '' ? '' : ` = "${p.value}"`;
+            return `  • ${p.key}${shown} (${p.source}): ${p.message}`;
+        });
+        return [
+            `Invalid configuration for TEST_ENV=${envName} — ${problems.length} problem(s):`,
+            ...lines,
+            `Fix the environment variable / .env value, config/environments/${envName}.config.json, ` +
+                'or config/defaults.config.json (schema: config/config.schema.json).',
+        ].join('\n');
+    }
+
     /**
      * Load environment-specific config JSON.
      * @param {string} [env] - Environment name
@@ -528,13 +730,17 @@ class ConfigResolver {
 // ─── Helpers ─────────────────────────────────────────────────
 
 /**
- * Mask sensitive config values for display/logging.
+ * Mask sensitive config values for display/logging.  Keys flagged `secret`
+ * in the schema are masked completely; other keys that look sensitive by
+ * name keep their first two characters.
  * @param {string} key
  * @param {string} value
+ * @param {Object} [schema={}]
  * @returns {string}
  * @private
  */
-function _maskSensitive(key, value) {
+function _maskSensitive(key, value, schema = {}) {
+    if (schema[key] && schema[key].secret && value) return '********';
     const SENSITIVE = ['PASSWORD', 'KEY', 'TOKEN', 'SECRET', 'ENCRYPTION'];
     if (SENSITIVE.some((s) => key.toUpperCase().includes(s)) && value) {
         return value.length > 4 ? value.substring(0, 2) + '***' : '***';
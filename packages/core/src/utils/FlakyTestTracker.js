@@ -0,0 +1,334 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * FlakyTestTracker - Scenario Run History & Flakiness Scoring
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Keeps a rolling pass/fail history for every scenario, built
+ * from the cucumber-json output of each run, and scores how
+ * flaky each scenario is.
+ *
+ * Flakiness score (0 – 1) over the last FLAKY_WINDOW runs:
+ *
+ *     (status flips between consecutive runs + runs with mixed results)
+ *     ─────────────────────────────────────────────────────────────────
+ *                           number of runs
+ *
+ * A scenario that always fails scores 0 — it is broken, not flaky.
+ * Runs with mixed results (e.g. failed, then passed on retry) count
+ * as an extra flip.  History is kept per browser.
+ *
+ * Scenarios scoring at or above FLAKY_THRESHOLD (with at least
+ * FLAKY_MIN_RUNS runs) are reported as flaky; TestExecutionFilter
+ * keeps them on the quarantine list, stored alongside the history.
+ *
+ * Configuration:
+ *   FLAKY_HISTORY_FILE — History store (default: reports/history/scenario-history.json)
+ *   FLAKY_HISTORY_SIZE — Results kept per scenario (default: 20)
+ *   FLAKY_WINDOW       — Recent runs used for scoring (default: 10)
+ *   FLAKY_MIN_RUNS     — Runs needed before a score counts (default: 3)
+ *   FLAKY_THRESHOLD    — Score at which a scenario is flaky (default: 0.3)
+ *
+ * @module FlakyTestTracker
+ * @example
+ * const { FlakyTestTracker } = require('@wdio-framework/core');
+ *
+ * // In onComplete: ingest this run's cucumber-json files
+ * FlakyTestTracker.recordRun('reports/cucumber-json', { since: runStartedAt });
+ *
+ * // Inspect
+ * FlakyTestTracker.getFlakyScenarios().forEach((s) => console.log(s.name, s.score));
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Logger } = require('./Logger');
+const { ConfigResolver } = require('./ConfigResolver');
+
+const logger = Logger.getInstance('FlakyTestTracker');
+
+const HISTORY_VERSION = 1;
+
+/**
+ * Static utility that maintains scenario run history and flakiness scores.
+ *
+ * @class FlakyTestTracker
+ */
+class FlakyTestTracker {
+    // ─── Public API ───────────────────────────────────────────
+
+    /**
+     * Parse the cucumber-json files written by this run, append one result
+     * per scenario to the history store, and re-score every touched scenario.
+     *
+     * @param {string} cucumberJsonDir - Folder with cucumber-json output.
+     * @param {Object} [options={}]
+     * @param {number} [options.since=0] - Only read files modified at/after this epoch (ms),
+     *   so output left over from earlier runs is not counted twice.
+     * @param {string} [options.historyFile] - Override FLAKY_HISTORY_FILE.
+     * @returns {{runId: string, recorded: number, flaky: Object[]}|null} `null` if no results were found
+     */
+    static recordRun(cucumberJsonDir, options = {}) {
+        const { since = 0 } = options;
+        const historyFile = this._historyPath(options.historyFile);
+        const results = this.parseCucumberJson(cucumberJsonDir, { since });
+        if (results.length === 0) {
+            logger.debug('No scenario results found — history not updated');
+            return null;
+        }
+
+        const history = this.load(historyFile);
+        const runId = new Date().toISOString();
+        const maxSize = ConfigResolver.getInt('FLAKY_HISTORY_SIZE', 20);
+
+        // Group this run's results per scenario (retries / outline rows land in the same key)
+        const byKey = new Map();
+        for (const result of results) {
+            if (!byKey.has(result.key)) byKey.set(result.key, []);
+            byKey.get(result.key).push(result);
+        }
+
+        for (const [key, attempts] of byKey) {
+            const first = attempts[0];
+            const statuses = new Set(attempts.map((a) => a.status));
+            const status = statuses.size > 1 ? 'mixed' : first.status;
+            const failed = attempts.find((a) => a.status === 'failed');
+
+            const entry = history.scenarios[key] || {
+                feature: first.feature,
+                uri: first.uri,
+                name: first.name,
+                browser: first.browser,
+                results: [],
+            };
+            entry.tags = first.tags;
+            entry.results.push({
+                run: runId,
+                status,
+                attempts: attempts.length,
+                duration: Math.round(attempts.reduce((sum, a) => sum + a.duration, 0) / attempts.length),
+                ...(failed ? { error: failed.error } : {}),
+            });
+            entry.results = entry.results.slice(-maxSize);
+            entry.score = this.computeScore(entry.results);
+            entry.lastRun = runId;
+            history.scenarios[key] = entry;
+        }
+
+        history.runs = (history.runs || []).concat(runId).slice(-maxSize);
+        history.updatedAt = runId;
+        fs.outputJsonSync(historyFile, history, { spaces: 2 });
+
+        const flaky = this.getFlakyScenarios({ historyFile });
+        logger.info(
+            `Recorded ${byKey.size} scenario result(s) in ${historyFile}` +
+                (flaky.length ? ` — ${flaky.length} flaky scenario(s)` : ''),
+        );
+        return { runId, recorded: byKey.size, flaky };
+    }
+
+    /**
+     * Compute the flakiness score for a list of run results (oldest first).
+     * Only `passed`, `failed` and `mixed` results are considered.
+     *
+     * @param {Array<{status: string}>} results
+     * @param {number} [window] - Number of recent runs to score (default: FLAKY_WINDOW)
+     * @returns {number} Score between 0 and 1, rounded to two decimals
+     */
+    static computeScore(results, window = ConfigResolver.getInt('FLAKY_WINDOW', 10)) {
+        const recent = results.filter((r) => ['passed', 'failed', 'mixed'].includes(r.status)).slice(-window);
+        if (recent.length === 0) return 0;
+
+        let unstable = 0;
+        for (let i = 0; i < recent.length; i++) {
+            if (recent[i].status === 'mixed') unstable++;
+            if (i > 0 && recent[i].status !== 'mixed' && recent[i - 1].status !== 'mixed') {
+                if (recent[i].status !== recent[i - 1].status) unstable++;
+            }
+        }
+        return Math.round(Math.min(unstable / recent.length, 1) * 100) / 100;
+    }
+
+    /**
+     * Return scenarios at or above the flakiness threshold, most flaky first.
+     *
+     * @param {Object} [options={}]
+     * @param {number} [options.threshold] - Default: FLAKY_THRESHOLD
+     * @param {number} [options.minRuns] - Default: FLAKY_MIN_RUNS
+     * @param {string} [options.historyFile] - Override FLAKY_HISTORY_FILE
+     * @returns {Array<{key: string, feature: string, uri: string, name: string, browser: string, score: number, runs: number}>}
+     */
+    static getFlakyScenarios(options = {}) {
+        const threshold = options.threshold ?? parseFloat(ConfigResolver.get('FLAKY_THRESHOLD', '0.3'));
+        const minRuns = options.minRuns ?? ConfigResolver.getInt('FLAKY_MIN_RUNS', 3);
+        const history = this.load(this._historyPath(options.historyFile));
+
+        return Object.entries(history.scenarios)
+            .map(([key, s]) => ({
+                key,
+                feature: s.feature,
+                uri: s.uri,
+                name: s.name,
+                browser: s.browser,
+                score: s.score || 0,
+                runs: s.results.length,
+            }))
+            .filter((s) => s.runs >= minRuns && s.score >= threshold)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Scenarios on the quarantine list (see TestExecutionFilter.applyQuarantine).
+     *
+     * @param {Object} [options={}]
+     * @param {string} [options.historyFile] - Override FLAKY_HISTORY_FILE
+     * @returns {Array<{uri: string, name: string, score: number, runs: number, since: string}>}
+     */
+    static getQuarantine(options = {}) {
+        return this.load(this._historyPath(options.historyFile)).quarantine;
+    }
+
+    /**
+     * Replace the quarantine list in the history store.
+     *
+     * @param {Array<{uri: string, name: string, score: number, runs: number, since: string}>} quarantine
+     * @param {Object} [options={}]
+     * @param {string} [options.historyFile] - Override FLAKY_HISTORY_FILE
+     */
+    static saveQuarantine(quarantine, options = {}) {
+        const historyFile = this._historyPath(options.historyFile);
+        const history = this.load(historyFile);
+        history.quarantine = quarantine;
+        fs.outputJsonSync(historyFile, history, { spaces: 2 });
+    }
+
+    /**
+     * Whether a scenario is on the quarantine list.
+     *
+     * @param {string} uri - Feature file, absolute or relative to the working directory
+     * @param {string} name - Run-time scenario name
+     * @param {Object} [options={}]
+     * @param {string} [options.historyFile] - Override FLAKY_HISTORY_FILE
+     * @returns {boolean}
+     */
+    static isQuarantined(uri, name, options = {}) {
+        const file = path.resolve(uri);
+        return this.getQuarantine(options).some((q) => q.name === name && path.resolve(q.uri) === file);
+    }
+
+    /**
+     * Load the history store (an empty store if the file does not exist).
+     *
+     * @param {string} [historyFile] - Default: FLAKY_HISTORY_FILE
+     * @returns {{version: number, runs: string[], scenarios: Object<string, Object>, quarantine: Object[]}}
+     */
+    static load(historyFile = this._historyPath()) {
+        const empty = { version: HISTORY_VERSION, runs: [], scenarios: {}, quarantine: [] };
+        if (!fs.existsSync(historyFile)) return empty;
+        try {
+            const history = fs.readJsonSync(historyFile);
+            return { ...empty, ...history, scenarios: history.scenarios || {}, quarantine: history.quarantine || [] };
+        } catch (err) {
+            logger.warn(`Ignoring unreadable history file ${historyFile}: ${err.message}`);
+            return empty;
+        }
+    }
+
+    /**
+     * Flatten cucumber-json output into one result per executed scenario.
+     *
+     * @param {string} cucumberJsonDir
+     * @param {Object} [options={}]
+     * @param {number} [options.since=0] - Only read files modified at/after this epoch (ms)
+     * @returns {Array<{key: string, feature: string, uri: string, name: string, browser: string,
+     *   tags: string[], status: string, duration: number, error?: string, file: string,
+     *   featureIndex: number, elementIndex: number}>}
+     *   `file` / `featureIndex` / `elementIndex` locate the element in the source JSON.
+     */
+    static parseCucumberJson(cucumberJsonDir, options = {}) {
+        const { since = 0 } = options;
+        if (!fs.existsSync(cucumberJsonDir)) return [];
+
+        const results = [];
+        const files = fs
+            .readdirSync(cucumberJsonDir)
+            .filter((f) => f.endsWith('.json'))
+            .map((f) => path.join(cucumberJsonDir, f))
+            .filter((f) => fs.statSync(f).mtimeMs >= since);
+
+        for (const file of files) {
+            let features;
+            try {
+                features = fs.readJsonSync(file);
+            } catch (err) {
+                logger.warn(`Skipping unreadable cucumber-json file ${file}: ${err.message}`);
+                continue;
+            }
+
+            [].concat(features).forEach((feature, featureIndex) => {
+                const uri = feature.uri ? path.relative(process.cwd(), feature.uri).replace(/\\/g, '/') : feature.name;
+                const browser =
+                    (feature.metadata && feature.metadata.browser && feature.metadata.browser.name) || 'default';
+                const seen = {};
+
+                (feature.elements || []).forEach((element, elementIndex) => {
+                    if (element.keyword && /background/i.test(element.keyword)) return;
+                    const status = this._scenarioStatus(element.steps || []);
+                    if (!status) return;
+
+                    // Outline rows share a name — disambiguate by occurrence order
+                    seen[element.name] = (seen[element.name] || 0) + 1;
+                    const suffix = seen[element.name] > 1 ? ` #${seen[element.name]}` : '';
+                    const failedStep = (element.steps || []).find((s) => s.result && s.result.status === 'failed');
+
+                    results.push({
+                        key: `${browser} | ${uri} :: ${element.name}${suffix}`,
+                        feature: feature.name,
+                        uri,
+                        name: element.name,
+                        browser,
+                        tags: (element.tags || []).map((t) => (typeof t === 'string' ? t : t.name)),
+                        status,
+                        duration: Math.round(
+                            (element.steps || []).reduce((sum, s) => sum + ((s.result && s.result.duration) || 0), 0) /
+                                1e6,
+                        ),
+                        ...(failedStep
+                            ? {
+                                  error: String(failedStep.result.error_message || '')
+                                      .split('\n')[0]
+                                      .substring(0, 300),
+                              }
+                            : {}),
+                        file,
+                        featureIndex,
+                        elementIndex,
+                    });
+                });
+            });
+        }
+        return results;
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /**
+     * Derive a scenario status from its steps: any failure → failed,
+     * all passed → passed, otherwise (skipped / pending) → null.
+     * @private
+     */
+    static _scenarioStatus(steps) {
+        if (steps.length === 0) return null;
+        const statuses = steps.map((s) => (s.result && s.result.status) || '');
+        if (statuses.includes('failed')) return 'failed';
+        if (statuses.every((s) => s === 'passed')) return 'passed';
+        return null;
+    }
+
+    /** @private */
+    static _historyPath(override) {
+        const configured = override || ConfigResolver.get('FLAKY_HISTORY_FILE');
+        return path.resolve(configured || path.join('reports', 'history', 'scenario-history.json'));
+    }
+}
+
+module.exports = { FlakyTestTracker };
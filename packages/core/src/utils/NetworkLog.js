@@ -0,0 +1,568 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * NetworkLog - Per-Scenario HAR Capture
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Records every request the browser makes during a scenario, with
+ * status, headers, timings and (text) bodies, so a failed scenario
+ * shows which call went wrong — the API that answered 500, the
+ * request that never completed.
+ *
+ *   WebDriver BiDi sessions — `network.*` events; bodies through
+ *                             `network.addDataCollector`
+ *   Chrome / Edge without BiDi — CDP request events through
+ *                                browser.getPuppeteer() (optional
+ *                                `puppeteer-core`)
+ *
+ * When a scenario fails (or always, NETWORK_HAR_KEEP=all) the traffic
+ * is saved as a HAR 1.2 file in NETWORK_HAR_DIR — open it in the
+ * browser DevTools' Network tab — and attached to Allure and the
+ * Cucumber report, together with a list of the failed requests.
+ * Credentials are masked in the HAR (SensitiveDataMasker): the
+ * Authorization, Cookie and Set-Cookie headers and password / token
+ * fields of request and response bodies.  findRequests() still sees
+ * the real values.
+ *
+ * Steps can assert on the traffic without registering a spy first:
+ * {@link NetworkLog.findRequests} / {@link NetworkLog.assertRequested}.
+ *
+ * Configuration:
+ *   NETWORK_CAPTURE       — Record traffic (default: true)
+ *   NETWORK_HAR_DIR       — Saved HAR files (default: reports/har)
+ *   NETWORK_HAR_KEEP      — failed | all (default: failed)
+ *   NETWORK_MAX_BODY_SIZE — Largest body recorded, in bytes; 0 = none (default: 1048576)
+ *
+ * @module NetworkLog
+ * @example
+ * // Wired into the base hooks; inside a step:
+ * const events = NetworkLog.findRequests('**\/api/analytics', { method: 'POST' });
+ * NetworkLog.assertRequested('**\/api/analytics', { payload: { event: 'checkout_started' } });
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Logger } = require('./Logger');
+const { ConfigResolver } = require('./ConfigResolver');
+const { CustomReporter } = require('./Reporter');
+const { DateHelper } = require('../helpers/DateHelper');
+const { SensitiveDataMasker } = require('../helpers/SensitiveDataMasker');
+const { version } = require('../../package.json');
+
+const logger = Logger.getInstance('NetworkLog');
+
+const CHROMIUM_BROWSERS = ['chrome', 'chromium', 'msedge', 'microsoftedge'];
+const BIDI_EVENTS = ['network.beforeRequestSent', 'network.responseCompleted', 'network.fetchError'];
+
+/** Response bodies worth keeping; images, fonts and media are left out. */
+const TEXT_MIME_TYPE = /json|xml|text\/|javascript|x-www-form-urlencoded|graphql/i;
+
+/**
+ * Static, per-worker recorder; requests belong to the running scenario.
+ *
+ * @class NetworkLog
+ */
+class NetworkLog {
+    // ─── Capture ──────────────────────────────────────────────
+
+    /**
+     * Start recording a browser session's traffic (called by the base `before` hook).
+     * A session that offers neither BiDi nor CDP is logged, never thrown.
+     *
+     * @param {WebdriverIO.Browser} browserInstance
+     * @returns {Promise<boolean>} True if listeners were registered
+     */
+    static async register(browserInstance) {
+        if (!ConfigResolver.getBool('NETWORK_CAPTURE', true)) return false;
+
+        try {
+            if (browserInstance.isBidi) {
+                await this._listenBidi(browserInstance);
+                logger.debug('Recording network traffic (BiDi)');
+                return true;
+            }
+            const browserName = String(browserInstance.capabilities.browserName || '')
+                .toLowerCase()
+                .replace(/\s+/g, '');
+            if (CHROMIUM_BROWSERS.includes(browserName) && (await this._listenCdp(browserInstance))) {
+                logger.debug('Recording network traffic (CDP)');
+                return true;
+            }
+            logger.warn('Network capture needs WebDriver BiDi (webSocketUrl: true) or puppeteer-core for Chrome');
+        } catch (err) {
+            logger.warn(`Network capture not started: ${err.message}`);
+        }
+        return false;
+    }
+
+    /**
+     * Forget the previous scenario's traffic (called by `beforeScenario`).
+     *
+     * @param {Object} world - Cucumber World (`world.pickle.name` names the HAR file)
+     * @returns {void}
+     */
+    static startScenario(world) {
+        this._scenarioName = world?.pickle?.name || 'scenario';
+        this._records = new Map();
+    }
+
+    /**
+     * Save and attach the scenario's HAR when it failed (or NETWORK_HAR_KEEP=all).
+     *
+     * @param {boolean} passed - Scenario result
+     * @returns {Promise<string|null>} Path of the saved HAR, or `null`
+     */
+    static async endScenario(passed) {
+        await Promise.allSettled([...this._pending]);
+        const records = [...this._records.values()];
+        this._records = new Map();
+
+        const keepAll = ConfigResolver.get('NETWORK_HAR_KEEP', 'failed').toLowerCase() === 'all';
+        if ((passed && !keepAll) || records.length === 0) return null;
+
+        try {
+            const file = path.join(
+                path.resolve(ConfigResolver.get('NETWORK_HAR_DIR', 'reports/har')),
+                `${this._scenarioName.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 100)}_` +
+                    `${DateHelper.fileTimestamp()}.har`,
+            );
+            await fs.outputJson(file, this.toHar(records), { spaces: 2 });
+            logger.info(`HAR saved: ${file} (${records.length} requests)`);
+            if (!passed) this._attach(file, records);
+            return file;
+        } catch (err) {
+            logger.warn(`HAR of "${this._scenarioName}" not saved: ${err.message}`);
+            return null;
+        }
+    }
+
+    // ─── Requests ─────────────────────────────────────────────
+
+    /**
+     * Requests of the running scenario whose URL matches the pattern.
+     *
+     * @param {string|RegExp} urlPattern - URL glob as used by NetworkMock (`'**\/api/orders'`;
+     *   the query string is ignored unless the pattern has one), or a RegExp tested against the full URL
+     * @param {Object} [options={}]
+     * @param {string} [options.method] - Only requests with this HTTP method
+     * @param {number} [options.status] - Only responses with this status
+     * @param {Object|string} [options.payload] - Expected (partial) request body
+     * @returns {Array<{url: string, method: string, status: number|null, headers: Object, payload: *,
+     *   responseHeaders: Object, responseBody: *, error: string|null, duration: number|null}>}
+     * @example
+     * const [order] = NetworkLog.findRequests('**\/api/orders', { method: 'POST', status: 500 });
+     */
+    static findRequests(urlPattern, options = {}) {
+        const { method, status, payload } = options;
+        const matchesUrl = this._urlMatcher(urlPattern);
+        return [...this._records.values()]
+            .filter((record) => matchesUrl(record.url))
+            .filter((record) => !method || record.method === method.toUpperCase())
+            .filter((record) => status === undefined || record.status === status)
+            .map((record) => this._toRequest(record))
+            .filter((request) => payload === undefined || this._payloadMatches(request.payload, payload));
+    }
+
+    /**
+     * Assert that a matching request was sent.
+     *
+     * @param {string|RegExp} urlPattern - See {@link NetworkLog.findRequests}
+     * @param {Object} [options={}]
+     * @param {string} [options.method]
+     * @param {Object|string} [options.payload] - Expected (partial) request body
+     * @param {number} [options.times] - Exact number of matching requests expected
+     * @returns {Array<Object>} The matching requests
+     * @throws {Error} Listing the requests sent to the URL when the assertion fails.
+     */
+    static assertRequested(urlPattern, options = {}) {
+        const { method, payload, times } = options;
+        const matching = this.findRequests(urlPattern, { method, payload });
+        const failed = times === undefined ? matching.length === 0 : matching.length !== times;
+        if (!failed) return matching;
+
+        const expected = [
+            times === undefined ? 'at least 1 request' : `${times} request(s)`,
+            `to ${method ? `${method.toUpperCase()} ` : ''}${urlPattern}`,
+            payload !== undefined ? `with payload ${JSON.stringify(payload)}` : '',
+        ]
+            .filter(Boolean)
+            .join(' ');
+        const sent = this.findRequests(urlPattern);
+        const recorded = sent.length
+            ? sent.map((r) => `  ${r.method} ${r.url} → ${r.status ?? r.error} ${JSON.stringify(r.payload)}`).join('\n')
+            : '  (none)';
+        throw new Error(`Expected ${expected}, but ${matching.length} matched.\nRequests to the URL:\n${recorded}`);
+    }
+
+    /**
+     * Convert recorded requests into a HAR 1.2 document, credentials masked.
+     *
+     * @param {Object[]} [records] - Default: the running scenario's requests
+     * @returns {Object}
+     */
+    static toHar(records = [...this._records.values()]) {
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: '@wdio-framework/core', version },
+                pages: [],
+                entries: records.map((record) => this._toHarEntry(record)),
+            },
+        };
+    }
+
+    /**
+     * Drop recorded traffic.
+     *
+     * @returns {void}
+     */
+    static reset() {
+        this._scenarioName = 'scenario';
+        this._records = new Map();
+        this._pending = new Set();
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /** @private */
+    static async _listenBidi(browserInstance) {
+        await browserInstance.sessionSubscribe({ events: BIDI_EVENTS });
+        const maxBodySize = this._maxBodySize();
+        let collectBodies = false;
+        if (maxBodySize > 0) {
+            try {
+                await browserInstance.networkAddDataCollector({
+                    dataTypes: ['request', 'response'],
+                    maxEncodedDataSize: maxBodySize,
+                });
+                collectBodies = true;
+            } catch (err) {
+                logger.debug(`Request / response bodies not recorded: ${err.message}`);
+            }
+        }
+
+        // A redirect re-uses the request id, so each hop gets its own record
+        const key = ({ request, redirectCount }) => `${request.request}:${redirectCount || 0}`;
+
+        browserInstance.on('network.beforeRequestSent', (event) => {
+            const { request } = event;
+            this._records.set(key(event), {
+                url: request.url,
+                method: request.method,
+                requestHeaders: this._bidiHeaders(request.headers),
+                requestBodySize: request.bodySize || 0,
+                postData: null,
+                status: null,
+                statusText: '',
+                httpVersion: 'HTTP/1.1',
+                responseHeaders: [],
+                mimeType: '',
+                content: null,
+                error: null,
+                startedAt: event.timestamp,
+                finishedAt: null,
+                timings: null,
+            });
+        });
+        browserInstance.on('network.responseCompleted', (event) => {
+            const record = this._records.get(key(event));
+            if (!record) return;
+            const { response, request } = event;
+            Object.assign(record, {
+                status: response.status,
+                statusText: response.statusText,
+                httpVersion: response.protocol ? response.protocol.toUpperCase() : 'HTTP/1.1',
+                responseHeaders: this._bidiHeaders(response.headers),
+                mimeType: response.mimeType || '',
+                finishedAt: event.timestamp,
+                timings: request.timings,
+            });
+            if (collectBodies) this._track(this._fetchBidiBodies(browserInstance, request.request, record));
+        });
+        browserInstance.on('network.fetchError', (event) => {
+            const record = this._records.get(key(event));
+            if (!record) return;
+            record.error = event.errorText;
+            record.finishedAt = event.timestamp;
+        });
+    }
+
+    /** @private */
+    static async _fetchBidiBodies(browserInstance, requestId, record) {
+        const read = async (dataType) => {
+            const { bytes } = await browserInstance.networkGetData({ request: requestId, dataType });
+            return bytes;
+        };
+        if (record.requestBodySize > 0) {
+            const bytes = await read('request').catch(() => null);
+            if (bytes) {
+                record.postData =
+                    bytes.type === 'base64' ? Buffer.from(bytes.value, 'base64').toString('utf-8') : bytes.value;
+            }
+        }
+        if (TEXT_MIME_TYPE.test(record.mimeType)) {
+            const bytes = await read('response').catch(() => null);
+            if (bytes) {
+                record.content =
+                    bytes.type === 'base64' ? { text: bytes.value, encoding: 'base64' } : { text: bytes.value };
+            }
+        }
+    }
+
+    /**
+     * CDP listeners on every page of the session, including ones opened later.
+     * @private
+     * @returns {Promise<boolean>} False if puppeteer-core is not installed
+     */
+    static async _listenCdp(browserInstance) {
+        let puppeteer;
+        try {
+            puppeteer = await browserInstance.getPuppeteer();
+        } catch (err) {
+            logger.debug(`CDP unavailable: ${err.message}`);
+            return false;
+        }
+        const maxBodySize = this._maxBodySize();
+        const records = new WeakMap();
+
+        const listen = (page) => {
+            page.on('request', (request) => {
+                const record = {
+                    url: request.url(),
+                    method: request.method(),
+                    requestHeaders: this._objectHeaders(request.headers()),
+                    postData: maxBodySize > 0 ? request.postData() || null : null,
+                    status: null,
+                    statusText: '',
+                    httpVersion: 'HTTP/1.1',
+                    responseHeaders: [],
+                    mimeType: '',
+                    content: null,
+                    error: null,
+                    startedAt: Date.now(),
+                    finishedAt: null,
+                    timings: null,
+                };
+                records.set(request, record);
+                this._records.set(`cdp:${this._records.size}:${record.url}`, record);
+            });
+            page.on('requestfinished', (request) => {
+                const record = records.get(request);
+                const response = request.response();
+                if (!record || !response) return;
+                const headers = response.headers();
+                Object.assign(record, {
+                    status: response.status(),
+                    statusText: response.statusText(),
+                    responseHeaders: this._objectHeaders(headers),
+                    mimeType: headers['content-type'] || '',
+                    finishedAt: Date.now(),
+                });
+                if (maxBodySize > 0 && TEXT_MIME_TYPE.test(record.mimeType)) {
+                    this._track(
+                        response
+                            .text()
+                            .then((text) => {
+                                if (Buffer.byteLength(text) <= maxBodySize) record.content = { text };
+                            })
+                            .catch(() => {}),
+                    );
+                }
+            });
+            page.on('requestfailed', (request) => {
+                const record = records.get(request);
+                if (!record) return;
+                record.error = request.failure()?.errorText || 'Request failed';
+                record.finishedAt = Date.now();
+            });
+        };
+        (await puppeteer.pages()).forEach(listen);
+        puppeteer.on('targetcreated', async (target) => {
+            const page = await target.page().catch(() => null);
+            if (page) listen(page);
+        });
+        return true;
+    }
+
+    /**
+     * Body reads finish after the response event; endScenario waits for them.
+     * @private
+     */
+    static _track(promise) {
+        const tracked = promise.catch(() => {}).finally(() => this._pending.delete(tracked));
+        this._pending.add(tracked);
+    }
+
+    /** @private */
+    static _attach(file, records) {
+        const failed = records.filter((record) => record.error || record.status >= 400);
+        const summary = failed.length
+            ? failed.map((r) => `${r.method} ${r.url} → ${r.error || `${r.status} ${r.statusText}`.trim()}`).join('\n')
+            : 'No failed requests.';
+        CustomReporter.attachText(
+            `Network: ${records.length} requests, ${failed.length} failed — ${path.basename(file)}\n\n${summary}`,
+        );
+
+        const har = fs.readFileSync(file, 'utf-8');
+        try {
+            require('@wdio/allure-reporter').addAttachment(path.basename(file), har, 'application/json');
+        } catch (err) {
+            logger.debug(`Allure HAR attachment: ${err.message}`);
+        }
+        CustomReporter.attachText(har, 'application/json');
+    }
+
+    /** @private */
+    static _toRequest(record) {
+        return {
+            url: record.url,
+            method: record.method,
+            status: record.status,
+            headers: Object.fromEntries(record.requestHeaders.map((h) => [h.name.toLowerCase(), h.value])),
+            payload: this._parseBody(record.postData),
+            responseHeaders: Object.fromEntries(record.responseHeaders.map((h) => [h.name.toLowerCase(), h.value])),
+            responseBody: record.content && !record.content.encoding ? this._parseBody(record.content.text) : null,
+            error: record.error,
+            duration: record.finishedAt ? record.finishedAt - record.startedAt : null,
+        };
+    }
+
+    /** @private */
+    static _toHarEntry(record) {
+        const time = record.finishedAt ? Math.max(record.finishedAt - record.startedAt, 0) : -1;
+        const contentType = record.requestHeaders.find((h) => h.name.toLowerCase() === 'content-type');
+        const request = {
+            method: record.method,
+            url: record.url,
+            httpVersion: record.httpVersion,
+            cookies: [],
+            headers: SensitiveDataMasker.maskHeaders(record.requestHeaders),
+            queryString: this._queryString(record.url),
+            headersSize: -1,
+            bodySize: record.postData ? Buffer.byteLength(record.postData) : 0,
+        };
+        if (record.postData) {
+            const mimeType = contentType ? contentType.value : '';
+            request.postData = { mimeType, text: SensitiveDataMasker.maskBody(record.postData, mimeType) };
+        }
+        const content = { size: record.content ? record.content.text.length : 0, mimeType: record.mimeType };
+        if (record.content) Object.assign(content, record.content);
+        if (record.content && !record.content.encoding) {
+            content.text = SensitiveDataMasker.maskBody(record.content.text, record.mimeType);
+        }
+
+        return {
+            startedDateTime: new Date(record.startedAt).toISOString(),
+            time,
+            request,
+            response: {
+                status: record.status ?? 0,
+                statusText: record.statusText,
+                httpVersion: record.httpVersion,
+                cookies: [],
+                headers: SensitiveDataMasker.maskHeaders(record.responseHeaders),
+                content,
+                redirectURL: record.responseHeaders.find((h) => h.name.toLowerCase() === 'location')?.value || '',
+                headersSize: -1,
+                bodySize: -1,
+                ...(record.error ? { _error: record.error } : {}),
+            },
+            cache: {},
+            timings: this._harTimings(record.timings, time),
+        };
+    }
+
+    /**
+     * BiDi fetch timings (ms since timeOrigin) → HAR phases; -1 where unknown.
+     * @private
+     */
+    static _harTimings(timings, time) {
+        const span = (start, end) => (start > 0 && end >= start ? end - start : -1);
+        if (!timings) return { send: 0, wait: Math.max(time, 0), receive: 0 };
+        return {
+            blocked: -1,
+            dns: span(timings.dnsStart, timings.dnsEnd),
+            connect: span(timings.connectStart, timings.connectEnd),
+            ssl: span(timings.tlsStart, timings.connectEnd),
+            send: 0,
+            wait: Math.max(span(timings.requestStart, timings.responseStart), 0),
+            receive: Math.max(span(timings.responseStart, timings.responseEnd), 0),
+        };
+    }
+
+    /** @private */
+    static _queryString(url) {
+        try {
+            return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+        } catch {
+            return [];
+        }
+    }
+
+    /** @private */
+    static _bidiHeaders(headers = []) {
+        return headers.map(({ name, value }) => ({
+            name,
+            value: value.type === 'base64' ? Buffer.from(value.value, 'base64').toString('utf-8') : value.value,
+        }));
+    }
+
+    /** @private */
+    static _objectHeaders(headers = {}) {
+        return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+    }
+
+    /** @private */
+    static _maxBodySize() {
+        return Math.max(ConfigResolver.getInt('NETWORK_MAX_BODY_SIZE', 1048576), 0);
+    }
+
+    /**
+     * Glob → matcher: `**` spans path segments, `*` stays within one.
+     * @private
+     */
+    static _urlMatcher(urlPattern) {
+        if (urlPattern instanceof RegExp) return (url) => urlPattern.test(url);
+        const pattern = String(urlPattern);
+        const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        const segment = (part) => part.split('*').map(escape).join('[^/]*');
+        const regex = new RegExp(`^${pattern.split('**').map(segment).join('.*')}$`);
+        const withQuery = pattern.includes('?');
+        return (url) => regex.test(withQuery ? url : url.split('?')[0]);
+    }
+
+    /** @private */
+    static _parseBody(text) {
+        if (text === null || text === undefined || text === '') return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    /**
+     * Deep partial match: every key in `expected` must equal the value in `actual`.
+     * @private
+     */
+    static _payloadMatches(actual, expected) {
+        if (expected === null || typeof expected !== 'object') {
+            if (typeof expected === 'string' && typeof actual !== 'string') {
+                return JSON.stringify(actual) === expected;
+            }
+            return actual === expected;
+        }
+        if (actual === null || typeof actual !== 'object') return false;
+        if (Array.isArray(expected)) {
+            return (
+                Array.isArray(actual) &&
+                actual.length === expected.length &&
+                expected.every((item, i) => this._payloadMatches(actual[i], item))
+            );
+        }
+        return Object.keys(expected).every((k) => this._payloadMatches(actual[k], expected[k]));
+    }
+}
+
+NetworkLog.reset();
+
+module.exports = { NetworkLog };
@@ -0,0 +1,404 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PerformanceHistory - Run-over-Run Performance Trend
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Keeps a rolling history of PerformanceTracker timers and page
+ * timings so slow creep shows up before it becomes an incident.
+ *
+ * Workers write their samples with PerformanceTracker#flush; after
+ * the run the samples are merged into one entry per run — the median
+ * of every timer and of every tracked page metric — and compared with
+ * the median of the previous PERF_BASELINE_RUNS runs.  A series more
+ * than PERF_REGRESSION_THRESHOLD percent above its baseline is flagged
+ * as a regression (logged, never failing the build).  Series whose
+ * baseline is 0 (e.g. CLS on a stable page) cannot regress by a
+ * percentage and are not flagged.
+ *
+ * Every run rewrites `<reportsDir>/performance/trend.html`, one chart
+ * per series with its baseline.
+ *
+ * Configuration:
+ *   PERF_HISTORY_FILE         — History store (default: reports/history/performance-history.json)
+ *   PERF_HISTORY_SIZE         — Runs kept (default: 50)
+ *   PERF_BASELINE_RUNS        — Previous runs in the rolling median (default: 5)
+ *   PERF_REGRESSION_THRESHOLD — Percent above the baseline that is a regression (default: 20)
+ *
+ * @module PerformanceHistory
+ * @example
+ * const { PerformanceHistory } = require('@wdio-framework/core');
+ *
+ * // In onComplete: merge the workers' samples into the history
+ * const { regressions, reportPath } = PerformanceHistory.recordRun('reports');
+ * regressions.forEach((r) => console.log(`${r.label}: +${r.change}%`));
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Logger } = require('./Logger');
+const { ConfigResolver } = require('./ConfigResolver');
+
+const logger = Logger.getInstance('PerformanceHistory');
+
+const HISTORY_VERSION = 1;
+const REPORT_DIR_NAME = 'performance';
+const TREND_REPORT_NAME = 'trend.html';
+
+/** A baseline needs at least this many earlier runs (or PERF_BASELINE_RUNS, if lower). */
+const MIN_BASELINE_RUNS = 3;
+
+/** Page metrics kept in the history; sizes and connection timings are too noisy to trend. */
+const TRACKED_PAGE_METRICS = [
+    'lcp',
+    'cls',
+    'inp',
+    'fid',
+    'tbt',
+    'fcp',
+    'timeToFirstByte',
+    'domContentLoaded',
+    'loadComplete',
+];
+
+/**
+ * Static utility that maintains the performance history and trend report.
+ *
+ * @class PerformanceHistory
+ */
+class PerformanceHistory {
+    // ─── Public API ───────────────────────────────────────────
+
+    /**
+     * Merge the per-worker sample files into one history entry, flag
+     * regressions against the rolling baseline, and write the trend report.
+     * The sample files are removed.
+     *
+     * @param {string} [reportsDir='<cwd>/reports']
+     * @param {Object} [options={}]
+     * @param {string} [options.historyFile] - Override PERF_HISTORY_FILE
+     * @returns {{runId: string, series: number, regressions: Object[], reportPath: string}|null}
+     *   `null` if nothing was measured in this run
+     */
+    static recordRun(reportsDir = path.join(process.cwd(), 'reports'), options = {}) {
+        const samples = this._collectSamples(path.join(reportsDir, REPORT_DIR_NAME));
+        if (samples.timers.length === 0 && samples.pages.length === 0) {
+            logger.debug('No performance samples found — history not updated');
+            return null;
+        }
+
+        const historyFile = this._historyPath(options.historyFile);
+        const history = this.load(historyFile);
+        const runId = new Date().toISOString();
+        const run = { run: runId, ...this.summarise(samples) };
+
+        history.runs = history.runs.concat(run).slice(-ConfigResolver.getInt('PERF_HISTORY_SIZE', 50));
+        history.updatedAt = runId;
+        fs.outputJsonSync(historyFile, history, { spaces: 2 });
+
+        const regressions = this.detectRegressions(history);
+        const reportPath = this.writeTrendReport(history, regressions, path.join(reportsDir, REPORT_DIR_NAME));
+        const series = Object.keys(this._flatten(run)).length;
+
+        if (regressions.length > 0) {
+            logger.warn(
+                `${regressions.length} performance regression(s) against the last ` +
+                    `${ConfigResolver.getInt('PERF_BASELINE_RUNS', 5)} run(s): ` +
+                    regressions.map((r) => `${r.label} ${r.value} (+${r.change}%)`).join(', ') +
+                    `. See ${reportPath}`,
+            );
+        } else {
+            logger.info(`Recorded ${series} performance series in ${historyFile} — no regressions`);
+        }
+        return { runId, series, regressions, reportPath };
+    }
+
+    /**
+     * Reduce raw samples to one value per series: the median of every
+     * timer and of every tracked metric per page.
+     *
+     * @param {{timers: Array<{name: string, elapsed: number}>, pages: Array<{page: string, metrics: Object}>}} samples
+     * @returns {{timers: Object<string, number>, pages: Object<string, Object<string, number>>}}
+     */
+    static summarise(samples) {
+        const group = (entries) => {
+            const grouped = {};
+            for (const [key, value] of entries) {
+                if (typeof value !== 'number') continue;
+                (grouped[key] = grouped[key] || []).push(value);
+            }
+            return grouped;
+        };
+
+        const timers = group(samples.timers.map((t) => [t.name, t.elapsed]));
+        const pages = {};
+        for (const { page, metrics } of samples.pages) {
+            pages[page] = pages[page] || [];
+            pages[page].push(metrics);
+        }
+
+        return {
+            timers: this._mapValues(timers, (values) => this.median(values)),
+            pages: this._mapValues(pages, (list) =>
+                this._mapValues(
+                    group(list.flatMap((metrics) => TRACKED_PAGE_METRICS.map((m) => [m, metrics[m]]))),
+                    (values) => this.median(values),
+                ),
+            ),
+        };
+    }
+
+    /**
+     * Compare the latest run with the median of the runs before it.
+     *
+     * @param {{runs: Object[]}} history
+     * @param {Object} [options={}]
+     * @param {number} [options.baselineRuns] - Default: PERF_BASELINE_RUNS
+     * @param {number} [options.threshold] - Percent; default: PERF_REGRESSION_THRESHOLD
+     * @returns {Array<{key: string, label: string, value: number, baseline: number, change: number}>}
+     *   Worst regression first; `change` is the increase in percent
+     */
+    static detectRegressions(history, options = {}) {
+        const baselineRuns = options.baselineRuns ?? ConfigResolver.getInt('PERF_BASELINE_RUNS', 5);
+        const threshold = options.threshold ?? parseFloat(ConfigResolver.get('PERF_REGRESSION_THRESHOLD', '20'));
+        const runs = history.runs || [];
+        if (runs.length < 2) return [];
+
+        const latest = this._flatten(runs[runs.length - 1]);
+        const previous = runs.slice(0, -1).map((run) => this._flatten(run));
+        const regressions = [];
+
+        for (const [key, value] of Object.entries(latest)) {
+            const earlier = previous
+                .map((series) => series[key])
+                .filter((v) => typeof v === 'number')
+                .slice(-baselineRuns);
+            if (earlier.length < Math.min(MIN_BASELINE_RUNS, baselineRuns)) continue;
+
+            const baseline = this.median(earlier);
+            if (baseline <= 0) continue;
+            const change = Math.round(((value - baseline) / baseline) * 1000) / 10;
+            if (change > threshold) {
+                regressions.push({ key, label: this._label(key), value, baseline, change });
+            }
+        }
+        return regressions.sort((a, b) => b.change - a.change);
+    }
+
+    /**
+     * Write the trend report: regressions first, then one chart per series.
+     *
+     * @param {{runs: Object[]}} history
+     * @param {Object[]} regressions - From {@link PerformanceHistory.detectRegressions}
+     * @param {string} outputDir
+     * @returns {string} Path of the HTML report
+     */
+    static writeTrendReport(history, regressions, outputDir) {
+        const baselineRuns = ConfigResolver.getInt('PERF_BASELINE_RUNS', 5);
+        const runs = history.runs || [];
+        const flattened = runs.map((run) => this._flatten(run));
+        const keys = [...new Set(flattened.flatMap((series) => Object.keys(series)))].sort();
+        const regressed = new Map(regressions.map((r) => [r.key, r]));
+        keys.sort((a, b) => (regressed.has(b) ? 1 : 0) - (regressed.has(a) ? 1 : 0));
+
+        const regressionRows = regressions
+            .map(
+                (r) =>
+                    `<tr><td>${escapeHtml(r.label)}</td><td>${r.baseline}</td>` +
+                    `<td>${r.value}</td><td class="bad">+${r.change}%</td></tr>`,
+            )
+            .join('\n');
+        const charts = keys
+            .map((key) => {
+                const points = flattened.map((series, i) => ({ run: runs[i].run, value: series[key] }));
+                return this._chart(key, points, regressed.get(key), baselineRuns);
+            })
+            .join('\n');
+
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Performance Trend</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 40px; background: #f8f9fa; }
+        h1 { color: #2d3748; }
+        table { border-collapse: collapse; width: 100%; max-width: 800px; margin-bottom: 24px; }
+        th, td { padding: 8px 16px; text-align: left; border-bottom: 1px solid #e2e8f0; }
+        th { background: #4a90d9; color: white; }
+        .meta { color: #718096; font-size: 0.9rem; }
+        .bad { color: #c53030; font-weight: 600; }
+        .chart { display: inline-block; margin: 0 16px 16px 0; padding: 12px; background: white; border: 1px solid #e2e8f0; }
+        .chart.regressed { border-color: #c53030; }
+        .chart h3 { margin: 0 0 8px; font-size: 0.95rem; color: #2d3748; }
+    </style>
+</head>
+<body>
+    <h1>Performance Trend</h1>
+    <p class="meta">${runs.length} run(s), latest ${escapeHtml(runs.length ? runs[runs.length - 1].run : '-')} |
+        Baseline: median of the previous ${baselineRuns} run(s) (dashed)</p>
+    ${
+        regressions.length
+            ? `<h2 class="bad">${regressions.length} regression(s)</h2>
+    <table>
+        <thead><tr><th>Series</th><th>Baseline</th><th>Latest</th><th>Change</th></tr></thead>
+        <tbody>${regressionRows}</tbody>
+    </table>`
+            : '<h2>No regressions</h2>'
+    }
+    ${charts}
+</body>
+</html>`;
+
+        const reportPath = path.join(outputDir, TREND_REPORT_NAME);
+        fs.outputFileSync(reportPath, html, 'utf-8');
+        return reportPath;
+    }
+
+    /**
+     * Load the history store (an empty store if the file does not exist).
+     *
+     * @param {string} [historyFile] - Default: PERF_HISTORY_FILE
+     * @returns {{version: number, runs: Object[]}}
+     */
+    static load(historyFile = this._historyPath()) {
+        const empty = { version: HISTORY_VERSION, runs: [] };
+        if (!fs.existsSync(historyFile)) return empty;
+        try {
+            const history = fs.readJsonSync(historyFile);
+            return { ...empty, ...history, runs: history.runs || [] };
+        } catch (err) {
+            logger.warn(`Ignoring unreadable performance history ${historyFile}: ${err.message}`);
+            return empty;
+        }
+    }
+
+    /**
+     * @param {number[]} values
+     * @returns {number} Median, rounded to 4 decimals (CLS is a fraction)
+     */
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        return Math.round(median * 10000) / 10000;
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /**
+     * Read and remove the per-worker sample files.
+     * @private
+     */
+    static _collectSamples(dir) {
+        const samples = { timers: [], pages: [] };
+        if (!fs.existsSync(dir)) return samples;
+
+        for (const file of fs.readdirSync(dir).filter((f) => /^samples-.+\.json$/.test(f))) {
+            const filePath = path.join(dir, file);
+            try {
+                const data = fs.readJsonSync(filePath);
+                samples.timers.push(...(data.timers || []));
+                samples.pages.push(...(data.pages || []));
+            } catch (err) {
+                logger.warn(`Skipping unreadable performance samples ${filePath}: ${err.message}`);
+            }
+            fs.removeSync(filePath);
+        }
+        return samples;
+    }
+
+    /**
+     * One history entry as `{ 'timer:<name>': value, 'page:<page>:<metric>': value }`.
+     * @private
+     */
+    static _flatten(run) {
+        const series = {};
+        Object.entries(run.timers || {}).forEach(([name, value]) => {
+            series[`timer:${name}`] = value;
+        });
+        Object.entries(run.pages || {}).forEach(([page, metrics]) => {
+            Object.entries(metrics).forEach(([metric, value]) => {
+                series[`page:${page}:${metric}`] = value;
+            });
+        });
+        return series;
+    }
+
+    /** @private */
+    static _label(key) {
+        if (key.startsWith('timer:')) return `Timer ${key.slice('timer:'.length)}`;
+        const metric = key.slice(key.lastIndexOf(':') + 1);
+        return `${key.slice('page:'.length, key.lastIndexOf(':'))} — ${metric}`;
+    }
+
+    /**
+     * Inline SVG line chart of one series; the dashed line is the baseline
+     * the latest run was compared with.
+     * @private
+     */
+    static _chart(key, points, regression, baselineRuns) {
+        const width = 420;
+        const height = 140;
+        const pad = 28;
+        const measured = points.filter((p) => typeof p.value === 'number');
+        const values = measured.map((p) => p.value);
+        const earlier = values.slice(0, -1).slice(-baselineRuns);
+        const baseline = earlier.length ? this.median(earlier) : null;
+        const max = Math.max(...values, baseline || 0) || 1;
+
+        const x = (i) =>
+            pad + (points.length > 1 ? (i * (width - 2 * pad)) / (points.length - 1) : (width - 2 * pad) / 2);
+        const y = (v) => height - pad - (v / max) * (height - 2 * pad);
+        const coords = points
+            .map((p, i) => (typeof p.value === 'number' ? `${x(i).toFixed(1)},${y(p.value).toFixed(1)}` : null))
+            .filter(Boolean);
+
+        const dots = points
+            .map((p, i) => {
+                if (typeof p.value !== 'number') return '';
+                const last = i === points.length - 1;
+                const colour = last && regression ? '#c53030' : '#4a90d9';
+                const position = `cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}"`;
+                return (
+                    `<circle ${position} r="${last ? 4 : 2.5}" fill="${colour}">` +
+                    `<title>${escapeHtml(p.run)}: ${p.value}</title></circle>`
+                );
+            })
+            .join('');
+        const baselineY = baseline === null ? null : y(baseline).toFixed(1);
+        const baselineLine =
+            baselineY === null
+                ? ''
+                : `<line x1="${pad}" x2="${width - pad}" y1="${baselineY}" y2="${baselineY}" ` +
+                  'stroke="#a0aec0" stroke-dasharray="4 3"/>';
+
+        return `<div class="chart${regression ? ' regressed' : ''}">
+        <h3>${escapeHtml(this._label(key))}${regression ? ` <span class="bad">+${regression.change}%</span>` : ''}</h3>
+        <svg width="${width}" height="${height}" role="img" aria-label="${escapeHtml(this._label(key))}">
+            <line x1="${pad}" x2="${width - pad}" y1="${height - pad}" y2="${height - pad}" stroke="#e2e8f0"/>
+            <text x="2" y="${pad - 8}" font-size="10" fill="#718096">${max}</text>
+            <text x="2" y="${height - pad + 4}" font-size="10" fill="#718096">0</text>
+            ${baselineLine}
+            <polyline points="${coords.join(' ')}" fill="none" stroke="#4a90d9" stroke-width="1.5"/>
+            ${dots}
+        </svg>
+    </div>`;
+    }
+
+    /** @private */
+    static _mapValues(object, fn) {
+        return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+    }
+
+    /** @private */
+    static _historyPath(override) {
+        const configured = override || ConfigResolver.get('PERF_HISTORY_FILE');
+        return path.resolve(configured || path.join('reports', 'history', 'performance-history.json'));
+    }
+}
+
+function escapeHtml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = { PerformanceHistory };
@@ -9,9 +9,23 @@
  * - Named start/stop timers for measuring operation durations
  * - Async operation measurement wrapper
  * - Navigation Timing API data (TTFB, DOM load, full page load)
+ * - Core Web Vitals (LCP, CLS, INP, FID, TBT) via PerformanceObserver
  * - Resource-level performance entries
- * - Threshold assertions for CI/CD quality gates
+ * - Threshold assertions and per-page budgets for CI/CD quality gates
  * - Singleton access for global metric collection
+ * - Per-worker sample files for the run-over-run trend (PerformanceHistory)
+ *
+ * Budgets:
+ *   PERF_BUDGETS_FILE (default: config/performance-budgets.json) maps
+ *   pages to limits on any collected metric.  `default` applies to
+ *   every page; entries under `pages` are matched by name or by a
+ *   `url` substring / `/regex/` and override it metric by metric.
+ *   A limit is either a number (fail above it) or `{ warn, fail }`.
+ *
+ *   {
+ *     "default": { "lcp": { "warn": 2500, "fail": 4000 }, "cls": { "warn": 0.1, "fail": 0.25 } },
+ *     "pages": { "checkout": { "url": "/checkout", "lcp": 3000 } }
+ *   }
  *
  * @module PerformanceTracker
  * @example
@@ -27,14 +41,27 @@
  * // Assert page load time for CI gate
  * await perf.assertPageLoadUnder(3000);
  *
+ * // Check Web Vitals against the page's budget (attached to the report)
+ * await perf.assertBudgets('checkout');
+ *
  * // Get all collected metrics
  * console.table(perf.getMetrics());
  */
 
+const path = require('path');
+const fs = require('fs-extra');
 const { Logger } = require('./Logger');
+const { ConfigResolver } = require('./ConfigResolver');
+const { CustomReporter } = require('./Reporter');
 
 const logger = Logger.getInstance('PerformanceTracker');
 
+/** Units of metrics reported in budget messages; anything not listed is in ms. */
+const METRIC_UNITS = { cls: '', longTaskCount: '', transferSize: ' B', encodedBodySize: ' B', decodedBodySize: ' B' };
+
+/** Long tasks block the main thread for everything above this (ms). */
+const LONG_TASK_THRESHOLD = 50;
+
 /**
  * Performance measurement and browser metrics collector.
  * Use {@link PerformanceTracker.getInstance} for the shared singleton.
@@ -45,6 +72,8 @@ class PerformanceTracker {
     constructor() {
         this._timers = {};
         this._metrics = [];
+        // Kept for the trend history until flush() — clearMetrics() leaves them alone
+        this._samples = { timers: [], pages: [] };
     }
 
     /**
@@ -80,6 +109,7 @@ class PerformanceTracker {
         delete this._timers[name];
 
         this._metrics.push({ name, elapsed, timestamp: new Date().toISOString() });
+        this._samples.timers.push({ name, elapsed });
         logger.info(`Timer "${name}": ${elapsed}ms`);
         return elapsed;
     }
@@ -109,22 +139,157 @@ class PerformanceTracker {
     }
 
     /**
-     * Collect browser performance timing (Navigation Timing API).
+     * Collect browser performance timing (Navigation Timing API) and
+     * Core Web Vitals.
      *
      * Returns an object with key metrics:
      * `domContentLoaded`, `domComplete`, `loadComplete`,
      * `timeToFirstByte`, `dnsLookup`, `tcpConnect`,
      * `serverResponseTime`, `pageRendering`, `redirectTime`,
-     * `transferSize`, `encodedBodySize`, `decodedBodySize`.
+     * `transferSize`, `encodedBodySize`, `decodedBodySize`,
+     * plus the Web Vitals of {@link PerformanceTracker#getWebVitals}.
      *
+     * The metrics are also kept for the performance trend history under
+     * `page`, or the URL path when no page name is given.
+     *
+     * @param {string} [page] - Page label in the trend history (default: URL path)
      * @returns {Promise<Object|null>} Performance metrics or `null` if unavailable
      *
      * @example
      * const metrics = await perf.getPagePerformance();
      * console.log(`TTFB: ${metrics.timeToFirstByte}ms`);
-     * console.log(`Full load: ${metrics.loadComplete}ms`);
+     * console.log(`LCP: ${metrics.lcp}ms, CLS: ${metrics.cls}`);
+     */
+    async getPagePerformance(page) {
+        const navigation = await this._getNavigationTiming();
+        if (!navigation) return null;
+        const metrics = { ...navigation, ...(await this.getWebVitals()) };
+        this._samples.pages.push({ page: page || new URL(await browser.getUrl()).pathname, metrics });
+        return metrics;
+    }
+
+    /**
+     * Collect Core Web Vitals of the current page.
+     *
+     * Installs buffered PerformanceObservers on first use (see
+     * {@link PerformanceTracker#injectWebVitals}), so metrics recorded
+     * before the call are still reported.  A metric the browser does not
+     * support, or that has not happened yet (INP/FID before any user
+     * interaction), is `null`.
+     *
+     * - `lcp` — Largest Contentful Paint (ms)
+     * - `cls` — Cumulative Layout Shift (largest session window)
+     * - `inp` — Interaction to Next Paint (ms, p98 of interactions)
+     * - `fid` — First Input Delay (ms)
+     * - `tbt` — Total Blocking Time (ms above 50ms per long task after FCP)
+     * - `fcp` — First Contentful Paint (ms)
+     * - `longTaskCount` — Long tasks observed so far
+     *
+     * @returns {Promise<{lcp: ?number, cls: ?number, inp: ?number, fid: ?number, tbt: ?number, fcp: ?number, longTaskCount: ?number}>}
+     *
+     * @example
+     * await searchPage.submitSearch('laptop');
+     * const { inp, cls } = await perf.getWebVitals();
+     */
+    async getWebVitals() {
+        await this.injectWebVitals();
+        return browser.execute(async (longTaskThreshold) => {
+            // Buffered entries are delivered asynchronously after observe()
+            await new Promise((resolve) => setTimeout(resolve, 100));
+            const store = window.__wdioWebVitals;
+            const round = (value, digits = 0) => (value === null ? null : Number(value.toFixed(digits)));
+
+            const lcpEntry = store.lcp[store.lcp.length - 1];
+
+            // CLS: largest session window (gaps < 1s, windows <= 5s), excluding shifts after input
+            let cls = null;
+            if (store.supported.includes('layout-shift')) {
+                let windowValue = 0;
+                let windowStart = 0;
+                let previous = 0;
+                cls = 0;
+                store.layoutShifts
+                    .filter((e) => !e.hadRecentInput)
+                    .forEach((e) => {
+                        if (e.startTime - previous > 1000 || e.startTime - windowStart > 5000) {
+                            windowValue = 0;
+                            windowStart = e.startTime;
+                        }
+                        windowValue += e.value;
+                        previous = e.startTime;
+                        cls = Math.max(cls, windowValue);
+                    });
+            }
+
+            // INP: longest event per interaction; ignore one outlier per 50 interactions
+            const interactions = new Map();
+            store.events
+                .filter((e) => e.interactionId)
+                .forEach((e) => {
+                    interactions.set(e.interactionId, Math.max(interactions.get(e.interactionId) || 0, e.duration));
+                });
+            const durations = [...interactions.values()].sort((a, b) => b - a);
+            const inp = durations.length
+                ? durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)]
+                : null;
+
+            const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+            const fcp = fcpEntry ? fcpEntry.startTime : null;
+            const tbt = store.supported.includes('longtask')
+                ? store.longTasks
+                      .filter((t) => fcp === null || t.startTime >= fcp)
+                      .reduce((sum, t) => sum + Math.max(0, t.duration - longTaskThreshold), 0)
+                : null;
+
+            return {
+                lcp: lcpEntry ? round(lcpEntry.renderTime || lcpEntry.loadTime || lcpEntry.startTime) : null,
+                cls: round(cls, 4),
+                inp: round(inp),
+                fid: store.firstInput ? round(store.firstInput.processingStart - store.firstInput.startTime) : null,
+                tbt: round(tbt),
+                fcp: round(fcp),
+                longTaskCount: store.supported.includes('longtask') ? store.longTasks.length : null,
+            };
+        }, LONG_TASK_THRESHOLD);
+    }
+
+    /**
+     * Install the Web Vitals observers in the current page.  Called by
+     * {@link PerformanceTracker#getWebVitals}; call it yourself right after
+     * navigation when long tasks or interactions early in the page's life
+     * matter, since the browser only buffers a limited number of entries.
+     * A no-op when the observers are already installed.
+     *
+     * @returns {Promise<void>}
      */
-    async getPagePerformance() {
+    async injectWebVitals() {
+        await browser.execute(() => {
+            if (window.__wdioWebVitals) return;
+            const store = { lcp: [], layoutShifts: [], events: [], longTasks: [], firstInput: null, supported: [] };
+            window.__wdioWebVitals = store;
+
+            const observe = (type, onEntry, options = {}) => {
+                if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) return;
+                new PerformanceObserver((list) => list.getEntries().forEach(onEntry)).observe({
+                    type,
+                    buffered: true,
+                    ...options,
+                });
+                store.supported.push(type);
+            };
+
+            observe('largest-contentful-paint', (e) => store.lcp.push(e));
+            observe('layout-shift', (e) => store.layoutShifts.push(e));
+            observe('event', (e) => store.events.push(e), { durationThreshold: 16 });
+            observe('first-input', (e) => {
+                store.firstInput = store.firstInput || e;
+            });
+            observe('longtask', (e) => store.longTasks.push(e));
+        });
+    }
+
+    /** @private */
+    async _getNavigationTiming() {
         return browser.execute(() => {
             const perf = performance.getEntriesByType('navigation')[0];
             if (!perf) return null;
@@ -179,12 +344,39 @@ class PerformanceTracker {
 
     /**
      * Clear all collected metrics. Useful between test scenarios.
+     * Samples not yet flushed to the trend history are kept.
      * @returns {void}
      */
     clearMetrics() {
         this._metrics = [];
     }
 
+    /**
+     * Write this worker's timer and page samples to
+     * `<reportsDir>/performance/samples-<cid>.json` for
+     * {@link PerformanceHistory.recordRun}.  Call once per worker
+     * (WDIO `after` hook).
+     *
+     * @param {string} [reportsDir='<cwd>/reports']
+     * @returns {string|null} The sample file, or `null` if nothing was measured
+     */
+    flush(reportsDir = path.join(process.cwd(), 'reports')) {
+        const { timers, pages } = this._samples;
+        if (timers.length === 0 && pages.length === 0) return null;
+
+        const cid = process.env.WDIO_WORKER_ID || String(process.pid);
+        const sampleFile = path.join(reportsDir, 'performance', `samples-${cid}.json`);
+        const existing = fs.existsSync(sampleFile) ? fs.readJsonSync(sampleFile) : { timers: [], pages: [] };
+        fs.outputJsonSync(
+            sampleFile,
+            { timers: existing.timers.concat(timers), pages: existing.pages.concat(pages) },
+            { spaces: 2 },
+        );
+        logger.debug(`${timers.length} timer and ${pages.length} page sample(s) written to ${sampleFile}`);
+        this._samples = { timers: [], pages: [] };
+        return sampleFile;
+    }
+
     /**
      * Assert that a page loads within a given threshold.
      * Uses the Navigation Timing API `loadComplete` metric.
@@ -208,6 +400,149 @@ class PerformanceTracker {
         logger.info(`Page load time ${perf.loadComplete}ms is within threshold ${maxMs}ms`);
     }
 
+    // ─── Budgets ──────────────────────────────────────────────
+
+    /**
+     * Read the budget file.
+     *
+     * @param {string} [filePath] - Defaults to PERF_BUDGETS_FILE
+     * @returns {{default: Object, pages: Object<string, Object>}} Empty budgets if the file does not exist
+     * @throws {Error} If the file is not valid JSON.
+     */
+    loadBudgets(filePath) {
+        const file = path.resolve(
+            filePath || ConfigResolver.get('PERF_BUDGETS_FILE', 'config/performance-budgets.json'),
+        );
+        if (!fs.existsSync(file)) {
+            logger.warn(`Performance budget file not found: ${file}`);
+            return { default: {}, pages: {} };
+        }
+        try {
+            const budgets = fs.readJsonSync(file);
+            return { default: budgets.default || {}, pages: budgets.pages || {} };
+        } catch (err) {
+            throw new Error(`Invalid performance budget file ${file}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Resolve the budget of a page: `default` overridden by the page entry
+     * whose name equals `page`, or whose `url` matches `url`.
+     *
+     * @param {Object} budgets - As returned by {@link PerformanceTracker#loadBudgets}
+     * @param {Object} target
+     * @param {string} [target.page] - Page name (key under `pages`)
+     * @param {string} [target.url] - Current page URL
+     * @returns {{page: string, limits: Object<string, {warn: ?number, fail: ?number}>}}
+     * @throws {Error} If `page` is given but has no entry in the budget file.
+     */
+    getBudget(budgets, { page, url } = {}) {
+        let name = page;
+        if (page && !budgets.pages[page]) {
+            throw new Error(
+                `No performance budget for page "${page}". ` +
+                    `Budgeted pages: ${Object.keys(budgets.pages).join(', ') || 'none'}.`,
+            );
+        }
+        if (!name && url) {
+            name = Object.keys(budgets.pages).find((key) => this._urlMatches(budgets.pages[key].url, url));
+        }
+        const pageLimits = { ...((name && budgets.pages[name]) || {}) };
+        delete pageLimits.url;
+        const limits = {};
+        for (const [metric, limit] of Object.entries({ ...budgets.default, ...pageLimits })) {
+            limits[metric] =
+                typeof limit === 'number' ? { warn: null, fail: limit } : { warn: null, fail: null, ...limit };
+        }
+        return { page: name || 'default', limits };
+    }
+
+    /**
+     * Compare metrics with budget limits.  Metrics that were not collected
+     * (`null`) are reported as skipped, never as violations.
+     *
+     * @param {Object<string, ?number>} metrics - e.g. from {@link PerformanceTracker#getPagePerformance}
+     * @param {Object<string, {warn: ?number, fail: ?number}>} limits
+     * @returns {{passed: boolean, checks: Array<{metric: string, value: ?number, warn: ?number, fail: ?number, status: string}>,
+     *     warnings: Object[], failures: Object[]}}
+     *   `status` is `pass`, `warn`, `fail` or `skipped`.
+     */
+    evaluateBudget(metrics, limits) {
+        const checks = Object.entries(limits).map(([metric, { warn, fail }]) => {
+            const value = metrics[metric] === undefined ? null : metrics[metric];
+            let status = 'pass';
+            if (value === null) status = 'skipped';
+            else if (fail !== null && value > fail) status = 'fail';
+            else if (warn !== null && value > warn) status = 'warn';
+            return { metric, value, warn, fail, status };
+        });
+        const failures = checks.filter((c) => c.status === 'fail');
+        return { passed: failures.length === 0, checks, warnings: checks.filter((c) => c.status === 'warn'), failures };
+    }
+
+    /**
+     * Collect page timings and Web Vitals, check them against the page's
+     * budget, attach the result to the scenario report, and throw when a
+     * `fail` limit is exceeded.  Exceeded `warn` limits are logged.
+     *
+     * @param {string} [page] - Page name in the budget file; defaults to matching the current URL
+     * @param {Object} [options={}]
+     * @param {string} [options.budgetsFile] - Defaults to PERF_BUDGETS_FILE
+     * @returns {Promise<Object>} `{ page, url, timestamp, metrics, passed, checks, warnings, failures }`
+     * @throws {Error} Listing every metric over its `fail` limit.
+     *
+     * @example
+     * await checkoutPage.open();
+     * await perf.assertBudgets('checkout');
+     */
+    async assertBudgets(page, options = {}) {
+        const url = await browser.getUrl();
+        const budget = this.getBudget(this.loadBudgets(options.budgetsFile), { page, url });
+        const metrics = await this.getPagePerformance(budget.page === 'default' ? undefined : budget.page);
+        if (!metrics) {
+            throw new Error('Performance data not available — Navigation Timing API returned null');
+        }
+
+        const result = {
+            page: budget.page,
+            url,
+            timestamp: new Date().toISOString(),
+            metrics,
+            ...this.evaluateBudget(metrics, budget.limits),
+        };
+        CustomReporter.attachJSON(result, 'performance');
+
+        if (result.warnings.length > 0) {
+            logger.warn(
+                `Performance budget warnings on ${result.page}: ${this._formatChecks(result.warnings, 'warn')}`,
+            );
+        }
+        if (!result.passed) {
+            throw new Error(
+                `Performance budget exceeded on ${result.page} (${url}): ${this._formatChecks(result.failures, 'fail')}`,
+            );
+        }
+        logger.info(`Performance budget met on ${result.page} (${result.checks.length} metric(s) checked)`);
+        return result;
+    }
+
+    /** @private */
+    _urlMatches(pattern, url) {
+        if (!pattern) return false;
+        const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+        return regex ? new RegExp(regex[1], regex[2]).test(url) : url.includes(pattern);
+    }
+
+    /** @private */
+    _formatChecks(checks, level) {
+        return checks
+            .map((check) => {
+                const unit = METRIC_UNITS[check.metric] !== undefined ? METRIC_UNITS[check.metric] : 'ms';
+                return `${check.metric} ${check.value}${unit} > ${check[level]}${unit}`;
+            })
+            .join(', ');
+    }
+
     // ─── Singleton ────────────────────────────────────────────
 
     /**
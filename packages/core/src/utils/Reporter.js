@@ -115,6 +115,11 @@ class CustomReporter {
                 matchedStatuses: ['broken'],
                 messageRegex: '.*ECONNREFUSED.*|.*net::ERR.*|.*session not created.*',
             },
+            {
+                name: 'Flaky (passed on rerun)',
+                matchedStatuses: ['passed'],
+                flaky: true,
+            },
         ];
 
         const catFile = path.join(outputDir, 'categories.json');
@@ -125,8 +130,14 @@ class CustomReporter {
 
     /**
      * Generate the Cucumber HTML report from JSON results.
+     *
+     * @param {string} jsonDir
+     * @param {string} outputDir
+     * @param {Object} [options={}]
+     * @param {Array<{label: string, value: string}>} [options.customData=[]] - Extra "Run Information" rows
      */
-    static generateCucumberHtmlReport(jsonDir, outputDir) {
+    static generateCucumberHtmlReport(jsonDir, outputDir, options = {}) {
+        const { customData = [] } = options;
         try {
             const report = require('multiple-cucumber-html-reporter');
             report.generate({
@@ -147,6 +158,7 @@ class CustomReporter {
                         { label: 'Execution Date', value: new Date().toLocaleString() },
                         { label: 'Node Version', value: process.version },
                         { label: 'Platform', value: `${process.platform} ${process.arch}` },
+                        ...customData,
                     ],
                 },
             });
@@ -11,9 +11,18 @@
  * - Element-level screenshots
  * - Base64-encoded capture for report embedding
  * - Automatic cleanup of old screenshot files
+ * - Visual regression: baseline capture and pixel-diff comparison
  *
  * All screenshots are saved to `<projectRoot>/screenshots/`.
  *
+ * Visual comparison layout:
+ *   • Baselines → `VISUAL_BASELINE_DIR` (default: test/visual-baseline/<name>.png)
+ *   • Actuals   → screenshots/visual/actual/<name>.png
+ *   • Diffs     → screenshots/visual/diff/<name>.png
+ *
+ * Pixel comparison requires the optional `pngjs` and `pixelmatch`
+ * (v5, CommonJS) packages.
+ *
  * @module ScreenshotManager
  * @example
  * const { ScreenshotManager } = require('@wdio-framework/core');
@@ -26,15 +35,25 @@
  *
  * // Base64 for Cucumber reports
  * const base64 = await ScreenshotManager.captureAsBase64();
+ *
+ * // Visual regression against a stored baseline
+ * await ScreenshotManager.assertMatchesBaseline('header', {
+ *     element: '[data-testid="header"]',
+ *     ignore: ['.clock', '.ad-banner'],
+ *     threshold: 0.5,
+ * });
  */
 
 const path = require('path');
 const fs = require('fs-extra');
 const { Logger } = require('./Logger');
+const { ConfigResolver } = require('./ConfigResolver');
+const { CustomReporter } = require('./Reporter');
 const { DateHelper } = require('../helpers/DateHelper');
 
 const logger = Logger.getInstance('ScreenshotManager');
 const SCREENSHOT_DIR = path.join(process.cwd(), 'screenshots');
+const VISUAL_DIR = path.join(SCREENSHOT_DIR, 'visual');
 
 /**
  * Static utility class for capturing and managing screenshots.
@@ -190,6 +209,245 @@ class ScreenshotManager {
     static async captureAsBase64() {
         return browser.takeScreenshot();
     }
+
+    // ─── Visual Regression ────────────────────────────────────
+
+    /**
+     * Capture a screenshot and compare it pixel-by-pixel with the stored
+     * baseline of the same name.  When no baseline exists yet (or
+     * `VISUAL_UPDATE_BASELINE=true`), the capture becomes the new baseline
+     * and the comparison passes.  On a mismatch a diff image (changed
+     * pixels in red) is written to `screenshots/visual/diff/`.
+     *
+     * Ignore regions are CSS selectors; every matching element is masked
+     * out of both images before comparing (clocks, ads, avatars …).
+     *
+     * @param {string} name  Baseline name (sanitised for filesystem use)
+     * @param {Object} [options]
+     * @param {string|WebdriverIO.Element} [options.element]  Compare only this element
+     * @param {boolean}  [options.fullPage=false]  Compare a full-page capture instead of the viewport
+     * @param {string[]} [options.ignore=[]]       CSS selectors of regions to mask out
+     * @param {number}   [options.threshold]       Max mismatching pixels in % (default: `VISUAL_THRESHOLD`, 0.1)
+     * @param {number}   [options.pixelThreshold]  Per-pixel colour sensitivity 0–1 (default: `VISUAL_PIXEL_THRESHOLD`, 0.1)
+     * @returns {Promise<{name: string, match: boolean, baselineCreated: boolean, mismatchPercentage: number,
+     *   diffPixels: number, totalPixels: number, baselinePath: string, actualPath: string, diffPath: string|null,
+     *   reason?: string}>}
+     *
+     * @example
+     * const result = await ScreenshotManager.compareWithBaseline('checkout', { fullPage: true });
+     * if (!result.match) console.log(`Diff: ${result.diffPath}`);
+     */
+    static async compareWithBaseline(name, options = {}) {
+        const { PNG, pixelmatch } = this._loadImageLibs();
+        const {
+            element = null,
+            fullPage = false,
+            ignore = [],
+            threshold = parseFloat(ConfigResolver.get('VISUAL_THRESHOLD', '0.1')),
+            pixelThreshold = parseFloat(ConfigResolver.get('VISUAL_PIXEL_THRESHOLD', '0.1')),
+        } = options;
+
+        const fileName = `${name.replace(/[^a-zA-Z0-9_-]/g, '_')}.png`;
+        const baselinePath = path.join(this._baselineDir(), fileName);
+        const actualPath = path.join(VISUAL_DIR, 'actual', fileName);
+        const diffPath = path.join(VISUAL_DIR, 'diff', fileName);
+        fs.ensureDirSync(path.dirname(actualPath));
+        fs.removeSync(diffPath);
+
+        // ── Capture ──
+        let el = null;
+        if (element) {
+            el = typeof element === 'string' ? await $(element) : await element;
+            await el.saveScreenshot(actualPath);
+        } else if (fullPage) {
+            try {
+                await browser.saveFullPageScreenshot(actualPath);
+            } catch {
+                logger.warn('Full-page screenshot not supported, falling back to viewport capture');
+                await browser.saveScreenshot(actualPath);
+            }
+        } else {
+            await browser.saveScreenshot(actualPath);
+        }
+
+        const result = {
+            name,
+            match: true,
+            baselineCreated: false,
+            mismatchPercentage: 0,
+            diffPixels: 0,
+            totalPixels: 0,
+            baselinePath,
+            actualPath,
+            diffPath: null,
+        };
+
+        // ── Baseline creation / update ──
+        if (!fs.existsSync(baselinePath) || ConfigResolver.getBool('VISUAL_UPDATE_BASELINE')) {
+            fs.ensureDirSync(path.dirname(baselinePath));
+            fs.copyFileSync(actualPath, baselinePath);
+            logger.info(`Visual baseline saved: ${baselinePath}`);
+            result.baselineCreated = true;
+            return result;
+        }
+
+        // ── Compare ──
+        const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+        const actual = PNG.sync.read(fs.readFileSync(actualPath));
+        const { width, height } = baseline;
+        result.totalPixels = width * height;
+
+        if (actual.width !== width || actual.height !== height) {
+            Object.assign(result, {
+                match: false,
+                mismatchPercentage: 100,
+                reason: `Size changed from ${width}x${height} to ${actual.width}x${actual.height}`,
+            });
+            logger.warn(`Visual mismatch "${name}": ${result.reason}`);
+            return result;
+        }
+
+        const regions = ignore.length > 0 ? await this._getIgnoreRegions(ignore, el, fullPage) : [];
+        for (const region of regions) {
+            this._maskRegion(baseline, region);
+            this._maskRegion(actual, region);
+        }
+
+        const diff = new PNG({ width, height });
+        const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, {
+            threshold: pixelThreshold,
+        });
+        const mismatchPercentage = Math.round((diffPixels / result.totalPixels) * 10000) / 100;
+
+        Object.assign(result, {
+            diffPixels,
+            mismatchPercentage,
+            match: mismatchPercentage <= threshold,
+        });
+
+        if (diffPixels > 0) {
+            fs.ensureDirSync(path.dirname(diffPath));
+            fs.writeFileSync(diffPath, PNG.sync.write(diff));
+            result.diffPath = diffPath;
+        }
+
+        const summary = `"${name}": ${mismatchPercentage}% of pixels differ (threshold ${threshold}%)`;
+        if (result.match) {
+            logger.info(`Visual match ${summary}`);
+        } else {
+            logger.warn(`Visual mismatch ${summary} — diff: ${diffPath}`);
+        }
+        return result;
+    }
+
+    /**
+     * Compare against the baseline and throw if the images differ by more
+     * than the threshold.  The diff image is attached to the Cucumber report.
+     *
+     * @param {string} name  Baseline name
+     * @param {Object} [options]  Same options as {@link compareWithBaseline}
+     * @returns {Promise<Object>} The comparison result when it matches
+     * @throws {Error} If the capture does not match the baseline
+     *
+     * @example
+     * await ScreenshotManager.assertMatchesBaseline('login-form', { element: '#login-form' });
+     */
+    static async assertMatchesBaseline(name, options = {}) {
+        const result = await this.compareWithBaseline(name, options);
+        if (result.match) return result;
+
+        if (result.diffPath) {
+            CustomReporter.attachText(fs.readFileSync(result.diffPath).toString('base64'), 'image/png');
+        }
+        const detail = result.reason || `${result.mismatchPercentage}% of pixels differ`;
+        throw new Error(
+            `Visual baseline mismatch for "${name}": ${detail}. ` +
+                `Baseline: ${result.baselinePath}${result.diffPath ? `, diff: ${result.diffPath}` : ''}`,
+        );
+    }
+
+    /**
+     * Resolve the baseline directory from `VISUAL_BASELINE_DIR`.
+     * @private
+     */
+    static _baselineDir() {
+        return path.resolve(ConfigResolver.get('VISUAL_BASELINE_DIR') || path.join('test', 'visual-baseline'));
+    }
+
+    /**
+     * Load the optional image libraries with an actionable error.
+     * @private
+     */
+    static _loadImageLibs() {
+        try {
+            return { PNG: require('pngjs').PNG, pixelmatch: require('pixelmatch') };
+        } catch {
+            throw new Error(
+                'Packages "pngjs" and "pixelmatch@5" are required for visual comparison. ' +
+                    'Install them: npm install pngjs pixelmatch@5',
+            );
+        }
+    }
+
+    /**
+     * Compute device-pixel rectangles for every element matching the
+     * ignore selectors, relative to the captured image.
+     * @private
+     */
+    static async _getIgnoreRegions(selectors, element, fullPage) {
+        const regions = await browser.execute(
+            (sels, scrollOffset) => {
+                const dpr = window.devicePixelRatio || 1;
+                const offsetX = scrollOffset ? window.scrollX : 0;
+                const offsetY = scrollOffset ? window.scrollY : 0;
+                const rects = [];
+                for (const sel of sels) {
+                    for (const node of document.querySelectorAll(sel)) {
+                        const r = node.getBoundingClientRect();
+                        rects.push({
+                            x: (r.left + offsetX) * dpr,
+                            y: (r.top + offsetY) * dpr,
+                            width: r.width * dpr,
+                            height: r.height * dpr,
+                        });
+                    }
+                }
+                return rects;
+            },
+            selectors,
+            fullPage && !element,
+        );
+
+        if (!element) return regions;
+
+        // Element screenshots: translate to the element's own origin
+        const origin = await browser.execute((node) => {
+            const dpr = window.devicePixelRatio || 1;
+            const r = node.getBoundingClientRect();
+            return { x: r.left * dpr, y: r.top * dpr };
+        }, element);
+        return regions.map((r) => ({ ...r, x: r.x - origin.x, y: r.y - origin.y }));
+    }
+
+    /**
+     * Paint a rectangle of a decoded PNG solid black (clipped to bounds).
+     * @private
+     */
+    static _maskRegion(png, { x, y, width, height }) {
+        const x0 = Math.max(0, Math.floor(x));
+        const y0 = Math.max(0, Math.floor(y));
+        const x1 = Math.min(png.width, Math.ceil(x + width));
+        const y1 = Math.min(png.height, Math.ceil(y + height));
+        for (let row = y0; row < y1; row++) {
+            for (let col = x0; col < x1; col++) {
+                const idx = (png.width * row + col) << 2;
+                png.data[idx] = 0;
+                png.data[idx + 1] = 0;
+                png.data[idx + 2] = 0;
+                png.data[idx + 3] = 255;
+            }
+        }
+    }
 }
 
 module.exports = { ScreenshotManager };
@@ -0,0 +1,347 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * SelfHealingLocator - Fallback Resolution for Broken Selectors
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Remembers a fingerprint of every element that a page object
+ * resolves successfully (id, data-testid, name, aria-label, text
+ * and relative DOM position).  When the same selector stops
+ * matching in a later run — it still matches nothing once the
+ * element wait has timed out — the fingerprint is used to build
+ * alternative locators and the first one that matches a single
+ * element is used instead.  A healed match never replaces the
+ * stored fingerprint; only the original selector records one.
+ *
+ * Every heal is recorded so page objects can be updated:
+ *   • Fingerprint store → .cache/self-healing/fingerprints.json
+ *   • Per-worker heals  → reports/self-healing/healed-<cid>.json
+ *   • Merged report     → reports/self-healing/healed-locators.json
+ *
+ * Configuration:
+ *   SELF_HEALING_ENABLE — 'true' to enable (default: false)
+ *   SELF_HEALING_STORE  — Fingerprint store path (default: .cache/self-healing/fingerprints.json)
+ *
+ * @module SelfHealingLocator
+ * @example
+ * const { SelfHealingLocator } = require('@wdio-framework/core');
+ *
+ * // Called by AbstractBasePage._resolveElement — no direct use needed
+ * const el = await SelfHealingLocator.resolve(await $('.btn-login'), 'LoginPage');
+ *
+ * // In onComplete: merge per-worker heal files into one report
+ * SelfHealingLocator.mergeReports(path.join(process.cwd(), 'reports'));
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Logger } = require('./Logger');
+const { ConfigResolver } = require('./ConfigResolver');
+const { Timeouts } = require('../constants/Timeouts');
+
+const logger = Logger.getInstance('SelfHealingLocator');
+
+const REPORT_DIR_NAME = 'self-healing';
+const MERGED_REPORT_NAME = 'healed-locators.json';
+
+/**
+ * Static utility that records element fingerprints and heals
+ * selectors that no longer match.
+ *
+ * @class SelfHealingLocator
+ */
+class SelfHealingLocator {
+    /** @private Fingerprints keyed by original selector (lazy-loaded) */
+    static _fingerprints = null;
+
+    /** @private Selectors whose fingerprint changed since the last flush */
+    static _dirty = new Set();
+
+    /** @private Heal events recorded by this worker */
+    static _healed = [];
+
+    // ─── Public API ───────────────────────────────────────────
+
+    /**
+     * Whether self-healing is switched on via `SELF_HEALING_ENABLE`.
+     * @returns {boolean}
+     */
+    static isEnabled() {
+        return ConfigResolver.getBool('SELF_HEALING_ENABLE');
+    }
+
+    /**
+     * Return a working element for `element`.  If it exists (or appears
+     * within `timeout`), its fingerprint is refreshed and it is returned
+     * unchanged.  Only if it still does not exist are alternative
+     * locators built from the stored fingerprint tried; the healed
+     * element is returned, or the original one when nothing matches
+     * (so it fails naturally).
+     *
+     * Elements without a string selector, or scoped to a parent
+     * element (e.g. `this.root.$('.x')`), are passed through.
+     *
+     * @param {WebdriverIO.Element} element  Resolved (awaited) WDIO element
+     * @param {string} [owner='unknown']     Page / component name for the report
+     * @param {Object} [options={}]
+     * @param {number} [options.timeout=Timeouts.ELEMENT_WAIT] - Wait for the original selector before healing
+     * @param {boolean} [options.heal=true] - False for checks that must not wait (`isDisplayed()` …):
+     *   the fingerprint is still refreshed, nothing is healed
+     * @returns {Promise<WebdriverIO.Element>}
+     */
+    static async resolve(element, owner = 'unknown', options = {}) {
+        const { timeout = Timeouts.ELEMENT_WAIT, heal = true } = options;
+        const selector = element && element.selector;
+        if (typeof selector !== 'string' || (element.parent && element.parent.elementId)) {
+            return element;
+        }
+
+        let exists = await element.isExisting().catch(() => false);
+        if (!exists && heal && timeout > 0) {
+            // Not rendered yet is not broken — heal only once the wait has timed out
+            exists = await element
+                .waitForExist({ timeout })
+                .then(() => true)
+                .catch(() => false);
+        }
+        if (exists) {
+            await this._record(selector, element);
+            return element;
+        }
+        if (!heal) return element;
+
+        const fingerprint = this._load()[selector];
+        if (!fingerprint) return element;
+
+        for (const { strategy, locator } of this._buildCandidates(fingerprint)) {
+            if (locator === selector) continue;
+            const matches = await $$(locator).catch(() => []);
+            if (matches.length !== 1) continue;
+
+            const healed = await $(locator);
+            logger.warn(`Self-healed locator in ${owner}: "${selector}" → "${locator}" (by ${strategy})`);
+            this._healed.push({
+                owner,
+                originalSelector: selector,
+                healedSelector: locator,
+                strategy,
+                fingerprintCapturedAt: fingerprint.capturedAt,
+                healedAt: new Date().toISOString(),
+                url: await browser.getUrl().catch(() => ''),
+            });
+            // The stored fingerprint stays that of the original selector's element
+            return healed;
+        }
+
+        logger.debug(`No healing candidate matched for "${selector}"`);
+        return element;
+    }
+
+    /**
+     * Return the heal events recorded by this worker so far.
+     * @returns {object[]}
+     */
+    static getHealedLocators() {
+        return [...this._healed];
+    }
+
+    /**
+     * Persist changed fingerprints and this worker's heal events.
+     * Call once per worker (WDIO `after` hook).  Fingerprints are
+     * merged with the file on disk so parallel workers don't drop
+     * each other's entries.
+     *
+     * @param {string} [reportsDir='<cwd>/reports']
+     * @returns {void}
+     */
+    static flush(reportsDir = path.join(process.cwd(), 'reports')) {
+        if (this._dirty.size > 0) {
+            const storePath = this._storePath();
+            const onDisk = this._readJson(storePath, {});
+            for (const selector of this._dirty) {
+                onDisk[selector] = this._fingerprints[selector];
+            }
+            fs.outputJsonSync(storePath, onDisk, { spaces: 2 });
+            logger.debug(`Saved ${this._dirty.size} locator fingerprint(s) to ${storePath}`);
+            this._dirty.clear();
+        }
+
+        if (this._healed.length > 0) {
+            const cid = process.env.WDIO_WORKER_ID || String(process.pid);
+            const reportFile = path.join(reportsDir, REPORT_DIR_NAME, `healed-${cid}.json`);
+            const existing = this._readJson(reportFile, []);
+            fs.outputJsonSync(reportFile, existing.concat(this._healed), { spaces: 2 });
+            logger.info(`${this._healed.length} healed locator(s) written to ${reportFile}`);
+            this._healed = [];
+        }
+    }
+
+    /**
+     * Merge all per-worker heal files into `healed-locators.json`,
+     * grouped by original selector.  Call from `onComplete`.
+     *
+     * @param {string} [reportsDir='<cwd>/reports']
+     * @returns {string|null} Path of the merged report, or `null` if nothing healed
+     */
+    static mergeReports(reportsDir = path.join(process.cwd(), 'reports')) {
+        const dir = path.join(reportsDir, REPORT_DIR_NAME);
+        if (!fs.existsSync(dir)) return null;
+
+        const workerFiles = fs.readdirSync(dir).filter((f) => /^healed-.+\.json$/.test(f) && f !== MERGED_REPORT_NAME);
+        const bySelector = {};
+        for (const file of workerFiles) {
+            for (const event of this._readJson(path.join(dir, file), [])) {
+                const key = `${event.owner}::${event.originalSelector}`;
+                if (!bySelector[key]) {
+                    bySelector[key] = {
+                        owner: event.owner,
+                        originalSelector: event.originalSelector,
+                        healedSelector: event.healedSelector,
+                        strategy: event.strategy,
+                        occurrences: 0,
+                        lastHealedAt: event.healedAt,
+                    };
+                }
+                const entry = bySelector[key];
+                entry.occurrences++;
+                if (event.healedAt > entry.lastHealedAt) {
+                    Object.assign(entry, {
+                        healedSelector: event.healedSelector,
+                        strategy: event.strategy,
+                        lastHealedAt: event.healedAt,
+                    });
+                }
+            }
+            fs.removeSync(path.join(dir, file));
+        }
+
+        const healed = Object.values(bySelector);
+        if (healed.length === 0) return null;
+
+        const reportPath = path.join(dir, MERGED_REPORT_NAME);
+        fs.outputJsonSync(reportPath, { generatedAt: new Date().toISOString(), healed }, { spaces: 2 });
+        logger.warn(`${healed.length} locator(s) were self-healed — update page objects. See ${reportPath}`);
+        return reportPath;
+    }
+
+    /**
+     * Reset in-memory state (useful for test isolation).
+     * @returns {void}
+     */
+    static reset() {
+        this._fingerprints = null;
+        this._dirty.clear();
+        this._healed = [];
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /**
+     * Capture the fingerprint of an existing element and cache it.
+     * @private
+     */
+    static async _record(selector, element) {
+        try {
+            const fingerprint = await browser.execute(function (el) {
+                function indexAmongSiblings(node) {
+                    let index = 1;
+                    for (let sib = node.previousElementSibling; sib; sib = sib.previousElementSibling) {
+                        if (sib.tagName === node.tagName) index++;
+                    }
+                    return index;
+                }
+                // Relative XPath anchored on the closest ancestor with an id
+                const steps = [];
+                let node = el;
+                let anchor = null;
+                while (node && node.nodeType === 1) {
+                    if (node !== el && node.id) {
+                        anchor = node.id;
+                        break;
+                    }
+                    steps.unshift(`${node.tagName.toLowerCase()}[${indexAmongSiblings(node)}]`);
+                    node = node.parentElement;
+                }
+                const relativeXPath = anchor ? `//*[@id="${anchor}"]/${steps.join('/')}` : `/${steps.join('/')}`;
+
+                const text = (el.innerText || el.textContent || '').trim().replace(/\s+/g, ' ');
+                return {
+                    tag: el.tagName.toLowerCase(),
+                    id: el.id || null,
+                    testId: el.getAttribute('data-testid'),
+                    name: el.getAttribute('name'),
+                    ariaLabel: el.getAttribute('aria-label'),
+                    placeholder: el.getAttribute('placeholder'),
+                    type: el.getAttribute('type'),
+                    text: text.length > 0 && text.length <= 80 ? text : null,
+                    relativeXPath,
+                };
+            }, element);
+
+            if (!fingerprint) return;
+            const store = this._load();
+            const previous = store[selector];
+            const changed = !previous || Object.keys(fingerprint).some((k) => previous[k] !== fingerprint[k]);
+            if (changed) {
+                store[selector] = { ...fingerprint, capturedAt: new Date().toISOString() };
+                this._dirty.add(selector);
+            }
+        } catch (err) {
+            logger.debug(`Could not fingerprint "${selector}": ${err.message}`);
+        }
+    }
+
+    /**
+     * Build alternative locators from a fingerprint, most stable first.
+     * @private
+     * @returns {Array<{strategy: string, locator: string}>}
+     */
+    static _buildCandidates(fp) {
+        const quote = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        const candidates = [];
+
+        if (fp.id) candidates.push({ strategy: 'id', locator: `[id="${quote(fp.id)}"]` });
+        if (fp.testId) candidates.push({ strategy: 'data-testid', locator: `[data-testid="${quote(fp.testId)}"]` });
+        if (fp.name) candidates.push({ strategy: 'name', locator: `${fp.tag}[name="${quote(fp.name)}"]` });
+        if (fp.ariaLabel) {
+            candidates.push({ strategy: 'aria-label', locator: `${fp.tag}[aria-label="${quote(fp.ariaLabel)}"]` });
+        }
+        if (fp.placeholder) {
+            candidates.push({ strategy: 'placeholder', locator: `${fp.tag}[placeholder="${quote(fp.placeholder)}"]` });
+        }
+        if (fp.text && !fp.text.includes('"')) {
+            candidates.push({ strategy: 'text', locator: `//${fp.tag}[normalize-space()="${fp.text}"]` });
+        }
+        if (fp.relativeXPath) candidates.push({ strategy: 'position', locator: fp.relativeXPath });
+
+        return candidates;
+    }
+
+    /**
+     * Lazy-load the fingerprint store.
+     * @private
+     */
+    static _load() {
+        if (!this._fingerprints) {
+            this._fingerprints = this._readJson(this._storePath(), {});
+        }
+        return this._fingerprints;
+    }
+
+    /** @private */
+    static _storePath() {
+        const configured = ConfigResolver.get('SELF_HEALING_STORE');
+        return path.resolve(configured || path.join('.cache', REPORT_DIR_NAME, 'fingerprints.json'));
+    }
+
+    /** @private */
+    static _readJson(filePath, fallback) {
+        try {
+            return fs.existsSync(filePath) ? fs.readJsonSync(filePath) : fallback;
+        } catch (err) {
+            logger.warn(`Ignoring unreadable file ${filePath}: ${err.message}`);
+            return fallback;
+        }
+    }
+}
+
+module.exports = { SelfHealingLocator };
@@ -0,0 +1,395 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * VideoRecorder - Per-Scenario Screen Recording
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Records local Chrome / Edge / Firefox sessions scenario by scenario
+ * so a failure shows how the app got into its broken state, not only
+ * the final screenshot.
+ *
+ * Frames are captured in the browser's own screen stream:
+ *
+ *   Chrome / Edge — CDP `Page.startScreencast` through
+ *                   browser.getPuppeteer() (optional `puppeteer-core`)
+ *   Firefox, or Chrome without puppeteer-core — WebDriver BiDi
+ *                   `browsingContext.captureScreenshot`, VIDEO_FPS
+ *                   times a second
+ *
+ * and stitched into a WebM or MP4 with ffmpeg when the scenario ends.
+ * Videos of passing scenarios are discarded (VIDEO_KEEP=failed) unless
+ * the scenario is flaky: it passed after a failed attempt in the same
+ * worker, or it is quarantined.  Kept videos go to VIDEO_DIR
+ * and are attached to Allure and the Cucumber HTML report.
+ *
+ * Cloud (CLOUD_PROVIDER) and mobile sessions are not recorded — the
+ * providers record their own videos.
+ *
+ * Configuration:
+ *   VIDEO_ENABLE      — Record scenarios (default: false)
+ *   VIDEO_DIR         — Kept videos (default: videos)
+ *   VIDEO_FORMAT      — webm | mp4 (default: webm)
+ *   VIDEO_KEEP        — failed (failed + flaky) | all (default: failed)
+ *   VIDEO_FPS         — Output frame rate; BiDi capture rate (default: 5)
+ *   VIDEO_FFMPEG_PATH — ffmpeg binary (default: `ffmpeg-static`, else ffmpeg on PATH)
+ *
+ * @module VideoRecorder
+ * @example
+ * // Wired into the base hooks; standalone use:
+ * await VideoRecorder.start(world);
+ * // ... steps ...
+ * const video = await VideoRecorder.stop(result.passed);
+ * if (video) VideoRecorder.attach(video);
+ */
+
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const { Logger } = require('./Logger');
+const { ConfigResolver } = require('./ConfigResolver');
+const { FlakyTestTracker } = require('./FlakyTestTracker');
+const { DateHelper } = require('../helpers/DateHelper');
+
+const logger = Logger.getInstance('VideoRecorder');
+const execFileAsync = promisify(execFile);
+
+const FORMATS = {
+    webm: { mimeType: 'video/webm', codec: ['-c:v', 'libvpx-vp9', '-b:v', '0', '-crf', '40', '-deadline', 'realtime'] },
+    mp4: { mimeType: 'video/mp4', codec: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28'] },
+};
+
+/** Every frame is scaled and padded into this box so the encoder sees one size. */
+const FRAME_BOX = { width: 1280, height: 720 };
+
+const CHROMIUM_BROWSERS = ['chrome', 'chromium', 'msedge', 'microsoftedge'];
+const RECORDABLE_BROWSERS = [...CHROMIUM_BROWSERS, 'firefox'];
+
+/**
+ * Static, per-worker recorder; one scenario is recorded at a time.
+ *
+ * @class VideoRecorder
+ */
+class VideoRecorder {
+    // ─── Recording ────────────────────────────────────────────
+
+    /**
+     * @returns {boolean} True when VIDEO_ENABLE is on and the session is a local desktop Chrome / Edge / Firefox
+     */
+    static isEnabled() {
+        if (!ConfigResolver.getBool('VIDEO_ENABLE', false)) return false;
+        if (ConfigResolver.get('CLOUD_PROVIDER', '') || typeof browser === 'undefined' || browser.isMobile) {
+            return false;
+        }
+        const browserName = String(browser.capabilities.browserName || '').toLowerCase();
+        return RECORDABLE_BROWSERS.includes(browserName.replace(/\s+/g, ''));
+    }
+
+    /**
+     * Start recording a scenario.  Does nothing when recording is disabled;
+     * a capture that cannot start is logged, never thrown.
+     *
+     * @param {Object} world - Cucumber World passed to `beforeScenario` (`world.pickle`)
+     * @returns {Promise<boolean>} True if recording started
+     */
+    static async start(world) {
+        if (!this.isEnabled()) return false;
+        if (this._recording) await this.stop(true);
+
+        const { pickle } = world;
+        const framesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wdio-video-'));
+        const recording = {
+            id: pickle.id,
+            uri: pickle.uri,
+            name: pickle.name,
+            tags: (pickle.tags || []).map((t) => t.name),
+            framesDir,
+            frames: [],
+        };
+
+        try {
+            const browserName = String(browser.capabilities.browserName).toLowerCase().replace(/\s+/g, '');
+            if (CHROMIUM_BROWSERS.includes(browserName) && (await this._startScreencast(recording))) {
+                recording.source = 'cdp';
+            } else if (browser.isBidi) {
+                await this._startPolling(recording);
+                recording.source = 'bidi';
+            } else {
+                logger.warn('Video recording needs WebDriver BiDi (webSocketUrl: true) or puppeteer-core for Chrome');
+                await fs.remove(framesDir);
+                return false;
+            }
+        } catch (err) {
+            logger.warn(`Video recording not started: ${err.message}`);
+            await fs.remove(framesDir);
+            return false;
+        }
+
+        this._recording = recording;
+        logger.debug(`Recording "${recording.name}" (${recording.source})`);
+        return true;
+    }
+
+    /**
+     * Stop recording and keep or discard the video.
+     *
+     * @param {boolean} passed - Scenario result
+     * @returns {Promise<string|null>} Path of the kept video, or `null` when discarded / not recording
+     */
+    static async stop(passed) {
+        const recording = this._recording;
+        if (!recording) return null;
+        this._recording = null;
+
+        try {
+            await recording.stop();
+        } catch (err) {
+            logger.debug(`Stopping capture: ${err.message}`);
+        }
+        const stoppedAt = Date.now();
+
+        const keep = this._shouldKeep(recording, passed);
+        if (!passed) this._failedScenarios.add(recording.id);
+
+        try {
+            if (!keep || recording.frames.length === 0) return null;
+            const format = this._format();
+            const file = path.join(
+                path.resolve(ConfigResolver.get('VIDEO_DIR', 'videos')),
+                `${recording.name.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 100)}_` +
+                    `${DateHelper.fileTimestamp()}.${format}`,
+            );
+            await this._encode(recording, stoppedAt, file, format);
+            logger.info(`Video saved: ${file}`);
+            return file;
+        } catch (err) {
+            logger.warn(`Video of "${recording.name}" not saved: ${err.message}`);
+            return null;
+        } finally {
+            await fs.remove(recording.framesDir).catch((err) => logger.debug(`Removing video frames: ${err.message}`));
+        }
+    }
+
+    /**
+     * Attach a video to Allure and the Cucumber HTML report.
+     *
+     * @param {string} videoPath
+     * @returns {void}
+     */
+    static attach(videoPath) {
+        const { mimeType } = FORMATS[path.extname(videoPath).slice(1)] || FORMATS.webm;
+        let video;
+        try {
+            video = fs.readFileSync(videoPath);
+        } catch (err) {
+            logger.warn(`Failed to attach video: ${err.message}`);
+            return;
+        }
+
+        try {
+            require('@wdio/allure-reporter').addAttachment(path.basename(videoPath), video, mimeType);
+        } catch (err) {
+            logger.debug(`Allure video attachment: ${err.message}`);
+        }
+        try {
+            // The Cucumber HTML report plays WebM inline; MP4 is offered as a download
+            const cucumberJson = require('wdio-cucumberjs-json-reporter').default;
+            cucumberJson.attach(video.toString('base64'), mimeType);
+        } catch (err) {
+            logger.warn(`Failed to attach video: ${err.message}`);
+        }
+    }
+
+    /**
+     * Forget failed-attempt history and drop a running capture without saving it.
+     *
+     * @returns {void}
+     */
+    static reset() {
+        this._recording = null;
+        this._failedScenarios = new Set();
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /** @private */
+    static _shouldKeep(recording, passed) {
+        if (ConfigResolver.get('VIDEO_KEEP', 'failed').toLowerCase() === 'all') return true;
+        if (!passed) return true;
+        // Flaky: passed on a retry, or known to be flaky
+        return (
+            this._failedScenarios.has(recording.id) ||
+            recording.tags.includes('@quarantine') ||
+            FlakyTestTracker.isQuarantined(recording.uri, recording.name)
+        );
+    }
+
+    /** @private */
+    static _format() {
+        const format = ConfigResolver.get('VIDEO_FORMAT', 'webm').toLowerCase();
+        if (!FORMATS[format]) {
+            throw new Error(`Unknown VIDEO_FORMAT "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+        }
+        return format;
+    }
+
+    /**
+     * CDP screencast — frames arrive when the page repaints.
+     * @private
+     * @returns {Promise<boolean>} False if puppeteer-core is not installed
+     */
+    static async _startScreencast(recording) {
+        let puppeteer;
+        try {
+            puppeteer = await browser.getPuppeteer();
+        } catch (err) {
+            logger.debug(`CDP screencast unavailable (${err.message}) — using BiDi screenshots`);
+            return false;
+        }
+        const pages = await puppeteer.pages();
+        const url = await browser.getUrl();
+        const page = pages.find((p) => p.url() === url) || pages[pages.length - 1];
+        const session = await page.createCDPSession();
+
+        session.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+            this._writeFrame(recording, Buffer.from(data, 'base64'), 'jpg', Math.round(metadata.timestamp * 1000));
+            session.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+        });
+        await session.send('Page.startScreencast', {
+            format: 'jpeg',
+            quality: 70,
+            maxWidth: FRAME_BOX.width,
+            maxHeight: FRAME_BOX.height,
+        });
+        recording.stop = async () => {
+            await session.send('Page.stopScreencast');
+            await session.detach();
+        };
+        return true;
+    }
+
+    /**
+     * BiDi screenshots at VIDEO_FPS — over the BiDi socket, so they don't
+     * queue behind the scenario's WebDriver commands.
+     * @private
+     */
+    static async _startPolling(recording) {
+        const interval = Math.round(1000 / Math.max(ConfigResolver.getInt('VIDEO_FPS', 5), 1));
+        let context = await browser.getWindowHandle();
+        let format = { type: 'image/jpeg', quality: 0.7 };
+        let running = true;
+        let pending = null;
+
+        const capture = async () => {
+            const capturedAt = Date.now();
+            try {
+                const { data } = await browser.browsingContextCaptureScreenshot({ context, format });
+                this._writeFrame(
+                    recording,
+                    Buffer.from(data, 'base64'),
+                    format.type === 'image/png' ? 'png' : 'jpg',
+                    capturedAt,
+                );
+            } catch (err) {
+                if (format.type === 'image/jpeg' && /format|jpeg|invalid argument/i.test(err.message)) {
+                    format = { type: 'image/png' };
+                } else {
+                    // The scenario may have switched tabs / windows
+                    context = await browser.getWindowHandle().catch(() => context);
+                }
+            }
+        };
+        // A tick is skipped while the previous screenshot is still on its way
+        const timer = setInterval(() => {
+            if (!running || pending) return;
+            pending = capture().finally(() => {
+                pending = null;
+            });
+        }, interval);
+
+        await capture();
+        recording.stop = async () => {
+            running = false;
+            clearInterval(timer);
+            await pending;
+        };
+    }
+
+    /** @private */
+    static _writeFrame(recording, image, extension, timestamp) {
+        const file = path.join(
+            recording.framesDir,
+            `frame-${String(recording.frames.length).padStart(6, '0')}.${extension}`,
+        );
+        fs.writeFileSync(file, image);
+        recording.frames.push({ file, timestamp });
+    }
+
+    /**
+     * Stitch the frames with ffmpeg's concat demuxer; each frame is shown
+     * until the next one arrived, the last one until the recording stopped.
+     * @private
+     */
+    static async _encode(recording, stoppedAt, outputFile, format) {
+        const { frames } = recording;
+        const lines = frames.flatMap((frame, i) => {
+            const next = i + 1 < frames.length ? frames[i + 1].timestamp : stoppedAt;
+            return [
+                `file '${frame.file.replace(/'/g, "'\\''")}'`,
+                `duration ${Math.max(next - frame.timestamp, 1) / 1000}`,
+            ];
+        });
+        // The concat demuxer ignores the duration of the last entry unless it is repeated
+        lines.push(`file '${frames[frames.length - 1].file.replace(/'/g, "'\\''")}'`);
+        const listFile = path.join(recording.framesDir, 'frames.txt');
+        fs.writeFileSync(listFile, `${lines.join('\n')}\n`);
+
+        const { width, height } = FRAME_BOX;
+        const fps = Math.max(ConfigResolver.getInt('VIDEO_FPS', 5), 1);
+        const ffmpeg = this._ffmpegPath();
+        await fs.ensureDir(path.dirname(outputFile));
+        await execFileAsync(
+            ffmpeg,
+            [
+                '-y',
+                '-loglevel',
+                'error',
+                '-f',
+                'concat',
+                '-safe',
+                '0',
+                '-i',
+                listFile,
+                '-vf',
+                `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+                    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,fps=${fps},format=yuv420p`,
+                ...FORMATS[format].codec,
+                outputFile,
+            ],
+            { timeout: 120000 },
+        ).catch((err) => {
+            if (err.code === 'ENOENT') {
+                throw new Error(
+                    `ffmpeg not found ("${ffmpeg}"). Install it: npm install ffmpeg-static, ` +
+                        'or set VIDEO_FFMPEG_PATH to an ffmpeg binary',
+                );
+            }
+            throw new Error(`ffmpeg failed: ${String(err.stderr || err.message).trim()}`);
+        });
+    }
+
+    /** @private */
+    static _ffmpegPath() {
+        const configured = ConfigResolver.get('VIDEO_FFMPEG_PATH', '');
+        if (configured) return configured;
+        try {
+            return require('ffmpeg-static');
+        } catch {
+            return 'ffmpeg';
+        }
+    }
+}
+
+VideoRecorder.reset();
+
+module.exports = { VideoRecorder };
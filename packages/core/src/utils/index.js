@@ -10,6 +10,13 @@ const { PerformanceTracker } = require('./PerformanceTracker');
 const { ReportBackupManager } = require('./ReportBackupManager');
 const { CustomDriverResolver } = require('./CustomDriverResolver');
 const { ConfigResolver } = require('./ConfigResolver');
+const { SelfHealingLocator } = require('./SelfHealingLocator');
+const { AccessibilityChecker } = require('./AccessibilityChecker');
+const { FlakyTestTracker } = require('./FlakyTestTracker');
+const { PerformanceHistory } = require('./PerformanceHistory');
+const { VideoRecorder } = require('./VideoRecorder');
+const { BrowserConsole } = require('./BrowserConsole');
+const { NetworkLog } = require('./NetworkLog');
 
 module.exports = {
     Logger,
@@ -20,4 +27,11 @@ module.exports = {
     ReportBackupManager,
     CustomDriverResolver,
     ConfigResolver,
+    SelfHealingLocator,
+    AccessibilityChecker,
+    FlakyTestTracker,
+    PerformanceHistory,
+    VideoRecorder,
+    BrowserConsole,
+    NetworkLog,
 };
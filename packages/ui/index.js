@@ -7,6 +7,8 @@
  *   • BasePage             — Full web page object (extends core AbstractBasePage)
  *   • BaseComponent        — Reusable UI component object
  *   • BrowserManager       — Advanced browser / window management
+ *   • NetworkMock          — Request interception & API stubbing
+ *   • AuthStateManager     — Save & restore logged-in browser sessions
  *   • ElementHelper        — Static element interaction utilities
  *   • ShadowDomResolver    — Automatic shadow DOM traversal
  *   • FrameManager         — Automatic iframe traversal
@@ -26,6 +28,8 @@ const core = require('@wdio-framework/core');
 const { BasePage } = require('./src/BasePage');
 const { BaseComponent } = require('./src/BaseComponent');
 const { BrowserManager } = require('./src/BrowserManager');
+const { NetworkMock } = require('./src/NetworkMock');
+const { AuthStateManager } = require('./src/AuthStateManager');
 const { ElementHelper } = require('./src/ElementHelper');
 const { ShadowDomResolver } = require('./src/ShadowDomResolver');
 const { FrameManager } = require('./src/FrameManager');
@@ -44,6 +48,8 @@ module.exports = {
     BasePage,
     BaseComponent,
     BrowserManager,
+    NetworkMock,
+    AuthStateManager,
     ElementHelper,
     ShadowDomResolver,
     FrameManager,
@@ -0,0 +1,389 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * AuthStateManager - Log In Once, Reuse the Browser Session
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Saves an authenticated browser session (cookies, localStorage and
+ * sessionStorage of the app origin) to a storage-state file, and
+ * restores it into later scenarios instead of driving the login UI
+ * again.  A state is created either by a UI login (any function,
+ * typically a LoginPage flow) or by logging in through ApiHelper.
+ *
+ * A UI login is saved only once it is confirmed to have worked — by
+ * the caller's `verify` check, an element only shown to logged-in
+ * users (AUTH_LOGGED_IN_SELECTOR) or a session cookie
+ * (AUTH_SESSION_COOKIE).  Without any check the session is used but
+ * not saved.  Credentials passed to login() are hashed into the state
+ * name, so a different password never restores another session.
+ *
+ * State files live in AUTH_STATE_DIR/<TEST_ENV>/<name>[-<hash>].json
+ * and are reused for AUTH_STATE_TTL_MINUTES.  They hold live session
+ * tokens — keep them out of version control (the default folder is
+ * ignored).  AUTH_STATE_ENABLE=false logs in every time.
+ *
+ * @module AuthStateManager
+ * @example
+ * const { AuthStateManager } = require('@wdio-framework/ui');
+ *
+ * // UI login the first time, restored session afterwards
+ * await AuthStateManager.login('standard_user', () => LoginPage.login('standard_user', 's3cret'), {
+ *     credentials: 's3cret',
+ *     verify: async () => !(await LoginPage.isDisplayed(LoginPage.passwordInput)),
+ * });
+ *
+ * // API login — no browser interaction at all
+ * await AuthStateManager.loginViaApi('standard_user', { payload: { username, password } });
+ * await AuthStateManager.restore('standard_user');
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { Logger, ConfigResolver, ApiHelper, Timeouts } = require('@wdio-framework/core');
+
+const logger = Logger.getInstance('AuthStateManager');
+
+/**
+ * Static helpers for saving and restoring authenticated browser state.
+ *
+ * @class AuthStateManager
+ */
+class AuthStateManager {
+    // ─── Login ────────────────────────────────────────────────
+
+    /**
+     * Restore a saved session, or run `loginFn` and — once the login is
+     * confirmed — save the session it creates.  A restored session gets the
+     * same check; one the server no longer accepts (logged out, timed out)
+     * is deleted and replaced by a fresh login.
+     *
+     * @param {string} name - State name, usually the username
+     * @param {function(): Promise<void>} loginFn - Performs the real login in the browser
+     * @param {Object} [options={}]
+     * @param {string} [options.credentials] - Password (or other secret) of the login; its hash is part
+     *   of the state name, so other credentials never restore this session
+     * @param {function(): Promise<boolean>} [options.verify] - True when the browser is logged in
+     *   (default: AUTH_LOGGED_IN_SELECTOR / AUTH_SESSION_COOKIE)
+     * @returns {Promise<boolean>} True if a saved session was restored, false if `loginFn` ran
+     * @throws {Error} If the login check fails after `loginFn` — nothing is saved.
+     */
+    static async login(name, loginFn, options = {}) {
+        const { credentials, verify } = options;
+        if (this.isEnabled() && (await this.restore(name, credentials))) {
+            try {
+                await this._verifyLogin(name, verify);
+                return true;
+            } catch {
+                logger.info(`Saved session of "${name}" is no longer valid — logging in again`);
+                await this._discard(name, credentials);
+            }
+        }
+        await loginFn();
+        if (!this.isEnabled()) return false;
+
+        const verified = await this._verifyLogin(name, verify);
+        if (verified) {
+            await this.save(name, credentials);
+        } else {
+            logger.warn(
+                `Session of "${name}" not saved: the login cannot be verified. Pass a verify check, ` +
+                    'or set AUTH_LOGGED_IN_SELECTOR or AUTH_SESSION_COOKIE.',
+            );
+        }
+        return false;
+    }
+
+    /**
+     * Log in through the API and save the resulting session as a state file
+     * (session cookies from `Set-Cookie`, and the token from the response body
+     * in localStorage when AUTH_TOKEN_STORAGE_KEY is set).  Restore it with
+     * {@link AuthStateManager.restore}.
+     *
+     * @param {string} name - State name, usually the username
+     * @param {Object} options
+     * @param {Object} options.payload - Login request body (e.g. `{ username, password }`)
+     * @param {string} [options.path] - Login endpoint (default: AUTH_LOGIN_API_PATH)
+     * @param {string} [options.baseURL] - API base URL (default: API_BASE_URL)
+     * @param {string} [options.tokenField='token'] - Dotted path of the token in the response body
+     * @param {string} [options.storageKey] - localStorage key for the token (default: AUTH_TOKEN_STORAGE_KEY)
+     * @returns {Promise<Object>} The saved state
+     * @throws {Error} If the login request does not succeed.
+     */
+    static async loginViaApi(name, options = {}) {
+        const {
+            payload,
+            path: loginPath = ConfigResolver.get('AUTH_LOGIN_API_PATH', '/auth/login'),
+            baseURL = ConfigResolver.get('API_BASE_URL'),
+            tokenField = 'token',
+            storageKey = ConfigResolver.get('AUTH_TOKEN_STORAGE_KEY', ''),
+        } = options;
+
+        const api = ApiHelper.create(baseURL);
+        const response = await api.post(loginPath, payload);
+        if (!response.isSuccess()) {
+            throw new Error(`API login for "${name}" failed: POST ${loginPath} → HTTP ${response.status}`);
+        }
+
+        const origin = this._appOrigin();
+        const cookieDomain = new URL(origin).hostname;
+        const cookies = []
+            .concat(response.headers['set-cookie'] || [])
+            .map((header) => this._parseSetCookie(header, cookieDomain));
+        const token = tokenField.split('.').reduce((node, key) => (node ? node[key] : undefined), response.data);
+
+        const localStorage = [];
+        if (storageKey) {
+            if (token === undefined) {
+                throw new Error(
+                    `API login for "${name}": no "${tokenField}" in the response body to store as "${storageKey}".`,
+                );
+            }
+            localStorage.push({ name: storageKey, value: typeof token === 'string' ? token : JSON.stringify(token) });
+        }
+        if (cookies.length === 0 && localStorage.length === 0) {
+            throw new Error(
+                `API login for "${name}" returned no session cookie, and AUTH_TOKEN_STORAGE_KEY is not set — ` +
+                    'nothing to restore into the browser.',
+            );
+        }
+
+        const state = {
+            createdAt: new Date().toISOString(),
+            origin,
+            url: origin,
+            cookies,
+            localStorage,
+            sessionStorage: [],
+        };
+        this._write(name, state);
+        logger.info(`Logged in "${name}" via API (${cookies.length} cookie(s))`);
+        return state;
+    }
+
+    // ─── Save / Restore ───────────────────────────────────────
+
+    /**
+     * Save the current browser session — cookies plus localStorage and
+     * sessionStorage of the current origin — as a state file.
+     *
+     * @param {string} name - State name, usually the username
+     * @param {string} [credentials] - See {@link AuthStateManager.login}
+     * @returns {Promise<Object>} The saved state
+     */
+    static async save(name, credentials) {
+        const snapshot = await browser.execute(() => {
+            const entries = (storage) =>
+                Object.keys(storage).map((key) => ({ name: key, value: storage.getItem(key) }));
+            return {
+                origin: window.location.origin,
+                url: window.location.href,
+                localStorage: entries(window.localStorage),
+                sessionStorage: entries(window.sessionStorage),
+            };
+        });
+        const cookies = await browser.getCookies();
+        const state = { createdAt: new Date().toISOString(), ...snapshot, cookies };
+        this._write(name, state, credentials);
+        logger.info(`Saved auth state "${name}" (${cookies.length} cookie(s), origin ${snapshot.origin})`);
+        return state;
+    }
+
+    /**
+     * Restore a saved session into the browser and open the page the session
+     * was saved on.
+     *
+     * @param {string} name - State name, usually the username
+     * @param {string} [credentials] - See {@link AuthStateManager.login}
+     * @returns {Promise<boolean>} False when there is no usable (existing, unexpired) state
+     */
+    static async restore(name, credentials) {
+        const state = this.load(name, credentials);
+        if (!state) return false;
+
+        // Cookies and storage can only be set for the page's own origin
+        await browser.url(state.origin);
+        for (const cookie of state.cookies) {
+            try {
+                await browser.setCookies(cookie);
+            } catch (err) {
+                logger.debug(`Skipping cookie "${cookie.name}" (${cookie.domain || 'no domain'}): ${err.message}`);
+            }
+        }
+        await browser.execute(
+            (local, session) => {
+                local.forEach((item) => window.localStorage.setItem(item.name, item.value));
+                session.forEach((item) => window.sessionStorage.setItem(item.name, item.value));
+            },
+            state.localStorage || [],
+            state.sessionStorage || [],
+        );
+        await browser.url(state.url || state.origin);
+        logger.info(`Restored auth state "${name}" (saved ${state.createdAt})`);
+        return true;
+    }
+
+    /**
+     * Read a state file if it exists and has not expired.
+     *
+     * @param {string} name
+     * @param {string} [credentials] - See {@link AuthStateManager.login}
+     * @returns {Object|null}
+     */
+    static load(name, credentials) {
+        const file = this.statePath(name, credentials);
+        if (!fs.existsSync(file)) return null;
+
+        let state;
+        try {
+            state = fs.readJsonSync(file);
+        } catch (err) {
+            logger.warn(`Ignoring unreadable auth state ${file}: ${err.message}`);
+            return null;
+        }
+        const ttlMinutes = ConfigResolver.getInt('AUTH_STATE_TTL_MINUTES', 30);
+        const ageMinutes = (Date.now() - new Date(state.createdAt).getTime()) / 60000;
+        if (ttlMinutes > 0 && !(ageMinutes < ttlMinutes)) {
+            logger.info(`Auth state "${name}" expired (${Math.round(ageMinutes)} min old) — logging in again`);
+            return null;
+        }
+        return state;
+    }
+
+    /**
+     * Delete the saved states of one user (e.g. after a password change) or all of them.
+     *
+     * @param {string} [name] - Omit to clear every state of the current environment
+     * @returns {void}
+     */
+    static clear(name) {
+        const dir = path.dirname(this.statePath('_'));
+        if (!name) {
+            fs.removeSync(dir);
+            return;
+        }
+        const base = path.basename(this.statePath(name), '.json');
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir)
+            .filter((file) => file.startsWith(base) && /^(-[0-9a-f]{16})?\.json$/.test(file.slice(base.length)))
+            .forEach((file) => fs.removeSync(path.join(dir, file)));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} [credentials] - Hashed into the file name when given
+     * @returns {string} Absolute path of the state file
+     */
+    static statePath(name, credentials) {
+        const dir = ConfigResolver.get('AUTH_STATE_DIR', '.cache/auth-state');
+        const env = ConfigResolver.get('TEST_ENV', 'dev');
+        const safeName = String(name).replace(/[^\w.@-]+/g, '_');
+        const hash =
+            credentials === undefined || credentials === null
+                ? ''
+                : `-${crypto.createHash('sha256').update(`${name}\0${credentials}`).digest('hex').substring(0, 16)}`;
+        return path.resolve(dir, env, `${safeName}${hash}.json`);
+    }
+
+    /**
+     * @returns {boolean} False when AUTH_STATE_ENABLE=false (always log in)
+     */
+    static isEnabled() {
+        return ConfigResolver.getBool('AUTH_STATE_ENABLE', true);
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /** Write atomically — parallel workers may save the same user. @private */
+    static _write(name, state, credentials) {
+        const file = this.statePath(name, credentials);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.outputJsonSync(tmp, state, { spaces: 2 });
+        fs.moveSync(tmp, file, { overwrite: true });
+    }
+
+    /**
+     * Did the login work?  The caller's check, else the configured element /
+     * cookie, waited for up to Timeouts.MEDIUM.
+     * @private
+     * @returns {Promise<boolean>} False when there is nothing to check with
+     * @throws {Error} If the check fails.
+     */
+    static async _verifyLogin(name, verify) {
+        const selector = ConfigResolver.get('AUTH_LOGGED_IN_SELECTOR', '');
+        const cookieName = ConfigResolver.get('AUTH_SESSION_COOKIE', '');
+        let check;
+        let expected;
+        if (verify) {
+            check = verify;
+            expected = 'the login check to pass';
+        } else if (selector) {
+            check = () => $(selector).isExisting();
+            expected = `"${selector}" (AUTH_LOGGED_IN_SELECTOR) on the page`;
+        } else if (cookieName) {
+            check = async () => (await browser.getCookies([cookieName])).length > 0;
+            expected = `a "${cookieName}" cookie (AUTH_SESSION_COOKIE)`;
+        } else {
+            return false;
+        }
+
+        const loggedIn = await browser
+            .waitUntil(check, { timeout: Timeouts.MEDIUM, interval: Timeouts.POLL_INTERVAL })
+            .catch(() => false);
+        if (!loggedIn) {
+            throw new Error(
+                `Login as "${name}" failed: expected ${expected} after logging in (URL: ${await browser.getUrl()}). ` +
+                    'Check the credentials — the session was not saved.',
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Delete a state file and the session it put into the browser.
+     * @private
+     */
+    static async _discard(name, credentials) {
+        fs.removeSync(this.statePath(name, credentials));
+        await browser.deleteCookies();
+        await browser.execute(() => {
+            window.localStorage.clear();
+            window.sessionStorage.clear();
+        });
+    }
+
+    /** @private */
+    static _appOrigin() {
+        const baseUrl =
+            (typeof browser !== 'undefined' && browser.options && browser.options.baseUrl) ||
+            ConfigResolver.get('BASE_URL');
+        return new URL(baseUrl).origin;
+    }
+
+    /**
+     * `Set-Cookie` header → WebDriver cookie object.
+     * @private
+     */
+    static _parseSetCookie(header, defaultDomain) {
+        const [pair, ...attributes] = header.split(';').map((part) => part.trim());
+        const eq = pair.indexOf('=');
+        const cookie = { name: pair.slice(0, eq), value: pair.slice(eq + 1), domain: defaultDomain, path: '/' };
+
+        for (const attribute of attributes) {
+            const [rawKey, ...rest] = attribute.split('=');
+            const key = rawKey.toLowerCase();
+            const value = rest.join('=');
+            if (key === 'domain') cookie.domain = value.replace(/^\./, '');
+            else if (key === 'path') cookie.path = value;
+            else if (key === 'secure') cookie.secure = true;
+            else if (key === 'httponly') cookie.httpOnly = true;
+            else if (key === 'samesite') cookie.sameSite = value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+            else if (key === 'max-age') cookie.expiry = Math.floor(Date.now() / 1000) + parseInt(value, 10);
+            else if (key === 'expires' && cookie.expiry === undefined && !Number.isNaN(Date.parse(value))) {
+                cookie.expiry = Math.floor(Date.parse(value) / 1000);
+            }
+        }
+        return cookie;
+    }
+}
+
+module.exports = { AuthStateManager };
@@ -23,7 +23,7 @@
  * const logoText = await header.getText('.logo');
  */
 
-const { Logger, Timeouts } = require('@wdio-framework/core');
+const { Logger, Timeouts, AccessibilityChecker } = require('@wdio-framework/core');
 const { ShadowDomResolver } = require('./ShadowDomResolver');
 
 /**
@@ -150,6 +150,17 @@ class BaseComponent {
         const elements = await this.root.$$(childSelector);
         return elements.length;
     }
+
+    /**
+     * Run an axe-core audit scoped to this component and fail on blocking violations.
+     *
+     * @param {Object} [options]  See `AccessibilityChecker.assertNoViolations` (`wcagLevel`, `failOn`, `exclude`, …)
+     * @returns {Promise<Object>} The audit result
+     * @throws {Error} If violations at or above the fail threshold are found
+     */
+    async checkAccessibility(options = {}) {
+        return AccessibilityChecker.assertNoViolations({ name: this.constructor.name, ...options, scope: this });
+    }
 }
 
 module.exports = { BaseComponent };
@@ -10,6 +10,9 @@
  *   • Frame & window/tab management
  *   • Alert/dialog handling
  *   • Cookie & Web Storage management
+ *   • Saved login sessions via AuthStateManager (`this.authenticate()`)
+ *   • Network mocking via NetworkMock (`this.network`)
+ *   • Accessibility audits via AccessibilityChecker
  *
  * Application page objects for web testing should extend this class:
  *   const { BasePage } = require('@wdio-framework/ui');
@@ -17,9 +20,11 @@
  * ═══════════════════════════════════════════════════════════════════════
  */
 
-const { AbstractBasePage, Logger, Timeouts } = require('@wdio-framework/core');
+const { AbstractBasePage, AccessibilityChecker, Logger, Timeouts } = require('@wdio-framework/core');
 const { ShadowDomResolver } = require('./ShadowDomResolver');
 const { FrameManager } = require('./FrameManager');
+const { NetworkMock } = require('./NetworkMock');
+const { AuthStateManager } = require('./AuthStateManager');
 
 /**
  * @class BasePage
@@ -493,6 +498,75 @@ class BasePage extends AbstractBasePage {
         return browser.execute((k) => sessionStorage.getItem(k), key);
     }
 
+    // ─── Authentication State ─────────────────────────────────
+
+    /**
+     * Start the scenario logged in as `name`: restore the session saved by an
+     * earlier scenario, or run `loginFn` once and save the session it creates
+     * (cookies, localStorage and sessionStorage) for the next ones — once
+     * the login is confirmed.
+     *
+     * @param {string} name - State name, usually the username.
+     * @param {function(): Promise<void>} loginFn - Performs the real login (e.g. through the login form).
+     * @param {Object} [options] - `credentials` and `verify`, see {@link AuthStateManager.login}.
+     * @returns {Promise<boolean>} `true` if a saved session was restored, `false` if `loginFn` ran.
+     * @throws {Error} If the login check fails after `loginFn`.
+     * @example
+     * class LoginPage extends BasePage {
+     *   async loginAs(username, password) {
+     *     return this.authenticate(
+     *       username,
+     *       async () => {
+     *         await this.open();
+     *         await this.login(username, password);
+     *       },
+     *       { credentials: password, verify: async () => !(await this.isDisplayed(this.passwordInput)) },
+     *     );
+     *   }
+     * }
+     */
+    async authenticate(name, loginFn, options = {}) {
+        return AuthStateManager.login(name, loginFn, options);
+    }
+
+    // ─── Network Mocking ──────────────────────────────────────
+
+    /**
+     * Shared {@link NetworkMock} for stubbing the API calls this page makes.
+     * Mocks registered through it are restored after every scenario.
+     *
+     * @type {NetworkMock}
+     * @example
+     * class CartPage extends BasePage {
+     *   async openWithEmptyCart() {
+     *     await this.network.mockGraphQL('GetCart', { fixture: 'graphql/cart-empty.json' });
+     *     await this.open();
+     *   }
+     * }
+     */
+    get network() {
+        return NetworkMock.getInstance();
+    }
+
+    // ─── Accessibility ────────────────────────────────────────
+
+    /**
+     * Run an axe-core audit of the current page and fail on violations at or
+     * above the configured impact (`A11Y_FAIL_ON`).  The result is attached to
+     * the report and saved under `A11Y_REPORT_DIR`.
+     *
+     * @param {Object} [options={}] - See `AccessibilityChecker.assertNoViolations`
+     *   (`scope`, `wcagLevel`, `failOn`, `exclude`, `disableRules`).
+     * @returns {Promise<Object>} The audit result.
+     * @throws {Error} If blocking violations are found.
+     * @example
+     * await checkoutPage.checkAccessibility();
+     * await checkoutPage.checkAccessibility({ exclude: ['#third-party-chat'], failOn: 'critical' });
+     */
+    async checkAccessibility(options = {}) {
+        return AccessibilityChecker.assertNoViolations({ name: this.constructor.name, ...options });
+    }
+
     // ─── Internal Helpers (override) ──────────────────────────
 
     /**
@@ -504,8 +578,11 @@ class BasePage extends AbstractBasePage {
      *   3. Standard `$(selector)` in the current context
      *   4. (auto) If not found & `autoResolveShadowDom` is `true` — deep-search all shadow roots
      *   5. (auto) If not found & `autoResolveFrames` is `true` — search all iframes
+     *   6. (auto) If still not found after `this.timeout` & `SELF_HEALING_ENABLE=true` — fall back
+     *      to a locator built from the element's last known fingerprint (see `SelfHealingLocator`)
      *
      * @param {WebdriverIO.Element|string} element - A WebdriverIO element, a CSS/XPath selector string, or a deep shadow selector (containing `>>>`).
+     * @param {Object} [options={}] - Self-healing options, see {@link _healElement}.
      * @returns {Promise<WebdriverIO.Element>} The resolved WebdriverIO element ready for interaction.
      * @throws {Error} Throws if all resolution strategies fail and the element reference is stale or invalid.
      * @example
@@ -516,9 +593,9 @@ class BasePage extends AbstractBasePage {
      * // Deep shadow DOM selector
      * const el = await this._resolveElement('my-component >>> .inner-button');
      */
-    async _resolveElement(element) {
+    async _resolveElement(element, options = {}) {
         if (typeof element !== 'string') {
-            return element;
+            return this._healElement(await element, options);
         }
 
         // ── Deep shadow selector (explicit `>>>`) ──
@@ -531,7 +608,7 @@ class BasePage extends AbstractBasePage {
         const el = await $(element);
         const exists = await el.isExisting().catch(() => false);
         if (exists) {
-            return el;
+            return this._healElement(el, options);
         }
 
         // ── Auto Shadow DOM fallback ──
@@ -563,8 +640,9 @@ class BasePage extends AbstractBasePage {
             }
         }
 
-        // Return the cached element (will fail naturally on interaction)
-        return el;
+        // ── Self-healing fallback (returns the cached element if nothing matches,
+        //    so it still fails naturally on interaction) ──
+        return this._healElement(el, options);
     }
 }
 
@@ -0,0 +1,448 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * NetworkMock - Request Interception & API Stubbing
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Thin layer over WebdriverIO's `browser.mock()` (WebDriver BiDi)
+ * that lets page objects and step definitions stub REST and
+ * GraphQL endpoints from JSON fixtures, simulate failures, and
+ * assert which requests the application sent.
+ *
+ * Fixtures are resolved relative to MOCK_FIXTURES_DIR
+ * (default: test/data/mocks).  Every mock registered through this
+ * class is tracked and removed by `restoreAll()`, which the common
+ * network steps call after each scenario.
+ *
+ * @module NetworkMock
+ * @example
+ * const { NetworkMock } = require('@wdio-framework/ui');
+ *
+ * const network = NetworkMock.getInstance();
+ * await network.mockRest('**\/api/users', { fixture: 'users.json' });
+ * await network.mockGraphQL('GetCart', { data: { cart: { items: [] } } });
+ * await network.mockError('**\/api/orders', { method: 'POST', status: 503 });
+ * network.assertCalled('**\/api/orders', { method: 'POST', payload: { sku: 'A-1' } });
+ * await network.restoreAll();
+ */
+
+const path = require('path');
+const { Logger, ConfigResolver, FileHelper } = require('@wdio-framework/core');
+
+/**
+ * @class NetworkMock
+ * @description Singleton that registers `browser.mock()` interceptions, keeps track of them
+ * by URL pattern, and exposes call inspection / assertion helpers.
+ *
+ * URL patterns use WebdriverIO glob syntax (e.g. `**\/api/users*`).  The same pattern
+ * string (plus method) used to register a mock is used to look it up later.
+ *
+ * Use the static {@link NetworkMock.getInstance} method to obtain the shared instance,
+ * or the `network` getter on {@link BasePage}.
+ */
+class NetworkMock {
+    constructor() {
+        this.logger = Logger.getInstance('NetworkMock');
+
+        /** @private @type {Map<string, {pattern: string, method: string|null, mock: WebdriverIO.Mock}>} */
+        this._mocks = new Map();
+    }
+
+    // ─── Stubbing ─────────────────────────────────────────────
+
+    /**
+     * Stub a REST endpoint with a static response.
+     *
+     * @param {string} urlPattern - URL glob to intercept (e.g. `'**\/api/users'`).
+     * @param {Object} [options={}]
+     * @param {string} [options.method] - Only intercept this HTTP method (default: any).
+     * @param {number} [options.status=200] - Response status code.
+     * @param {*} [options.body] - Response body (object → JSON, string → raw).
+     * @param {string} [options.fixture] - Fixture file under MOCK_FIXTURES_DIR; overrides `body`.
+     * @param {Object} [options.headers] - Extra response headers.
+     * @param {boolean} [options.once=false] - Respond only to the next matching request.
+     * @returns {Promise<WebdriverIO.Mock>} The underlying WDIO mock.
+     * @example
+     * await network.mockRest('**\/api/users', { fixture: 'users.json' });
+     * await network.mockRest('**\/api/users/42', { method: 'DELETE', status: 204, body: '' });
+     */
+    async mockRest(urlPattern, options = {}) {
+        const { method, status = 200, headers = {}, once = false } = options;
+        const body = options.fixture ? this.loadFixture(options.fixture) : options.body;
+
+        const mock = await this._register(urlPattern, method);
+        const params = { statusCode: status, headers: this._headersFor(body, headers) };
+        if (once) {
+            mock.respondOnce(body ?? '', params);
+        } else {
+            mock.respond(body ?? '', params);
+        }
+
+        this.logger.info(
+            `Mocked ${this._label(urlPattern, method)} → ${status}${options.fixture ? ` (${options.fixture})` : ''}`,
+        );
+        return mock;
+    }
+
+    /**
+     * Stub a GraphQL operation.  Only POST requests whose body carries the given
+     * `operationName` (or whose query names that operation) are intercepted, so
+     * several operations can be mocked on the same endpoint.
+     *
+     * @param {string} operationName - GraphQL operation name (e.g. `'GetCart'`).
+     * @param {Object} [options={}]
+     * @param {Object} [options.data] - `data` field of the response.
+     * @param {Object[]} [options.errors] - `errors` field of the response.
+     * @param {string} [options.fixture] - Fixture holding the full response; overrides `data`/`errors`.
+     * @param {number} [options.status=200] - Response status code.
+     * @param {string} [options.url='**\/graphql'] - GraphQL endpoint pattern.
+     * @param {boolean} [options.once=false] - Respond only to the next matching request.
+     * @returns {Promise<WebdriverIO.Mock>} The underlying WDIO mock.
+     * @example
+     * await network.mockGraphQL('GetCart', { fixture: 'graphql/cart-empty.json' });
+     * await network.mockGraphQL('PlaceOrder', { errors: [{ message: 'Out of stock' }] });
+     */
+    async mockGraphQL(operationName, options = {}) {
+        const { status = 200, url = '**/graphql', once = false } = options;
+        let body = options.fixture ? this.loadFixture(options.fixture) : null;
+        if (!body) {
+            body = {};
+            if (options.data !== undefined) body.data = options.data;
+            if (options.errors !== undefined) body.errors = options.errors;
+            if (Object.keys(body).length === 0) body.data = null;
+        }
+
+        const key = this._key(url, 'POST', operationName);
+        const mock = await this._register(url, 'POST', {
+            key,
+            postData: (postData) => NetworkMock._matchesOperation(postData, operationName),
+        });
+        const params = { statusCode: status, headers: this._headersFor(body, {}) };
+        if (once) {
+            mock.respondOnce(body, params);
+        } else {
+            mock.respond(body, params);
+        }
+
+        this.logger.info(`Mocked GraphQL operation "${operationName}" on ${url} → ${status}`);
+        return mock;
+    }
+
+    /**
+     * Make an endpoint fail with an HTTP error status.
+     *
+     * @param {string} urlPattern - URL glob to intercept.
+     * @param {Object} [options={}]
+     * @param {number} [options.status=500] - Error status code.
+     * @param {*} [options.body] - Error body (default: `{ error: 'Mocked <status> response' }`).
+     * @param {string} [options.method] - Only intercept this HTTP method.
+     * @param {boolean} [options.once=false] - Fail only the next matching request.
+     * @returns {Promise<WebdriverIO.Mock>}
+     * @example
+     * await network.mockError('**\/api/orders', { method: 'POST', status: 503 });
+     */
+    async mockError(urlPattern, options = {}) {
+        const { status = 500, method, once = false } = options;
+        const body = options.body !== undefined ? options.body : { error: `Mocked ${status} response` };
+        return this.mockRest(urlPattern, { method, status, body, once });
+    }
+
+    /**
+     * Abort matching requests at the network level (simulates offline /
+     * connection reset).
+     *
+     * @param {string} urlPattern - URL glob to intercept.
+     * @param {Object} [options={}]
+     * @param {string} [options.method] - Only abort this HTTP method.
+     * @param {boolean} [options.once=false] - Abort only the next matching request.
+     * @returns {Promise<WebdriverIO.Mock>}
+     * @example
+     * await network.abort('**\/cdn.example.com/**');
+     */
+    async abort(urlPattern, options = {}) {
+        const { method, once = false } = options;
+        const mock = await this._register(urlPattern, method);
+        mock.abort(once);
+        this.logger.info(`Aborting ${this._label(urlPattern, method)}${once ? ' (once)' : ''}`);
+        return mock;
+    }
+
+    /**
+     * Spy on an endpoint without changing its response, so calls can be
+     * asserted with {@link NetworkMock#assertCalled}.
+     *
+     * @param {string} urlPattern - URL glob to observe.
+     * @param {Object} [options={}]
+     * @param {string} [options.method] - Only record this HTTP method.
+     * @returns {Promise<WebdriverIO.Mock>}
+     * @example
+     * await network.spy('**\/api/analytics', { method: 'POST' });
+     */
+    async spy(urlPattern, options = {}) {
+        const mock = await this._register(urlPattern, options.method);
+        this.logger.debug(`Spying on ${this._label(urlPattern, options.method)}`);
+        return mock;
+    }
+
+    // ─── Inspection & Assertions ──────────────────────────────
+
+    /**
+     * Return the requests captured for a URL pattern (across all methods
+     * registered for it unless `method` is given).
+     *
+     * @param {string} urlPattern - Pattern used when the mock was registered.
+     * @param {Object} [options={}]
+     * @param {string} [options.method] - Only return calls with this HTTP method.
+     * @returns {Array<{url: string, method: string, headers: Object, payload: *}>}
+     * @throws {Error} If no mock or spy was registered for the pattern.
+     * @example
+     * const calls = network.getCalls('**\/api/orders', { method: 'POST' });
+     * console.log(calls[0].payload);
+     */
+    getCalls(urlPattern, options = {}) {
+        const entries = [...this._mocks.values()].filter((entry) => entry.pattern === urlPattern);
+        if (entries.length === 0) {
+            throw new Error(
+                `No network mock registered for "${urlPattern}". ` +
+                    'Register one with mockRest(), mockGraphQL(), mockError(), abort() or spy() first.',
+            );
+        }
+
+        const wanted = options.method ? options.method.toUpperCase() : null;
+        const seen = new Set();
+        const calls = [];
+        for (const { mock } of entries) {
+            for (const call of mock.calls) {
+                const request = call.request || call;
+                const id = request.request || `${request.method} ${request.url} ${calls.length}`;
+                if (seen.has(id)) continue;
+                seen.add(id);
+
+                const method = (request.method || '').toUpperCase();
+                if (wanted && method !== wanted) continue;
+                calls.push({
+                    url: request.url,
+                    method,
+                    headers: NetworkMock._headersToObject(request.headers),
+                    payload: NetworkMock._parsePayload(call.postData),
+                });
+            }
+        }
+        return calls;
+    }
+
+    /**
+     * Assert that an endpoint was called.  When `payload` is an object, every
+     * key in it must be present (deep-equal) in at least one request body;
+     * a string payload must match the raw body exactly.
+     *
+     * @param {string} urlPattern - Pattern used when the mock was registered.
+     * @param {Object} [options={}]
+     * @param {string} [options.method] - Required HTTP method.
+     * @param {Object|string} [options.payload] - Expected (partial) request body.
+     * @param {number} [options.times] - Exact number of matching calls expected.
+     * @returns {Array<Object>} The matching calls.
+     * @throws {Error} Describing the expected vs. recorded calls when the assertion fails.
+     * @example
+     * network.assertCalled('**\/api/orders', { method: 'POST', payload: { sku: 'A-1' }, times: 1 });
+     */
+    assertCalled(urlPattern, options = {}) {
+        const { method, payload, times } = options;
+        const calls = this.getCalls(urlPattern, { method });
+        const matching =
+            payload === undefined ? calls : calls.filter((call) => NetworkMock._payloadMatches(call.payload, payload));
+
+        const failed = times === undefined ? matching.length === 0 : matching.length !== times;
+        if (failed) {
+            const expected = [
+                times === undefined ? 'at least 1 call' : `${times} call(s)`,
+                `to ${this._label(urlPattern, method)}`,
+                payload !== undefined ? `with payload ${JSON.stringify(payload)}` : '',
+            ]
+                .filter(Boolean)
+                .join(' ');
+            const recorded = calls.length
+                ? calls.map((c) => `  ${c.method} ${c.url} ${JSON.stringify(c.payload)}`).join('\n')
+                : '  (none)';
+            throw new Error(`Expected ${expected}, but ${matching.length} matched.\nRecorded calls:\n${recorded}`);
+        }
+        return matching;
+    }
+
+    /**
+     * Assert that an endpoint was never called.
+     *
+     * @param {string} urlPattern - Pattern used when the mock was registered.
+     * @param {Object} [options={}]
+     * @param {string} [options.method] - Only consider this HTTP method.
+     * @returns {void}
+     * @throws {Error} If at least one matching call was recorded.
+     */
+    assertNotCalled(urlPattern, options = {}) {
+        const calls = this.getCalls(urlPattern, options);
+        if (calls.length > 0) {
+            throw new Error(
+                `Expected no calls to ${this._label(urlPattern, options.method)}, but ${calls.length} were made:\n` +
+                    calls.map((c) => `  ${c.method} ${c.url}`).join('\n'),
+            );
+        }
+    }
+
+    // ─── Fixtures ─────────────────────────────────────────────
+
+    /**
+     * Load a fixture from MOCK_FIXTURES_DIR.  `.json` files are parsed;
+     * anything else is returned as text.
+     *
+     * @param {string} name - File name relative to MOCK_FIXTURES_DIR (or an absolute path).
+     * @returns {Object|Array|string}
+     * @throws {Error} If the fixture file does not exist.
+     */
+    loadFixture(name) {
+        const dir = path.resolve(ConfigResolver.get('MOCK_FIXTURES_DIR', 'test/data/mocks'));
+        const filePath = path.isAbsolute(name) ? name : path.join(dir, name);
+        if (!FileHelper.exists(filePath)) {
+            throw new Error(`Mock fixture not found: ${filePath}. Add it under ${dir} or set MOCK_FIXTURES_DIR.`);
+        }
+        return path.extname(filePath).toLowerCase() === '.json'
+            ? FileHelper.readJSON(filePath)
+            : FileHelper.readFile(filePath);
+    }
+
+    // ─── Cleanup ──────────────────────────────────────────────
+
+    /**
+     * Remove every mock registered through this instance.  Called after
+     * each scenario by the common network steps.
+     *
+     * @returns {Promise<void>}
+     */
+    async restoreAll() {
+        if (this._mocks.size === 0) return;
+        for (const { mock } of this._mocks.values()) {
+            try {
+                await mock.restore();
+            } catch (err) {
+                this.logger.warn(`Restoring mock failed: ${err.message}`);
+            }
+        }
+        this.logger.debug(`Restored ${this._mocks.size} network mock(s)`);
+        this._mocks.clear();
+    }
+
+    // ─── Private ──────────────────────────────────────────────
+
+    /**
+     * Create (or reuse) the WDIO mock for a pattern/method pair.  Re-registering
+     * the same pair resets its previous response so the new one takes effect.
+     * @private
+     */
+    async _register(urlPattern, method, { key, postData } = {}) {
+        const upper = method ? method.toUpperCase() : null;
+        const mapKey = key || this._key(urlPattern, upper);
+
+        const existing = this._mocks.get(mapKey);
+        if (existing) {
+            existing.mock.reset();
+            return existing.mock;
+        }
+
+        const filter = {};
+        if (upper) filter.method = upper;
+        if (postData) filter.postData = postData;
+
+        const mock = await browser.mock(urlPattern, filter);
+        this._mocks.set(mapKey, { pattern: urlPattern, method: upper, mock });
+        return mock;
+    }
+
+    /** @private */
+    _key(urlPattern, method, operationName = '') {
+        return `${method || '*'} ${urlPattern}${operationName ? ` #${operationName}` : ''}`;
+    }
+
+    /** @private */
+    _label(urlPattern, method) {
+        return method ? `${method.toUpperCase()} ${urlPattern}` : urlPattern;
+    }
+
+    /** @private */
+    _headersFor(body, headers) {
+        const isJson = body !== null && typeof body === 'object' && !Buffer.isBuffer(body);
+        return isJson ? { 'Content-Type': 'application/json', ...headers } : { ...headers };
+    }
+
+    /**
+     * Check whether a GraphQL request body targets the given operation.
+     * @private
+     */
+    static _matchesOperation(postData, operationName) {
+        const body = NetworkMock._parsePayload(postData);
+        const operations = Array.isArray(body) ? body : [body];
+        return operations.some((op) => {
+            if (!op || typeof op !== 'object') return false;
+            if (op.operationName) return op.operationName === operationName;
+            return new RegExp(`\\b(query|mutation|subscription)\\s+${operationName}\\b`).test(op.query || '');
+        });
+    }
+
+    /** @private */
+    static _parsePayload(postData) {
+        if (postData === undefined || postData === null || postData === '') return null;
+        try {
+            return JSON.parse(postData);
+        } catch {
+            return postData;
+        }
+    }
+
+    /** @private */
+    static _headersToObject(headers) {
+        if (!Array.isArray(headers)) return headers || {};
+        return headers.reduce((acc, h) => {
+            acc[h.name.toLowerCase()] = h.value && h.value.value !== undefined ? h.value.value : h.value;
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Deep partial match: every key in `expected` must equal the value in `actual`.
+     * @private
+     */
+    static _payloadMatches(actual, expected) {
+        if (expected === null || typeof expected !== 'object') {
+            if (typeof expected === 'string' && typeof actual !== 'string') {
+                return JSON.stringify(actual) === expected;
+            }
+            return actual === expected;
+        }
+        if (actual === null || typeof actual !== 'object') return false;
+        if (Array.isArray(expected)) {
+            return (
+                Array.isArray(actual) &&
+                actual.length === expected.length &&
+                expected.every((item, i) => NetworkMock._payloadMatches(actual[i], item))
+            );
+        }
+        return Object.keys(expected).every((k) => NetworkMock._payloadMatches(actual[k], expected[k]));
+    }
+
+    // ─── Singleton ────────────────────────────────────────────
+
+    /**
+     * Get or create the singleton `NetworkMock` instance.
+     *
+     * @static
+     * @returns {NetworkMock} The shared `NetworkMock` singleton instance.
+     * @example
+     * const network = NetworkMock.getInstance();
+     * await network.mockRest('**\/api/users', { fixture: 'users.json' });
+     */
+    static getInstance() {
+        if (!NetworkMock._instance) {
+            NetworkMock._instance = new NetworkMock();
+        }
+        return NetworkMock._instance;
+    }
+}
+
+module.exports = { NetworkMock };
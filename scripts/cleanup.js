@@ -11,14 +11,24 @@ const ROOT = process.cwd();
 
 const dirsToClean = ['reports', 'screenshots', 'videos', 'logs', 'tmp', 'downloads'];
 
+// Run history feeds flaky-test detection and the performance trend — keep it across cleanups
+const HISTORY_DIR = path.join(ROOT, 'reports', 'history');
+
 console.log('Cleaning up artifacts...');
 
 dirsToClean.forEach((dir) => {
     const fullPath = path.join(ROOT, dir);
     if (fs.existsSync(fullPath)) {
-        fs.rmSync(fullPath, { recursive: true, force: true });
-        fs.mkdirSync(fullPath, { recursive: true });
-        console.log(`  ✓ Cleaned: ${dir}/`);
+        const keepHistory = dir === 'reports' && fs.existsSync(HISTORY_DIR);
+        if (keepHistory) {
+            fs.readdirSync(fullPath)
+                .filter((entry) => entry !== 'history')
+                .forEach((entry) => fs.rmSync(path.join(fullPath, entry), { recursive: true, force: true }));
+        } else {
+            fs.rmSync(fullPath, { recursive: true, force: true });
+            fs.mkdirSync(fullPath, { recursive: true });
+        }
+        console.log(`  ✓ Cleaned: ${dir}/${keepHistory ? ' (kept history/)' : ''}`);
     }
 });
 
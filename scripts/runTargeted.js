@@ -11,6 +11,16 @@
  *   node scripts/runTargeted.js
  *   node scripts/runTargeted.js --matrix test/data/execution-matrix.xlsx
  *   node scripts/runTargeted.js --matrix test/data/execution-matrix.json --env staging
+ *   node scripts/runTargeted.js --shard=2/4          # CI node 2 of 4 (with or without a matrix)
+ *
+ * --shard splits the feature files into shards of about equal run
+ * time, using scenario durations from earlier cucumber-json reports
+ * (SHARD_DURATIONS_DIR, default reports/cucumber-json).  Give every
+ * node the same reports so they compute the same split.
+ *
+ * After the run, the results are written back into the matrix
+ * (LastStatus, LastRun, Duration, FailureReason columns) unless
+ * EXECUTION_MATRIX_WRITE_RESULTS=false.
  *
  * Environment variables:
  *   EXECUTION_MATRIX  — path to matrix file
@@ -24,11 +34,14 @@ const { execFileSync } = require('child_process');
 // Parse CLI arguments
 const args = process.argv.slice(2);
 const getArg = (name) => {
+    const inline = args.find((a) => a.startsWith(`--${name}=`));
+    if (inline) return inline.slice(name.length + 3);
     const idx = args.indexOf(`--${name}`);
     return idx !== -1 && args[idx + 1] ? args[idx + 1] : null;
 };
 
 const matrixPath = getArg('matrix') || process.env.EXECUTION_MATRIX || '';
+const shard = getArg('shard');
 
 let _env, _browser;
 try {
@@ -47,7 +60,7 @@ console.log('══════════════════════
 console.log(' Targeted Test Execution');
 console.log('═══════════════════════════════════════════════');
 
-if (!matrixPath) {
+if (!matrixPath && !shard) {
     console.log('No execution matrix specified.');
     console.log('Running all tests with default configuration...');
     console.log('');
@@ -68,6 +81,15 @@ if (!matrixPath) {
 // Load the filter
 const { TestExecutionFilter } = require('@wdio-framework/core');
 
+if (shard) {
+    try {
+        TestExecutionFilter.parseShard(shard);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
 const filter = new TestExecutionFilter(matrixPath);
 filter.load();
 
@@ -75,22 +97,32 @@ const overrides = {};
 if (env) overrides.env = env;
 if (browserArg) overrides.browser = browserArg;
 
-const targeted = filter.getTargetedRows(overrides);
-console.log(`Matrix loaded: ${matrixPath}`);
-console.log(`Targeted rows: ${targeted.length}`);
+if (matrixPath) {
+    const targeted = filter.getTargetedRows(overrides);
+    console.log(`Matrix loaded: ${matrixPath}`);
+    console.log(`Targeted rows: ${targeted.length}`);
 
-if (targeted.length === 0) {
-    console.log('No tests matched the current filter. Exiting.');
-    process.exit(0);
+    if (targeted.length === 0) {
+        console.log('No tests matched the current filter. Exiting.');
+        process.exit(0);
+    }
+} else {
+    console.log('No execution matrix specified — sharding all feature files.');
 }
 
 const tagExpression = filter.getTargetedTagExpression(overrides);
-const specs = filter.getTargetedSpecs(overrides);
+const specs = filter.getTargetedSpecs(shard ? { ...overrides, shard } : overrides);
 
 console.log(`Tag expression: ${tagExpression || '(none)'}`);
+if (shard) console.log(`Shard: ${shard}`);
 console.log(`Feature files: ${specs.length}`);
 console.log('═══════════════════════════════════════════════\n');
 
+if (specs.length === 0) {
+    console.log(`Shard ${shard} has no feature files (fewer files than shards). Nothing to run.`);
+    process.exit(0);
+}
+
 // Build WDIO command (shell-safe: no string interpolation)
 const wdioArgs = ['wdio', 'run', configPath];
 if (tagExpression) {
@@ -104,7 +136,9 @@ if (specs.length > 0) {
 
 console.log(`> npx ${wdioArgs.join(' ')}\n`);
 try {
-    execFileSync('npx', wdioArgs, { stdio: 'inherit', shell: false });
+    // onComplete writes the results back into this matrix
+    const childEnv = matrixPath ? { ...process.env, EXECUTION_MATRIX: path.resolve(matrixPath) } : process.env;
+    execFileSync('npx', wdioArgs, { stdio: 'inherit', shell: false, env: childEnv });
 } catch (err) {
     // execFileSync throws on non-zero exit — propagate the exit code
     process.exit(err.status || 1);
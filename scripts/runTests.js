@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * Test Runner — Blocking Run, Reruns + Non-Blocking Quarantine Pass
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Runs WDIO in passes:
+ *   1. Every scenario except quarantined ones.
+ *   2. Scenarios that failed in the previous pass, again, up to
+ *      RERUN_MAX_ATTEMPTS times (`--spec <feature>:<line>`).  The
+ *      exit code of the last blocking pass is the build result.
+ *   3. Only quarantined scenarios (skipped when none exist) —
+ *      results are reported and recorded in the flaky history,
+ *      but failures never fail the build.
+ *
+ * Afterwards the results are merged: every scenario appears once in
+ * the cucumber HTML report and Allure, and scenarios that passed on
+ * a rerun are tagged `@flaky-passed`.  The run — reruns included —
+ * is recorded once in the flaky and performance history.
+ *
+ * Scenarios are quarantined by tagging them `@quarantine`, or
+ * automatically: TestExecutionFilter keeps the scenarios that
+ * FlakyTestTracker scores as flaky on a quarantine list in the
+ * history store, and they are left out of the blocking passes by
+ * `--spec <feature>:<line>`.
+ *
+ * Usage:
+ *   npm test
+ *   npm test -- --config config/wdio.staging.js
+ *   npm test -- --spec test/features/login.feature
+ *   npm run test:rerun                 # only the scenarios that failed last time
+ *   npm run test:quarantine            # only the quarantined scenarios
+ *
+ * Any argument other than --config, --failed and --quarantined is passed through
+ * to WDIO.  The base tag expression comes from TAG_EXPRESSION or
+ * --cucumberOpts.tagExpression.
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const takeArg = (name) => {
+    const idx = args.findIndex((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+    if (idx === -1) return null;
+    const [flag] = args.splice(idx, 1);
+    if (flag.includes('=')) return flag.slice(flag.indexOf('=') + 1);
+    return args.splice(idx, 1)[0] || null;
+};
+const takeFlag = (name) => {
+    const idx = args.indexOf(`--${name}`);
+    if (idx !== -1) args.splice(idx, 1);
+    return idx !== -1;
+};
+
+const configPath = takeArg('config') || 'config/wdio.conf.js';
+const cliTags = takeArg('cucumberOpts.tagExpression');
+const failedOnly = takeFlag('failed');
+const quarantineOnly = takeFlag('quarantined');
+
+// Reruns and quarantine lists replace the user's --spec with their own
+const isSpecArg = (a, i) => a === '--spec' || a.startsWith('--spec=') || args[i - 1] === '--spec';
+const rerunArgs = args.filter((a, i) => !isSpecArg(a, i));
+const userSpecs = args.filter((a, i) => isSpecArg(a, i) && a !== '--spec').map((a) => a.replace(/^--spec=/, ''));
+
+const {
+    ConfigResolver,
+    TestExecutionFilter,
+    RerunManager,
+    FlakyTestTracker,
+    PerformanceHistory,
+    CustomReporter,
+} = require('@wdio-framework/core');
+ConfigResolver.init();
+const baseTags = cliTags || ConfigResolver.get('TAG_EXPRESSION', '');
+const maxReruns = ConfigResolver.getInt('RERUN_MAX_ATTEMPTS', 2);
+
+const REPORTS_DIR = path.join(process.cwd(), 'reports');
+const CUCUMBER_JSON = path.join(REPORTS_DIR, 'cucumber-json');
+const ALLURE_RESULTS = path.join(REPORTS_DIR, 'allure-results');
+
+// Hooks leave history and the failed list to this script
+process.env.RERUN_ORCHESTRATED = 'true';
+
+const runWdio = (tagExpression, wdioExtra) => {
+    const wdioArgs = [
+        'wdio',
+        'run',
+        configPath,
+        ...(tagExpression ? [`--cucumberOpts.tagExpression=${tagExpression}`] : []),
+        ...wdioExtra,
+    ];
+    console.log(`> npx ${wdioArgs.join(' ')}\n`);
+    try {
+        execFileSync('npx', wdioArgs, { stdio: 'inherit', shell: false });
+        return 0;
+    } catch (err) {
+        return err.status || 1;
+    }
+};
+
+const banner = (title, lines = []) => {
+    console.log('\n═══════════════════════════════════════════════');
+    console.log(` ${title}`);
+    lines.forEach((line) => console.log(`  ${line}`));
+    console.log('═══════════════════════════════════════════════\n');
+};
+
+// Tagged scenarios by tag expression, listed ones by --spec; the exit code of the last pass that ran
+const runQuarantined = (quarantined, filter) => {
+    banner(
+        'Quarantine Pass (non-blocking)',
+        quarantined.map((q) => `• ${q.name}`),
+    );
+    let code = 0;
+    if (quarantined.some((q) => !q.auto)) {
+        code = runWdio(TestExecutionFilter.onlyQuarantined(baseTags), args);
+    }
+    const listedSpecs = filter.onlyQuarantinedSpecs(userSpecs);
+    if (listedSpecs.length > 0) {
+        code = runWdio(TestExecutionFilter.excludeQuarantined(baseTags), [...rerunArgs, ...listedSpecs]) || code;
+    }
+    return code;
+};
+
+const runStartedAt = Date.now();
+let exitCode;
+let failed;
+
+if (failedOnly) {
+    failed = RerunManager.loadFailed();
+    if (failed.length === 0) {
+        console.log('No failed scenarios recorded by the last run — nothing to rerun.');
+        process.exit(0);
+    }
+    banner(
+        'Rerun of Last Failures',
+        failed.map((f) => `• ${f.location}  ${f.name}`),
+    );
+    // The scenarios were selected by tag last time — don't filter them out again
+    exitCode = runWdio('', [...rerunArgs, ...RerunManager.toSpecArgs(failed)]);
+    failed = RerunManager.collectFailed(CUCUMBER_JSON, { since: runStartedAt });
+} else if (quarantineOnly) {
+    const filter = new TestExecutionFilter();
+    const quarantined = filter.getQuarantinedScenarios();
+    if (quarantined.length === 0) {
+        console.log('No quarantined scenarios — nothing to run.');
+        process.exit(0);
+    }
+    exitCode = runQuarantined(quarantined, filter);
+    failed = RerunManager.collectFailed(CUCUMBER_JSON, { since: runStartedAt });
+} else {
+    // Look up quarantined scenarios before pass 1 — the final step may change the list
+    const filter = new TestExecutionFilter();
+    const quarantined = filter.getQuarantinedScenarios();
+    banner('Test Execution', [`Quarantined scenarios: ${quarantined.length}`, `Max reruns: ${maxReruns}`]);
+
+    const blockingTags = TestExecutionFilter.excludeQuarantined(baseTags);
+    const blockingSpecs = filter.excludeQuarantinedSpecs(userSpecs);
+    let passStartedAt = Date.now();
+    if (quarantined.some((q) => q.auto) && blockingSpecs.length === 0) {
+        console.log('Every selected scenario is quarantined — skipping the blocking pass.');
+        exitCode = 0;
+    } else {
+        exitCode = runWdio(blockingTags, [...rerunArgs, ...blockingSpecs]);
+    }
+    failed = RerunManager.collectFailed(CUCUMBER_JSON, { since: passStartedAt });
+
+    for (let attempt = 1; attempt <= maxReruns && exitCode !== 0 && failed.length > 0; attempt++) {
+        banner(
+            `Rerun ${attempt}/${maxReruns}`,
+            failed.map((f) => `• ${f.location}  ${f.name}`),
+        );
+        passStartedAt = Date.now();
+        exitCode = runWdio(blockingTags, [...rerunArgs, ...RerunManager.toSpecArgs(failed)]);
+        failed = RerunManager.collectFailed(CUCUMBER_JSON, { since: passStartedAt });
+    }
+
+    // Save the consolidated list for `npm run test:rerun` before the quarantine pass adds to the results
+    failed = RerunManager.collectFailed(CUCUMBER_JSON, { since: runStartedAt });
+
+    if (quarantined.length > 0) {
+        const quarantineExit = runQuarantined(quarantined, filter);
+        if (quarantineExit !== 0) {
+            console.log('\nQuarantined scenarios failed — not affecting the build result.');
+        }
+    }
+}
+
+// ─── Record history, then merge results ───────────────────────
+// History first: it needs every attempt to see pass-on-rerun as flaky
+try {
+    FlakyTestTracker.recordRun(CUCUMBER_JSON, { since: runStartedAt });
+    if (ConfigResolver.getBool('FLAKY_AUTO_QUARANTINE')) {
+        new TestExecutionFilter().applyQuarantine();
+    }
+} catch (err) {
+    console.warn(`Flaky test tracking failed: ${err.message}`);
+}
+
+const matrix = ConfigResolver.get('EXECUTION_MATRIX', '');
+if (matrix && ConfigResolver.getBool('EXECUTION_MATRIX_WRITE_RESULTS', true)) {
+    try {
+        new TestExecutionFilter(matrix).recordResults(CUCUMBER_JSON, { since: runStartedAt });
+    } catch (err) {
+        console.warn(`Writing results to the execution matrix failed: ${err.message}`);
+    }
+}
+
+try {
+    PerformanceHistory.recordRun(REPORTS_DIR);
+} catch (err) {
+    console.warn(`Performance history failed: ${err.message}`);
+}
+
+try {
+    // A rerun of last failures merges with the earlier run still in reports/
+    const { flakyPassed } = RerunManager.mergeResults({
+        cucumberJsonDir: CUCUMBER_JSON,
+        allureResultsDir: ALLURE_RESULTS,
+        since: failedOnly ? 0 : runStartedAt,
+    });
+    CustomReporter.generateCucumberHtmlReport(CUCUMBER_JSON, path.join(REPORTS_DIR, 'cucumber-html'), {
+        customData: [
+            { label: 'Passed on rerun (flaky)', value: String(flakyPassed.length) },
+            { label: 'Still failing', value: String(failed.length) },
+        ],
+    });
+    banner('Rerun Summary', [
+        `Passed on rerun (flaky): ${flakyPassed.length}`,
+        ...flakyPassed.map((key) => `  • ${key}`),
+        `Still failing: ${failed.length}`,
+    ]);
+} catch (err) {
+    console.warn(`Merging rerun results failed: ${err.message}`);
+}
+
+process.exit(exitCode);
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * Secrets CLI — Encrypt, Decrypt & Rotate ENC(...) Values
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Manages `ENC(...)` values in JSON config / test data files with
+ * the master passphrase from ENCRYPTION_KEY (environment or .env).
+ *
+ * Usage:
+ *   npm run secrets -- encrypt config/environments/staging.config.json
+ *   npm run secrets -- encrypt test/data/users.json --keys password
+ *   npm run secrets -- decrypt config/environments/staging.config.json
+ *   NEW_ENCRYPTION_KEY=<new> npm run secrets -- rotate config/environments/*.config.json
+ *   npm run secrets -- generate-key
+ *
+ * encrypt  — secret keys only: flagged `secret` in config/config.schema.json,
+ *            named like a password / token / secret / API key, or --keys a,b
+ * decrypt  — every ENC(...) value, written back as plain text (don't commit)
+ * rotate   — re-encrypt every ENC(...) value from ENCRYPTION_KEY to NEW_ENCRYPTION_KEY
+ */
+
+require('dotenv').config();
+
+const { SecretVault, EncryptionHelper } = require('@wdio-framework/core');
+
+const [command, ...rest] = process.argv.slice(2);
+const keysIdx = rest.indexOf('--keys');
+const keys =
+    keysIdx !== -1 && rest[keysIdx + 1]
+        ? rest
+              .splice(keysIdx, 2)[1]
+              .split(',')
+              .map((k) => k.trim())
+        : null;
+const files = rest;
+
+const usage = () => {
+    console.log('Usage: node scripts/secrets.js <encrypt|decrypt|rotate> <file...> [--keys KEY1,KEY2]');
+    console.log('       node scripts/secrets.js generate-key');
+    process.exit(1);
+};
+
+if (command === 'generate-key') {
+    console.log(EncryptionHelper.generateKey());
+    process.exit(0);
+}
+if (!['encrypt', 'decrypt', 'rotate'].includes(command) || files.length === 0) usage();
+
+console.log('═══════════════════════════════════════════════');
+console.log(` Secrets — ${command}`);
+console.log('═══════════════════════════════════════════════');
+
+let failed = false;
+for (const file of files) {
+    try {
+        let changed;
+        if (command === 'encrypt') {
+            changed = SecretVault.encryptFile(file, { keys });
+        } else if (command === 'decrypt') {
+            changed = SecretVault.decryptFile(file);
+        } else {
+            changed = SecretVault.rotateFile(file, SecretVault.getMasterKey(), process.env.NEW_ENCRYPTION_KEY);
+        }
+        console.log(`  ✓ ${file}: ${changed.length} value(s)${changed.length ? ` — ${changed.join(', ')}` : ''}`);
+    } catch (err) {
+        failed = true;
+        console.error(`  ✗ ${file}: ${err.message}`);
+    }
+}
+
+if (command === 'decrypt' && !failed) {
+    console.log('\nPlain-text secrets written — re-encrypt before committing.');
+}
+if (command === 'rotate' && !failed) {
+    console.log('\nUpdate ENCRYPTION_KEY to the new key in CI and local .env files.');
+}
+process.exit(failed ? 1 : 0);
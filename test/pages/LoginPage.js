@@ -54,6 +54,25 @@ class LoginPage extends BasePage {
         await this.waitForPageLoad();
     }
 
+    /**
+     * Log in, reusing the session saved by an earlier scenario for the same
+     * user and password when there is one (see AuthStateManager).  Fails
+     * if the login form is still shown afterwards.
+     */
+    async loginAs(username, password) {
+        await this.authenticate(
+            username,
+            async () => {
+                await this.open();
+                await this.login(username, password);
+            },
+            {
+                credentials: password,
+                verify: async () => !(await this.isDisplayed(this.passwordInput)),
+            },
+        );
+    }
+
     /**
      * Enter username only.
      */
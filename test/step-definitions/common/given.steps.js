@@ -7,8 +7,9 @@
  * Project teams can extend these by adding their own step files.
  */
 
-const { Given } = require('@wdio/cucumber-framework');
+const { Given } = require('../../support/steps');
 const { expect } = require('chai');
+const LoginPage = require('../../pages/LoginPage');
 
 // ─── Navigation ───────────────────────────────────────────────
 
@@ -42,15 +43,9 @@ Given(/^I am on the URL "([^"]*)"$/, async function (url) {
     );
 });
 
+// Logs in through the UI once per user; later scenarios restore the saved session
 Given(/^I am logged in as "([^"]*)" with password "([^"]*)"$/, async function (username, password) {
-    await browser.url('/login');
-    await $('[data-testid="username"], #username, input[name="username"]').setValue(username);
-    await $('[data-testid="password"], #password, input[name="password"]').setValue(password);
-    await $('[data-testid="login-btn"], #login-btn, button[type="submit"]').click();
-    await browser.waitUntil(
-        async () => (await browser.execute(() => document.readyState)) === 'complete',
-        { timeout: 30000 },
-    );
+    await LoginPage.loginAs(username, password);
 });
 
 // ─── Browser State ────────────────────────────────────────────
@@ -0,0 +1,147 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * Common Step Definitions — Network Mocking
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Stub REST / GraphQL endpoints and assert outgoing requests via
+ * NetworkMock.  Endpoints are written as "METHOD /path" (method
+ * optional); a relative path matches on any host.  Fixtures are
+ * read from MOCK_FIXTURES_DIR (default: test/data/mocks).
+ *
+ *   Given the API "GET /api/users" responds with fixture "users.json"
+ *   Given the API "POST /api/orders" responds with status 503
+ *   Given the GraphQL operation "GetCart" responds with fixture "cart.json"
+ *   Then the API "POST /api/orders" should have been called with payload:
+ *     """
+ *     { "sku": "A-1" }
+ *     """
+ *
+ * All mocks are restored after every scenario.  "a request to …"
+ * steps check the traffic NetworkLog recorded, so no spy is needed:
+ *
+ *   Then a request to "POST /api/analytics" should have been sent with payload:
+ */
+
+const { After } = require('@wdio/cucumber-framework');
+const { Given, Then } = require('../../support/steps');
+const { NetworkMock } = require('@wdio-framework/ui');
+const { NetworkLog } = require('@wdio-framework/core');
+
+/**
+ * Split "POST /api/orders" into a method and a WDIO URL glob.
+ * @param {string} endpoint
+ * @returns {{method: string|undefined, pattern: string}}
+ */
+function parseEndpoint(endpoint) {
+    const match = endpoint.trim().match(/^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+(.+)$/i);
+    const method = match ? match[1].toUpperCase() : undefined;
+    const url = match ? match[2].trim() : endpoint.trim();
+    const pattern = /^(https?:|\*)/.test(url) ? url : `**${url.startsWith('/') ? '' : '/'}${url}`;
+    return { method, pattern };
+}
+
+function parseBody(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+// ─── Stubbing ─────────────────────────────────────────────────
+
+Given(/^the API "([^"]*)" responds with fixture "([^"]*)"$/, async function (endpoint, fixture) {
+    const { method, pattern } = parseEndpoint(endpoint);
+    await NetworkMock.getInstance().mockRest(pattern, { method, fixture });
+});
+
+Given(/^the API "([^"]*)" responds with status (\d{3})$/, async function (endpoint, status) {
+    const { method, pattern } = parseEndpoint(endpoint);
+    const code = parseInt(status, 10);
+    if (code >= 400) {
+        await NetworkMock.getInstance().mockError(pattern, { method, status: code });
+    } else {
+        await NetworkMock.getInstance().mockRest(pattern, { method, status: code, body: '' });
+    }
+});
+
+Given(/^the API "([^"]*)" responds with status (\d{3}) and body:$/, async function (endpoint, status, body) {
+    const { method, pattern } = parseEndpoint(endpoint);
+    await NetworkMock.getInstance().mockRest(pattern, { method, status: parseInt(status, 10), body: parseBody(body) });
+});
+
+Given(/^the GraphQL operation "([^"]*)" responds with fixture "([^"]*)"$/, async function (operation, fixture) {
+    await NetworkMock.getInstance().mockGraphQL(operation, { fixture });
+});
+
+Given(/^the GraphQL operation "([^"]*)" fails with error "([^"]*)"$/, async function (operation, message) {
+    await NetworkMock.getInstance().mockGraphQL(operation, { data: null, errors: [{ message }] });
+});
+
+Given(/^requests to "([^"]*)" are aborted$/, async function (endpoint) {
+    const { method, pattern } = parseEndpoint(endpoint);
+    await NetworkMock.getInstance().abort(pattern, { method });
+});
+
+Given(/^I (?:spy on|watch) the API "([^"]*)"$/, async function (endpoint) {
+    const { method, pattern } = parseEndpoint(endpoint);
+    await NetworkMock.getInstance().spy(pattern, { method });
+});
+
+// ─── Assertions ───────────────────────────────────────────────
+
+Then(/^the API "([^"]*)" should have been called(?: (\d+) times?)?$/, async function (endpoint, times) {
+    const { method, pattern } = parseEndpoint(endpoint);
+    NetworkMock.getInstance().assertCalled(pattern, {
+        method,
+        times: times !== undefined ? parseInt(times, 10) : undefined,
+    });
+});
+
+Then(/^the API "([^"]*)" should have been called with payload:$/, async function (endpoint, payload) {
+    const { method, pattern } = parseEndpoint(endpoint);
+    NetworkMock.getInstance().assertCalled(pattern, { method, payload: parseBody(payload) });
+});
+
+Then(/^the API "([^"]*)" should not have been called$/, async function (endpoint) {
+    const { method, pattern } = parseEndpoint(endpoint);
+    NetworkMock.getInstance().assertNotCalled(pattern, { method });
+});
+
+// ─── Recorded Traffic ─────────────────────────────────────────
+
+/**
+ * Wait for the request to show up in the NetworkLog (the page may still be
+ * sending it), then assert with NetworkLog's description of what was sent.
+ */
+async function expectRequest(endpoint, options) {
+    const { method, pattern } = parseEndpoint(endpoint);
+    await browser
+        .waitUntil(
+            () => {
+                try {
+                    NetworkLog.assertRequested(pattern, { method, ...options });
+                    return true;
+                } catch {
+                    return false;
+                }
+            },
+            { timeout: 5000 },
+        )
+        .catch(() => {});
+    NetworkLog.assertRequested(pattern, { method, ...options });
+}
+
+Then(/^a request to "([^"]*)" should have been sent(?: (\d+) times?)?$/, async function (endpoint, times) {
+    await expectRequest(endpoint, { times: times !== undefined ? parseInt(times, 10) : undefined });
+});
+
+Then(/^a request to "([^"]*)" should have been sent with payload:$/, async function (endpoint, payload) {
+    await expectRequest(endpoint, { payload: parseBody(payload) });
+});
+
+// ─── Cleanup ──────────────────────────────────────────────────
+
+After(async function () {
+    await NetworkMock.getInstance().restoreAll();
+});
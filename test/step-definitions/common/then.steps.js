@@ -6,8 +6,9 @@
  * Reusable "Then" (assertion) steps shared across all features.
  */
 
-const { Then } = require('@wdio/cucumber-framework');
+const { Then } = require('../../support/steps');
 const { expect } = require('chai');
+const { ScreenshotManager, AccessibilityChecker, PerformanceTracker } = require('@wdio-framework/core');
 
 // ─── Page Assertions ──────────────────────────────────────────
 
@@ -156,3 +157,39 @@ Then(/^(?:the )?"([^"]*)"(?: element)? should have class "([^"]*)"$/, async func
     const classes = await el.getAttribute('class');
     expect(classes).to.include(className);
 });
+
+// ─── Visual Regression ───────────────────────────────────────
+
+Then(/^(?:the )?"([^"]*)"(?: element)? should match the visual baseline(?: ignoring "([^"]*)")?$/, async function (identifier, ignore) {
+    const el = await $(`[data-testid="${identifier}"], #${identifier}, .${identifier}, ${identifier}`);
+    await el.waitForDisplayed({ timeout: 10000 });
+    await ScreenshotManager.assertMatchesBaseline(identifier, {
+        element: el,
+        ignore: ignore ? ignore.split(',').map((s) => s.trim()) : [],
+    });
+});
+
+Then(/^the (page|full page) should match the visual baseline "([^"]*)"(?: ignoring "([^"]*)")?$/, async function (scope, name, ignore) {
+    await ScreenshotManager.assertMatchesBaseline(name, {
+        fullPage: scope === 'full page',
+        ignore: ignore ? ignore.split(',').map((s) => s.trim()) : [],
+    });
+});
+
+// ─── Accessibility ────────────────────────────────────────────
+
+Then(/^the page should have no accessibility violations(?: at WCAG level "(A|AA|AAA)")?$/, async function (wcagLevel) {
+    await AccessibilityChecker.assertNoViolations({ wcagLevel });
+});
+
+Then(/^(?:the )?"([^"]*)"(?: element| component)? should have no accessibility violations(?: at WCAG level "(A|AA|AAA)")?$/, async function (identifier, wcagLevel) {
+    const el = await $(`[data-testid="${identifier}"], #${identifier}, .${identifier}, ${identifier}`);
+    await el.waitForDisplayed({ timeout: 10000 });
+    await AccessibilityChecker.assertNoViolations({ scope: el, name: identifier, wcagLevel });
+});
+
+// ─── Performance ──────────────────────────────────────────────
+
+Then(/^the page should meet (?:its|the "([^"]*)") performance budget$/, async function (page) {
+    await PerformanceTracker.getInstance().assertBudgets(page);
+});
@@ -6,7 +6,7 @@
  * Reusable "When" steps for user interactions shared across features.
  */
 
-const { When } = require('@wdio/cucumber-framework');
+const { When } = require('../../support/steps');
 
 // ─── Click / Tap ──────────────────────────────────────────────
 
@@ -157,3 +157,21 @@ When(/^I accept the alert$/, async function () {
 When(/^I dismiss the alert$/, async function () {
     await browser.dismissAlert();
 });
+
+// ─── Scenario Variables ───────────────────────────────────────
+
+When(/^I store the text of (?:the )?"([^"]*)"(?: element)? as "([^"]*)"$/, async function (identifier, name) {
+    const el = await $(`[data-testid="${identifier}"], #${identifier}, .${identifier}`);
+    await el.waitForDisplayed({ timeout: 10000 });
+    this.ctx.set(name, (await el.getText()).trim());
+});
+
+When(/^I store the value of (?:the )?"([^"]*)"(?: field| input)? as "([^"]*)"$/, async function (field, name) {
+    const el = await $(`[data-testid="${field}"], #${field}, input[name="${field}"]`);
+    await el.waitForDisplayed({ timeout: 10000 });
+    this.ctx.set(name, await el.getValue());
+});
+
+When(/^I store "([^"]*)" as "([^"]*)"$/, async function (value, name) {
+    this.ctx.set(name, value);
+});
@@ -4,7 +4,7 @@
  * ═══════════════════════════════════════════════════════════════
  */
 
-const { Given, When, Then } = require('@wdio/cucumber-framework');
+const { Given, When, Then } = require('../support/steps');
 const { expect } = require('chai');
 const LoginPage = require('../pages/LoginPage');
 const HomePage = require('../pages/HomePage');
@@ -4,7 +4,7 @@
  * ═══════════════════════════════════════════════════════════════
  */
 
-const { When, Then } = require('@wdio/cucumber-framework');
+const { When, Then } = require('../support/steps');
 const { expect } = require('chai');
 const HomePage = require('../pages/HomePage');
 const SearchResultsPage = require('../pages/SearchResultsPage');
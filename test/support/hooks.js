@@ -0,0 +1,18 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * Cucumber Hooks
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Checks that have to fail the scenario live here: errors thrown by
+ * the WDIO hooks in wdio.conf.js are logged, not reported.  These
+ * hooks run before the WDIO `afterScenario`, so its result (report
+ * attachments, rerun list, flakiness history) already reflects them.
+ */
+
+const { After } = require('@wdio/cucumber-framework');
+const { BrowserConsole } = require('@wdio-framework/core');
+
+// Uncaught page errors fail the scenario (CONSOLE_FAIL_ON_JS_ERROR)
+After(function () {
+    BrowserConsole.checkPolicy();
+});
@@ -0,0 +1,68 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * Step Registration — Placeholders & Expressions in Step Arguments
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Drop-in replacements for Cucumber's Given / When / Then.  String
+ * arguments, doc strings and data table cells are resolved before
+ * the step runs, so feature files can use `{{key.path}}` data
+ * placeholders, `${...}` expressions (dataDrivenManager.interpolate)
+ * and `{name}` scenario variables (ScenarioContext) without custom
+ * step code:
+ *
+ *   When I type "${faker.email}" into the "email" field
+ *   Then the "deliveryDate" field value should be "${date.today+3d:DD/MM/YYYY}"
+ *   When I store the text of "orderId" as "order"
+ *   Then I should see text "Order {order} confirmed"
+ *
+ * (Cucumber's setDefinitionFunctionWrapper is taken by WDIO's step
+ * retry support, hence the explicit wrappers.)
+ */
+
+const cucumber = require('@wdio/cucumber-framework');
+const { dataDrivenManager, ScenarioContext } = require('@wdio-framework/core');
+
+const { DataTable } = cucumber;
+
+/**
+ * @param {*} arg - Step argument: capture group, doc string or DataTable
+ * @returns {*}
+ */
+function resolveArgument(arg) {
+    if (typeof arg === 'string') return resolveText(arg);
+    if (arg instanceof DataTable) {
+        return new DataTable(arg.raw().map((row) => row.map(resolveText)));
+    }
+    return arg;
+}
+
+function resolveText(text) {
+    return ScenarioContext.current().resolve(dataDrivenManager.interpolate(text));
+}
+
+/**
+ * Wrap a step function; Cucumber checks the arity, so it is kept.
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function withResolvedArguments(fn) {
+    const wrapped = function (...args) {
+        return fn.apply(this, args.map(resolveArgument));
+    };
+    Object.defineProperty(wrapped, 'length', { value: fn.length });
+    return wrapped;
+}
+
+function wrapKeyword(keyword) {
+    return (pattern, ...rest) => {
+        const fn = rest.pop();
+        return keyword(pattern, ...rest, withResolvedArguments(fn));
+    };
+}
+
+module.exports = {
+    Given: wrapKeyword(cucumber.Given),
+    When: wrapKeyword(cucumber.When),
+    Then: wrapKeyword(cucumber.Then),
+    resolveArgument,
+};